@@ -0,0 +1,78 @@
+// <pneumo-analyzer> - the PneumoAI analyzer as a custom element for other sites
+//
+//   <script src="https://<pneumoai host>/embed.js" async></script>
+//   <pneumo-analyzer backend="https://xray.example.org/api/predict" provider="rest" theme="light" lang="es"></pneumo-analyzer>
+//
+// Attributes (all optional, changes reload the widget):
+//   provider  gradio-space | gradio-url | rest | local | mock (default: the site's build default)
+//   backend   space ID or URL for that provider
+//   theme     dark | light
+//   lang      en | es | de (other tags fall back to English)
+// The analyzer runs in an iframe served by the PneumoAI site, so images are handled under its
+// privacy rules and the host page never sees them. The element dispatches bubbling events:
+//   result  detail: { decision, label, pneumonia, confidence, threshold, band, modelVersion, analyzedAt }
+//   error   detail: { code, message }
+(() => {
+  const TAG = 'pneumo-analyzer';
+  if (!window.customElements || window.customElements.get(TAG)) return;
+
+  // The widget page lives next to this script
+  const APP_URL = new URL('./', document.currentScript ? document.currentScript.src : window.location.href);
+  const MESSAGE_SOURCE = 'pneumoai-widget';
+  const ATTRIBUTES = ['provider', 'backend', 'theme', 'lang'];
+  const EVENTS = ['result', 'error'];
+
+  class PneumoAnalyzer extends HTMLElement {
+    static get observedAttributes() {
+      return ATTRIBUTES;
+    }
+
+    constructor() {
+      super();
+      const shadow = this.attachShadow({ mode: 'open' });
+      shadow.innerHTML = '<style>:host { display: block; } iframe { display: block; width: 100%; border: 0; }</style>';
+      this.frame = document.createElement('iframe');
+      this.frame.title = 'Pneumonia X-ray analyzer';
+      this.frame.style.height = '420px';
+      shadow.appendChild(this.frame);
+      this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    connectedCallback() {
+      window.addEventListener('message', this.handleMessage);
+      this.load();
+    }
+
+    disconnectedCallback() {
+      window.removeEventListener('message', this.handleMessage);
+    }
+
+    attributeChangedCallback() {
+      if (this.isConnected) this.load();
+    }
+
+    load() {
+      const url = new URL(APP_URL);
+      url.searchParams.set('embed', '1');
+      ATTRIBUTES.forEach((name) => {
+        if (this.hasAttribute(name)) url.searchParams.set(name, this.getAttribute(name));
+      });
+      url.searchParams.set('origin', window.location.origin);
+      if (this.frame.src !== url.href) this.frame.src = url.href;
+    }
+
+    // Relay the widget's messages as DOM events; size the iframe to its content
+    handleMessage(event) {
+      const { data } = event;
+      if (event.source !== this.frame.contentWindow || event.origin !== APP_URL.origin) return;
+      if (!data || data.source !== MESSAGE_SOURCE) return;
+      if (data.type === 'resize' && data.detail && data.detail.height > 0) {
+        this.frame.style.height = `${Math.ceil(data.detail.height)}px`;
+      } else if (EVENTS.includes(data.type)) {
+        this.dispatchEvent(new CustomEvent(data.type, { detail: data.detail, bubbles: true, composed: true }));
+      }
+    }
+  }
+
+  window.customElements.define(TAG, PneumoAnalyzer);
+})();
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// Check the converted on-device model against the remote backend on the sample X-rays
+// Runs public/models/pneumonia-cnn (model.json + weight shards from scripts/convert-model.sh) with
+// TensorFlow.js on the CPU, sends the same images to the backend, and fails when a label differs
+// or a pneumonia probability is further apart than the tolerance.
+//
+// Usage: node scripts/compare-local-remote.js [--backend vish-05/xray-pneumonia-backend] [--tolerance 0.05]
+//   --backend   Hugging Face space ID, Gradio URL, or REST endpoint (http://host/api/predict)
+// Resizing here is bilinear and the browser's canvas may smooth slightly differently, so allow a
+// small tolerance rather than expecting identical probabilities.
+
+const fs = require('fs');
+const path = require('path');
+const jpeg = require('jpeg-js');
+const { classForLabel } = require('../src/services/inference/labels');
+
+const ROOT = path.join(__dirname, '..');
+const MODEL_DIR = path.join(ROOT, 'public/models/pneumonia-cnn');
+const SAMPLES = ['normal.jpeg', 'virus.jpeg'].map((name) => path.join(ROOT, 'public/images', name));
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : fallback;
+};
+
+// Layers model from the converted files on disk
+const loadLocalModel = async (tf) => {
+  const modelJson = path.join(MODEL_DIR, 'model.json');
+  if (!fs.existsSync(modelJson)) {
+    throw new Error(`No converted model at ${modelJson} - run scripts/convert-model.sh first`);
+  }
+  const { modelTopology, weightsManifest } = JSON.parse(fs.readFileSync(modelJson, 'utf8'));
+  const weightSpecs = weightsManifest.flatMap((group) => group.weights);
+  const weightData = Buffer.concat(weightsManifest.flatMap((group) => group.paths)
+    .map((file) => fs.readFileSync(path.join(MODEL_DIR, file))));
+  const model = await tf.loadLayersModel(tf.io.fromMemory({
+    modelTopology,
+    weightSpecs,
+    weightData: weightData.buffer.slice(weightData.byteOffset, weightData.byteOffset + weightData.byteLength)
+  }));
+  const metadata = JSON.parse(fs.readFileSync(path.join(MODEL_DIR, 'metadata.json'), 'utf8'));
+  return { model, metadata };
+};
+
+// Pneumonia probability of the on-device model, with the app's preprocessing:
+// luminance (0.299 R + 0.587 G + 0.114 B), resized to the input size, scaled to 0-1
+const predictLocal = (tf, { model, metadata }, file) => {
+  const { width, height, data } = jpeg.decode(fs.readFileSync(file), { useTArray: true });
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  const [inputWidth, inputHeight] = metadata.inputSize;
+  const output = tf.tidy(() => {
+    const image = tf.tensor4d(gray, [1, height, width, 1]);
+    const input = tf.image.resizeBilinear(image, [inputHeight, inputWidth]).div(255);
+    return model.predict(input).dataSync()[0];
+  });
+  // labels[1] is the class the sigmoid output measures
+  return classForLabel(metadata.labels[1]) === 'pneumonia' ? output : 1 - output;
+};
+
+// Pneumonia probability from the remote backend's [label, confidence] answer
+const predictRemote = async (backend, file) => {
+  const blob = new Blob([fs.readFileSync(file)], { type: 'image/jpeg' });
+  let label;
+  let confidence;
+  if (/\/api\/predict$/.test(backend)) {
+    const form = new FormData();
+    form.append('image', blob, 'xray.jpg');
+    const response = await fetch(backend, { method: 'POST', body: form });
+    if (!response.ok) throw new Error(`Backend answered ${response.status}`);
+    ({ prediction: label, confidence } = await response.json());
+  } else {
+    const { Client } = await import('@gradio/client');
+    const client = await Client.connect(backend, { events: ['data', 'status'] });
+    ({ data: [label, confidence] } = await client.predict('/predict', { image: blob }));
+  }
+  const fraction = Number(confidence) > 1 ? Number(confidence) / 100 : Number(confidence);
+  const decision = classForLabel(label);
+  if (!decision || !Number.isFinite(fraction)) throw new Error(`Unexpected backend answer: ${label}, ${confidence}`);
+  return decision === 'pneumonia' ? fraction : 1 - fraction;
+};
+
+const main = async () => {
+  const backend = option('backend', process.env.REACT_APP_GRADIO_SPACE || 'vish-05/xray-pneumonia-backend');
+  const tolerance = Number(option('tolerance', 0.05)) || 0.05;
+
+  const tf = require('@tensorflow/tfjs');
+  await tf.setBackend('cpu');
+  const local = await loadLocalModel(tf);
+
+  let failed = false;
+  for (const file of SAMPLES) {
+    const p = predictLocal(tf, local, file);
+    const remote = await predictRemote(backend, file);
+    const agree = (p >= 0.5) === (remote >= 0.5) && Math.abs(p - remote) <= tolerance;
+    failed = failed || !agree;
+    console.log(`${agree ? 'ok  ' : 'FAIL'} ${path.basename(file)}  local ${(p * 100).toFixed(1)}%  remote ${(remote * 100).toFixed(1)}%  (pneumonia probability)`);
+  }
+  if (failed) {
+    console.error(`Local and remote models differ by more than ${tolerance} - check the conversion and metadata.json labels`);
+    process.exit(1);
+  }
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
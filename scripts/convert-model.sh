@@ -0,0 +1,17 @@
+#!/usr/bin/env bash
+# Convert the trained Keras model into a TensorFlow.js layers model for on-device inference.
+# Usage: scripts/convert-model.sh path/to/model_final.h5
+# Requires: pip install tensorflowjs
+set -euo pipefail
+
+MODEL_PATH="${1:?Usage: $0 path/to/model_final.h5}"
+OUTPUT_DIR="$(dirname "$0")/../public/models/pneumonia-cnn"
+
+tensorflowjs_converter \
+  --input_format keras \
+  --output_format tfjs_layers_model \
+  "$MODEL_PATH" \
+  "$OUTPUT_DIR"
+
+echo "Model written to $OUTPUT_DIR"
+echo "Check that labels in metadata.json match the class order used in training."
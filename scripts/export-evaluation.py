@@ -0,0 +1,55 @@
+#!/usr/bin/env python3
+"""Export test-set predictions for the evaluation dashboard.
+
+Runs the trained Keras model over a test folder laid out like the Kaggle dataset
+(test/NORMAL, test/PNEUMONIA) and writes public/models/pneumonia-cnn/evaluation.json,
+which the Model Info section loads to draw the ROC/PR curves and confusion matrix.
+
+Usage: scripts/export-evaluation.py path/to/model_final.h5 path/to/chest_xray/test [version]
+Requires: pip install tensorflow pillow numpy
+"""
+import json
+import sys
+from pathlib import Path
+
+import numpy as np
+from PIL import Image
+from tensorflow import keras
+
+INPUT_SIZE = (150, 150)
+CLASSES = {"NORMAL": 0, "PNEUMONIA": 1}  # 1 = the class the sigmoid output measures
+
+
+def load(path):
+    # Same preprocessing as the backend: grayscale, resize, scale to 0-1
+    image = Image.open(path).convert("L").resize(INPUT_SIZE)
+    return np.asarray(image, dtype=np.float32)[..., None] / 255.0
+
+
+def main(model_path, test_dir, version="1.0.0"):
+    model = keras.models.load_model(model_path)
+    files = [(path, label) for folder, label in CLASSES.items()
+             for path in sorted(Path(test_dir, folder).glob("*.jpeg"))]
+    if not files:
+        sys.exit(f"No images found under {test_dir}/NORMAL or {test_dir}/PNEUMONIA")
+
+    probabilities = model.predict(np.stack([load(path) for path, _ in files]), batch_size=32).ravel()
+    output = Path(__file__).resolve().parent.parent / "public/models/pneumonia-cnn/evaluation.json"
+    output.write_text(json.dumps({
+        "schemaVersion": 1,
+        "modelVersion": version,
+        "split": "test",
+        "labels": ["Normal", "Pneumonia"],
+        "predictions": [
+            {"p": round(float(p), 5), "y": label}
+            for p, (_, label) in zip(probabilities, files)
+        ],
+    }))
+    print(f"{len(files)} predictions written to {output}")
+    print('Set "evaluation.predictionsUrl" in model-card.json to "evaluation.json" to show the dashboard.')
+
+
+if __name__ == "__main__":
+    if len(sys.argv) < 3:
+        sys.exit(__doc__)
+    main(*sys.argv[1:4])
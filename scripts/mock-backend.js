@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+// Local stand-in for the analysis backend, for development and end-to-end tests without the
+// Hugging Face space. Speaks both protocols the frontend uses, with deterministic answers:
+//   REST    POST /api/predict (multipart "image") -> { prediction, confidence }
+//   Gradio  the queue protocol @gradio/client uses (config, info, upload, queue/join, queue/data)
+//           for a /predict endpoint returning [label, confidence]
+//
+// Usage: node scripts/mock-backend.js [--port 7860] [--scenario auto]
+// then point the app at it, e.g. REACT_APP_INFERENCE_PROVIDER=gradio-url
+// REACT_APP_GRADIO_URL=http://localhost:7860 (or provider "rest" with http://localhost:7860/api/predict).
+//
+// Scenarios (--scenario, MOCK_SCENARIO, or per request with ?scenario= / X-Mock-Scenario):
+//   auto        normal or pneumonia, picked by a hash of the image bytes
+//   normal      Normal 94.1%
+//   pneumonia   Pneumonia 91.4%
+//   slow        queues for a few seconds (with queue position updates) before answering
+//   cold-start  answers 503 "starting" for the first bootTime ms after the first request
+//   error       the model fails
+//   malformed   answers with data the frontend cannot read
+// The scenario can also be switched at runtime: POST /__mock/scenario { "scenario": "slow" }.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const SCENARIOS = ['auto', 'normal', 'pneumonia', 'slow', 'cold-start', 'error', 'malformed'];
+
+// Same answers as the in-app mock provider (src/services/inference/fixtures.js)
+const FIXTURES = {
+  normal: ['Normal', 0.9412],
+  pneumonia: ['Pneumonia', 0.9137]
+};
+
+const API_PREFIX = '/gradio_api';
+
+// Gradio app config: one image input, label and confidence outputs, queued /predict endpoint
+const gradioConfig = (root) => ({
+  version: '5.0.0',
+  mode: 'interface',
+  app_id: 4242,
+  protocol: 'sse_v3',
+  api_prefix: API_PREFIX,
+  enable_queue: true,
+  is_space: false,
+  root,
+  components: [
+    { id: 1, type: 'image', props: { label: 'Chest X-ray' } },
+    { id: 2, type: 'textbox', props: { label: 'Prediction' } },
+    { id: 3, type: 'number', props: { label: 'Confidence' } }
+  ],
+  dependencies: [
+    {
+      id: 0,
+      targets: [[1, 'change']],
+      inputs: [1],
+      outputs: [2, 3],
+      api_name: 'predict',
+      queue: true,
+      backend_fn: true,
+      show_api: true,
+      types: { generator: false, cancel: false }
+    }
+  ]
+});
+
+const API_INFO = {
+  named_endpoints: {
+    '/predict': {
+      parameters: [{
+        label: 'Chest X-ray',
+        parameter_name: 'image',
+        parameter_has_default: false,
+        parameter_default: null,
+        type: { type: 'object', properties: { path: { type: 'string' } } },
+        python_type: { type: 'filepath', description: '' },
+        component: 'Image',
+        example_input: null
+      }],
+      returns: [
+        { label: 'Prediction', type: { type: 'string' }, python_type: { type: 'str', description: '' }, component: 'Textbox' },
+        { label: 'Confidence', type: { type: 'number' }, python_type: { type: 'float', description: '' }, component: 'Number' }
+      ],
+      show_api: true
+    }
+  },
+  unnamed_endpoints: {}
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// File parts of a multipart/form-data body: [{ field, fileName, data }]
+const parseMultipart = (body, contentType) => {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+  if (!boundary) return [];
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const parts = [];
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    const part = body.subarray(start + delimiter.length + 2, next - 2);  // Skip CRLF after the delimiter and before the next
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString();
+      const field = /name="([^"]*)"/.exec(headers)?.[1];
+      const fileName = /filename="([^"]*)"/.exec(headers)?.[1];
+      parts.push({ field, fileName, data: part.subarray(headerEnd + 4) });
+    }
+    start = next;
+  }
+  return parts;
+};
+
+// Deterministic answer for an image under a scenario, or null for scenarios without one
+const fixtureFor = (scenario, image) => {
+  if (FIXTURES[scenario]) return FIXTURES[scenario];
+  const digest = crypto.createHash('sha256').update(image || Buffer.alloc(0)).digest();
+  return digest[0] % 2 === 0 ? FIXTURES.normal : FIXTURES.pneumonia;
+};
+
+// Create the server; options: { scenario, latency (ms per prediction), slowSteps, bootTime (ms) }
+// Returns the http.Server with setScenario(name) and a scenario getter attached.
+const createMockBackend = ({ scenario = 'auto', latency = 300, slowSteps = 3, stepTime = 1000, bootTime = 8000 } = {}) => {
+  let current = scenario;
+  let bootedAt = null;           // Start of the simulated cold start
+  const uploads = new Map();     // Gradio upload path -> file bytes
+  const sessions = new Map();    // session_hash -> { res, buffered, pending }
+
+  const scenarioOf = (req, url) => {
+    const requested = url.searchParams.get('scenario') || req.headers['x-mock-scenario'];
+    return SCENARIOS.includes(requested) ? requested : current;
+  };
+
+  // Whether a cold-start scenario is still "booting"
+  const starting = (active) => {
+    if (active !== 'cold-start') return false;
+    bootedAt = bootedAt ?? Date.now();
+    return Date.now() - bootedAt < bootTime;
+  };
+
+  const send = (req, res, status, body, type = 'application/json') => {
+    res.writeHead(status, { 'Content-Type': type, ...corsHeaders(req) });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+
+  // Credentialed requests need the origin echoed rather than "*"
+  const corsHeaders = (req) => ({
+    'Access-Control-Allow-Origin': req.headers.origin || '*',
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || 'Content-Type',
+    Vary: 'Origin'
+  });
+
+  // Gradio: deliver an event to a session's stream, buffering until the stream is open
+  const emit = (sessionHash, message) => {
+    const session = sessions.get(sessionHash) || { res: null, buffered: [], pending: 0 };
+    sessions.set(sessionHash, session);
+    if (session.res) session.res.write(`data: ${JSON.stringify(message)}\n\n`);
+    else session.buffered.push(message);
+  };
+
+  // Gradio: close a session's stream once it has nothing left to report
+  const closeIfIdle = (sessionHash) => {
+    const session = sessions.get(sessionHash);
+    if (session.pending > 0 || !session.res) return;
+    session.res.write(`data: ${JSON.stringify({ msg: 'close_stream', event_id: null })}\n\n`);
+    session.res.end();
+    sessions.delete(sessionHash);
+  };
+
+  // Gradio: report a finished job
+  const finish = (sessionHash, message) => {
+    emit(sessionHash, message);
+    sessions.get(sessionHash).pending -= 1;
+    closeIfIdle(sessionHash);
+  };
+
+  // Gradio: run a queued job, reporting queue position and completion on the session stream
+  const runJob = async (sessionHash, eventId, active, image) => {
+    if (active === 'slow') {
+      for (let rank = slowSteps - 1; rank >= 0; rank -= 1) {
+        emit(sessionHash, { msg: 'estimation', event_id: eventId, rank, queue_size: slowSteps, rank_eta: (rank + 1) * stepTime / 1000 });
+        await sleep(stepTime);
+      }
+    } else {
+      emit(sessionHash, { msg: 'estimation', event_id: eventId, rank: 0, queue_size: 1, rank_eta: latency / 1000 });
+    }
+    emit(sessionHash, { msg: 'process_starts', event_id: eventId, eta: latency / 1000 });
+    await sleep(latency);
+
+    if (active === 'error') {
+      finish(sessionHash, { msg: 'process_completed', event_id: eventId, output: { error: 'Mock backend error: the model failed on this image' }, success: false });
+    } else if (active === 'malformed') {
+      finish(sessionHash, { msg: 'process_completed', event_id: eventId, output: { data: ['¯\\_(ツ)_/¯'], is_generating: false }, success: true });
+    } else {
+      finish(sessionHash, { msg: 'process_completed', event_id: eventId, output: { data: fixtureFor(active, image), is_generating: false }, success: true });
+    }
+  };
+
+  const handleRest = async (req, res, active) => {
+    const body = await readBody(req);
+    const image = parseMultipart(body, req.headers['content-type']).find((part) => part.field === 'image');
+    if (!image) return send(req, res, 400, { error: 'No image in the request' });
+
+    await sleep(active === 'slow' ? slowSteps * stepTime : latency);
+    if (active === 'error') return send(req, res, 500, { error: 'Mock backend error: the model failed on this image' });
+    if (active === 'malformed') return send(req, res, 200, '<html>Not the JSON you were looking for</html>', 'text/html');
+    const [prediction, confidence] = fixtureFor(active, image.data);
+    return send(req, res, 200, { prediction, confidence });
+  };
+
+  const handleGradio = async (req, res, url, path, active) => {
+    const root = `http://${req.headers.host}`;
+    if (req.method === 'GET' && (path === '/config' || path === `${API_PREFIX}/config`)) {
+      return send(req, res, 200, gradioConfig(root));
+    }
+    if (req.method === 'GET' && path === `${API_PREFIX}/info`) return send(req, res, 200, API_INFO);
+    if (req.method === 'GET' && path === `${API_PREFIX}/app_id`) return send(req, res, 200, { app_id: 4242 });
+    if (req.method === 'GET' && path === `${API_PREFIX}/heartbeat/${url.pathname.split('/').pop()}`) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', ...corsHeaders(req) });
+      return undefined;  // Kept open, like Gradio's
+    }
+    if (req.method === 'POST' && path === `${API_PREFIX}/upload`) {
+      const files = parseMultipart(await readBody(req), req.headers['content-type']).filter((part) => part.fileName);
+      const paths = files.map((file) => {
+        const stored = `/tmp/gradio/${crypto.createHash('sha1').update(file.data).digest('hex')}/${file.fileName}`;
+        uploads.set(stored, file.data);
+        return stored;
+      });
+      return send(req, res, 200, paths);
+    }
+    if (req.method === 'POST' && path === `${API_PREFIX}/queue/join`) {
+      const payload = JSON.parse((await readBody(req)).toString() || '{}');
+      const image = uploads.get(payload.data?.[0]?.path);
+      if (!image) return send(req, res, 422, { detail: 'Mock backend: the image was not uploaded' });
+      const eventId = crypto.randomUUID();
+      const session = sessions.get(payload.session_hash) || { res: null, buffered: [], pending: 0 };
+      session.pending += 1;
+      sessions.set(payload.session_hash, session);
+      runJob(payload.session_hash, eventId, active, image);
+      return send(req, res, 200, { event_id: eventId });
+    }
+    if (req.method === 'GET' && path === `${API_PREFIX}/queue/data`) {
+      const sessionHash = url.searchParams.get('session_hash');
+      const session = sessions.get(sessionHash) || { res: null, buffered: [], pending: 0 };
+      sessions.set(sessionHash, session);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', ...corsHeaders(req) });
+      session.res = res;
+      session.buffered.splice(0).forEach((message) => emit(sessionHash, message));
+      closeIfIdle(sessionHash);
+      req.on('close', () => {
+        if (sessions.get(sessionHash)?.res === res) sessions.get(sessionHash).res = null;
+      });
+      return undefined;
+    }
+    if (req.method === 'POST' && (path === `${API_PREFIX}/cancel` || path === `${API_PREFIX}/reset`)) {
+      return send(req, res, 200, { success: true });
+    }
+    return send(req, res, 404, { detail: 'Not Found' });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders(req));
+      res.end();
+      return;
+    }
+    try {
+      if (req.method === 'POST' && path === '/__mock/scenario') {
+        const { scenario: next } = JSON.parse((await readBody(req)).toString() || '{}');
+        if (!SCENARIOS.includes(next)) return send(req, res, 400, { error: `Unknown scenario; use one of ${SCENARIOS.join(', ')}` });
+        current = next;
+        bootedAt = null;
+        return send(req, res, 200, { scenario: current });
+      }
+
+      const active = scenarioOf(req, url);
+      if (starting(active)) {
+        res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '5', ...corsHeaders(req) });
+        res.end(JSON.stringify({ error: 'Space is starting, please wait' }));
+        return undefined;
+      }
+      if (req.method === 'POST' && path === '/api/predict') return handleRest(req, res, active);
+      return handleGradio(req, res, url, path, active);
+    } catch (err) {
+      return send(req, res, 500, { error: err.message });
+    }
+  });
+
+  server.setScenario = (next) => {
+    current = next;
+    bootedAt = null;
+  };
+  Object.defineProperty(server, 'scenario', { get: () => current });
+  return server;
+};
+
+module.exports = { createMockBackend, SCENARIOS, FIXTURES };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : fallback;
+  };
+  const port = Number(option('port', process.env.PORT || 7860));
+  const scenario = option('scenario', process.env.MOCK_SCENARIO || 'auto');
+  if (!SCENARIOS.includes(scenario)) {
+    console.error(`Unknown scenario "${scenario}"; use one of ${SCENARIOS.join(', ')}`);
+    process.exit(1);
+  }
+  createMockBackend({ scenario }).listen(port, () => {
+    console.log(`Mock backend (${scenario}) on http://localhost:${port}`);
+    console.log(`  Gradio: REACT_APP_INFERENCE_PROVIDER=gradio-url REACT_APP_GRADIO_URL=http://localhost:${port}`);
+    console.log(`  REST:   REACT_APP_INFERENCE_PROVIDER=rest REACT_APP_REST_URL=http://localhost:${port}/api/predict`);
+  });
+}
@@ -1,27 +1,215 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Upload, Activity, Brain, Database, Github, AlertCircle, CheckCircle, XCircle, ChevronDown, Menu, X, ArrowUp } from 'lucide-react';
-import { Client } from "@gradio/client";
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Upload, Activity, Brain, AlertCircle, CheckCircle, XCircle, ChevronDown, Menu, X, ArrowUp, FolderOpen, Expand } from 'lucide-react';
+import SettingsPanel from './components/SettingsPanel';
+import BatchQueue from './components/BatchQueue';
+import HeatmapOverlay from './components/HeatmapOverlay';
+import HistoryPanel from './components/HistoryPanel';
+import ReportActions from './components/ReportActions';
+import XrayViewer from './components/XrayViewer';
+import AnalysisProgress from './components/AnalysisProgress';
+import BackendStatus from './components/BackendStatus';
+import IntakeErrors from './components/IntakeErrors';
+import DecisionDetails from './components/DecisionDetails';
+import SharedResult from './components/SharedResult';
+import ModelCard from './components/ModelCard';
+import EvaluationDashboard from './components/EvaluationDashboard';
+import SampleGallery from './components/SampleGallery';
+import GroundTruthCheck from './components/GroundTruthCheck';
+import OfflineQueue from './components/OfflineQueue';
+import ConsentDialog from './components/ConsentDialog';
+import ReviewFeedback from './components/ReviewFeedback';
+import ReviewLog from './components/ReviewLog';
+import ModelPicker from './components/ModelPicker';
+import EnsembleResults from './components/EnsembleResults';
+import useHistory from './hooks/useHistory';
+import useBatchQueue from './hooks/useBatchQueue';
+import useBackendHealth from './hooks/useBackendHealth';
+import useHashRoute from './hooks/useHashRoute';
+import useModelCard from './hooks/useModelCard';
+import useEvaluation from './hooks/useEvaluation';
+import useOfflineQueue from './hooks/useOfflineQueue';
+import useReviews from './hooks/useReviews';
+import { parseHash } from './utils/routing';
+import { collectDroppedFiles, ACCEPT_ATTRIBUTE } from './utils/files';
+import { intakeFile, validateFile } from './services/intake';
+import { preprocessImage, preprocessOptions } from './services/preprocessing';
+import { fetchSample } from './services/samples';
+import { shouldDefer, isOfflineFailure } from './services/offlineQueue';
+import { loadConsent, giveConsent, revokeConsent, needsConsent } from './services/consent';
+import { HISTORY_IMAGE_SIZE } from './services/history';
+import { createReview, REVIEW_IMAGE_SIZE } from './services/reviews';
+import { accuracyFigure } from './services/modelCard';
+import { predict, providerMode, describeBackend, decisionRule } from './services/inference';
+import { selectedModels, settingsFor, DEFAULT_MODEL } from './services/inference/models';
+import { predictModels, combineResults } from './services/inference/ensemble';
+import { classifyError } from './services/inference/errors';
+import { decisionOf } from './services/inference/normalize';
+import { loadSettings, saveSettings, resetSettings } from './config';
+import { downscaleImage, downscaleToDataUrl, dataUrlToFile } from './utils/image';
+import { MEDICAL_DISCLAIMER } from './constants';
+
+// Colours and icon for each result decision
+const DECISION_STYLES = {
+  normal: { border: 'border-green-500/50', text: 'text-green-400', bar: 'from-green-500 to-green-400', Icon: CheckCircle },
+  pneumonia: { border: 'border-red-500/50', text: 'text-red-400', bar: 'from-red-500 to-red-400', Icon: XCircle },
+  inconclusive: { border: 'border-yellow-500/50', text: 'text-yellow-400', bar: 'from-yellow-500 to-yellow-400', Icon: AlertCircle }
+};
+
+// Sections shown in the navigation bar, in page order
+const NAV_ITEMS = [
+  { id: 'home', label: 'Home' },
+  { id: 'understanding', label: 'About Disease' },
+  { id: 'testing', label: 'Detection' },
+  { id: 'history', label: 'History' },
+  { id: 'technical', label: 'Model Info' }
+];
+
 // Main component for pneumonia detection web application
 // Handles image upload, ML prediction, and displays educational content about pneumonia
 const PneumoniaDetectionSite = () => {
   // State management for the application
-  const [activeSection, setActiveSection] = useState('home');  // Track current section for nav highlighting
+  const [activeSection, setActiveSection] = useState(() => parseHash(window.location.hash).section);  // Track current section for nav highlighting
   const [uploadedImage, setUploadedImage] = useState(null);    // Store uploaded file object
+  const [imageOrigin, setImageOrigin] = useState(null);        // 'upload' (intake image) or 'history' (re-opened copy)
   const [prediction, setPrediction] = useState(null);          // Store ML model prediction results
   const [loading, setLoading] = useState(false);               // Loading state during API call
   const [menuOpen, setMenuOpen] = useState(false);             // Mobile hamburger menu toggle
   const [imagePreview, setImagePreview] = useState(null);      // Base64 image preview URL
   const [scrolled, setScrolled] = useState(false);             // Track scroll position for navbar shrink effect
   const [showScrollTop, setShowScrollTop] = useState(false);   // Show/hide scroll-to-top button
+  const [dicomInfo, setDicomInfo] = useState(null);            // Tags of the uploaded DICOM file, if it was one
+  const [metadataRemoved, setMetadataRemoved] = useState([]);  // Kinds of metadata stripped from the selected image
+  const [intakeErrors, setIntakeErrors] = useState([]);        // Files rejected at intake [{ fileName, message }]
+  const [sample, setSample] = useState(null);                  // Sample X-ray in the upload flow, with its ground truth
+  const [retryInfo, setRetryInfo] = useState(null);            // Pending automatic retry { attempt, retries, delay, error }
+  const [progress, setProgress] = useState(null);              // Live backend status { phase, position, queueSize, eta, message }
+  const [startedAt, setStartedAt] = useState(null);            // When the current analysis started, for the elapsed time
+  const [viewerOpen, setViewerOpen] = useState(false);         // Full-size X-ray viewer modal
+  const [processedImage, setProcessedImage] = useState(null);  // Preprocessed model input { file, previewUrl, size }
+  const [settings, setSettings] = useState(loadSettings);      // Inference provider settings (build defaults + saved overrides)
+  const [consent, setConsent] = useState(loadConsent);         // Consent to upload X-rays to remote backends, or null
+  const [consentRequest, setConsentRequest] = useState(null);  // Analysis waiting for that consent
+
+  // The image a model receives: an image that passed intake (validation, conversion to PNG)
+  // through the preprocessing pipeline, at the input size of the model the settings run
+  const modelInput = async (image, modelSettings = settings) => {
+    const options = preprocessOptions(modelSettings);
+    return options ? (await preprocessImage(image, options)).file : image;
+  };
+
+  // Locally stored analyses
+  const history = useHistory();
+
+  // Reviewer verdicts on results, for agreement stats and the retraining dataset
+  const reviews = useReviews();
+
+  // Model card of the configured backend, for the Technical section and result versioning
+  const modelCard = useModelCard(settings.modelCardUrl);
+  const evaluation = useEvaluation(modelCard.card, modelCard.url);
+  const interpretation = accuracyFigure(modelCard.card);  // "N out of 100" from the card, or null
+
+  // Version of a model's result: providers that know it (on-device) report it; otherwise the
+  // model card's applies, which documents the backend's default model
+  const withVersion = (model, result) => ({
+    ...result,
+    modelVersion: result.modelVersion || (model === DEFAULT_MODEL ? modelCard.card?.version : null) || null
+  });
+
+  // Record when and where a result was produced, for history and reports
+  const stampResult = (result) => ({
+    ...result,
+    analyzedAt: new Date().toISOString(),
+    backend: describeBackend(settings)
+  });
+
+  // Run the selected models; several are combined into an ensemble result
+  // prepare(modelSettings) resolves to the image for each model, as input sizes differ.
+  const runModels = async (prepare, options) => {
+    const models = selectedModels(settings);
+    if (models.length === 1) {
+      const modelSettings = settingsFor(models[0], settings);
+      return stampResult(withVersion(models[0], await predict(await prepare(modelSettings), modelSettings, options)));
+    }
+    const members = await predictModels(models, prepare, settings, options);
+    const versioned = members.map((member) => (member.result ? { ...member, result: withVersion(member.model, member.result) } : member));
+    return stampResult(combineResults(versioned, settings.ensembleMethod, decisionRule(settings)));
+  };
+
+  // Save a finished analysis to the local history (thumbnail + downscaled copy for re-opening)
+  // Resolves with the saved entry, or null if it could not be saved.
+  const saveToHistory = async (fileName, image, result) => {
+    try {
+      return await history.add({
+        fileName,
+        thumbnail: await downscaleToDataUrl(image, 96),
+        image: await downscaleToDataUrl(image, HISTORY_IMAGE_SIZE),
+        result,
+        backend: result.backend
+      });
+    } catch (err) {
+      console.error('Could not save analysis to history', err);
+      return null;
+    }
+  };
+
+  // Latest upload consent, read by queued work right before it uploads
+  const consentRef = useRef(consent);
+  consentRef.current = consent;
+
+  // Queue for analysing several X-rays at once
+  // Items still queued when consent is revoked (or the backend changed) fail instead of uploading; Retry asks again.
+  const batch = useBatchQueue(
+    async (file, options) => {
+      const { file: image } = await intakeFile(file);
+      if (needsConsent(settings, consentRef.current)) throw new Error('Upload consent was revoked or does not cover this backend, so this X-ray was not sent.');
+      const result = await runModels((modelSettings) => modelInput(image, modelSettings), options);
+      saveToHistory(file.name, image, result);
+      return result;
+    },
+    Number(settings.batchConcurrency) || 1
+  );
+
+  // Analyses made while offline, submitted when the connection returns
+  const offlineQueue = useOfflineQueue(async ({ file, fileName, groundTruth }) => {
+    if (needsConsent(settings, loadConsent())) throw new Error('Upload consent was revoked or does not cover this backend, so this X-ray was not sent.');
+    const { file: image } = await intakeFile(file);
+    const stamped = await runModels((modelSettings) => modelInput(image, modelSettings));
+    const result = groundTruth ? { ...stamped, groundTruth } : stamped;
+    return { result, entry: await saveToHistory(fileName, image, result) };
+  });
+
+  // Shared backend connection, warmed up before the first analysis
+  const { health, warmUp } = useBackendHealth(settings);
+  useEffect(() => {
+    if (activeSection === 'testing') warmUp();
+  }, [activeSection, warmUp]);
+
+  // AbortController of the analysis in flight, so it can be cancelled
+  const analysisRef = useRef(null);
 
   // Refs for smooth scrolling navigation between sections
   const sectionsRef = {
     home: useRef(null),
     understanding: useRef(null),
     testing: useRef(null),
+    history: useRef(null),
     technical: useRef(null)
   };
 
+  // Re-run preprocessing for the before/after preview whenever the image or pipeline settings change
+  const { preprocess, modelInputSize, preprocessFit, preprocessContrast } = settings;
+  useEffect(() => {
+    setProcessedImage(null);
+    const options = preprocessOptions({ preprocess, modelInputSize, preprocessFit, preprocessContrast });
+    if (!uploadedImage || !options) return;
+
+    let cancelled = false;
+    preprocessImage(uploadedImage, options)
+      .then((result) => !cancelled && setProcessedImage(result))
+      .catch((err) => !cancelled && setIntakeErrors([{ fileName: uploadedImage.name, message: err.message }]));
+    return () => { cancelled = true; };
+  }, [uploadedImage, preprocess, modelInputSize, preprocessFit, preprocessContrast]);
+
   // Handle scroll events for navbar effects and section tracking
   useEffect(() => {
     const handleScroll = () => {
@@ -49,9 +237,14 @@ const PneumoniaDetectionSite = () => {
     return () => window.removeEventListener('scroll', handleScroll);
   }, []);
 
-  // Smooth scroll to specific section
-  const scrollToSection = (section) => {
+  // URL routes for sections and shared results; the page scrolls to the routed section
+  const { route, navigate } = useHashRoute(activeSection, ({ section }) => {
     sectionsRef[section].current?.scrollIntoView({ behavior: 'smooth' });
+  });
+
+  // Navigate to a section, adding it to the browser history
+  const scrollToSection = (section) => {
+    navigate(section);
     setMenuOpen(false);  // Close mobile menu after navigation
   };
 
@@ -60,102 +253,224 @@ const PneumoniaDetectionSite = () => {
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
-  // Process uploaded image file and generate preview
-  const handleImageUpload = (e) => {
-    const file = e.target.files[0];
-    if (file && (file.type === 'image/jpeg' || file.type === 'image/png')) {
-      setUploadedImage(file);
-      
-      // Convert image to base64 for preview
-      const reader = new FileReader();
-      reader.onloadend = () => setImagePreview(reader.result);
-      reader.readAsDataURL(file);
-      
-      setPrediction(null);  // Reset previous predictions
+  // Load a single image into the upload/analyze flow and generate its preview
+  const selectImage = (file) => {
+    setUploadedImage(file);
+    setImageOrigin('upload');
+
+    // Convert image to base64 for preview
+    const reader = new FileReader();
+    reader.onloadend = () => setImagePreview(reader.result);
+    reader.readAsDataURL(file);
+
+    setPrediction(null);  // Reset previous predictions
+  };
+
+  // One image goes to the single-image flow, several go to the batch queue
+  // Files failing the header checks are reported instead of silently dropped.
+  const intakeFiles = async (files) => {
+    const checked = await Promise.all(files.map((file) => validateFile(file).then(
+      () => ({ file }),
+      (error) => ({ file, error })
+    )));
+    const rejected = checked.filter(({ error }) => error).map(({ file, error }) => ({ fileName: file.name, message: error.message }));
+    const accepted = checked.filter(({ error }) => !error).map(({ file }) => file);
+    setIntakeErrors(rejected);
+    setSample(null);
+
+    if (accepted.length > 1) {
+      withConsent(() => batch.add(accepted));
+      return;
+    }
+    if (!accepted.length) return;
+
+    // Every image is re-encoded in the browser without its metadata; dimensions are checked after decoding
+    try {
+      const { file, tags, metadata } = await intakeFile(accepted[0]);
+      selectImage(file);
+      setDicomInfo(tags || null);
+      setMetadataRemoved(metadata);
+    } catch (err) {
+      setIntakeErrors([...rejected, { fileName: accepted[0].name, message: err.message }]);
+    }
+  };
+
+  // Load a labelled sample X-ray into the upload/analyze flow
+  const loadSample = async (entry) => {
+    try {
+      const { file, metadata } = await intakeFile(await fetchSample(entry));
+      cancelAnalysis();
+      selectImage(file);
+      setDicomInfo(null);
+      setMetadataRemoved(metadata);
+      setIntakeErrors([]);
+      setSample(entry);
+    } catch (err) {
+      setIntakeErrors([{ fileName: entry.title, message: err.message }]);
     }
   };
 
+  // Process files chosen through the file or folder picker
+  const handleImageUpload = (e) => {
+    intakeFiles([...e.target.files]);
+    e.target.value = '';  // Allow picking the same file again
+  };
+
   // Enable drag and drop functionality
   const handleDragOver = (e) => {
     e.preventDefault();
     e.stopPropagation();
   };
 
-  // Handle dropped image files
-  const handleDrop = (e) => {
+  // Handle dropped image files and folders
+  const handleDrop = async (e) => {
     e.preventDefault();
     e.stopPropagation();
-    const file = e.dataTransfer.files[0];
-    if (file && (file.type === 'image/jpeg' || file.type === 'image/png')) {
-      setUploadedImage(file);
-      const reader = new FileReader();
-      reader.onloadend = () => setImagePreview(reader.result);
-      reader.readAsDataURL(file);
-      setPrediction(null);
+    intakeFiles(await collectDroppedFiles(e.dataTransfer));
+  };
+
+  // Run an action that uploads X-rays, asking for consent first if it has not been given
+  const withConsent = (action) => {
+    if (needsConsent(settings, consent)) setConsentRequest(() => action);
+    else action();
+  };
+
+  const acceptConsent = () => {
+    setConsent(giveConsent(settings));
+    setConsentRequest(null);
+    consentRequest();
+  };
+  const declineConsent = useCallback(() => setConsentRequest(null), []);
+
+  // Keep the selected image for analysis once the connection returns, and clear the upload
+  const deferAnalysis = async () => {
+    try {
+      await offlineQueue.add({
+        file: uploadedImage,
+        fileName: uploadedImage.name,
+        ...(sample && { groundTruth: sample.truth })
+      });
+      removeImage();
+    } catch (err) {
+      console.error('Could not queue analysis', err);
+      setPrediction({ error: `You're offline and this browser could not keep the X-ray for later (${err.message}). Try again once you're back online.` });
     }
   };
 
-  // Send image to Flask backend for pneumonia prediction
-  // const analyzeImage = async () => {
-  //   if (!uploadedImage) return;
-    
-  //   setLoading(true);
-  //   const formData = new FormData();
-  //   formData.append('image', uploadedImage);
-
-  //   try {
-  //     // Switch between local development and production API endpoints
-  //     const apiUrl = process.env.NODE_ENV === 'production' 
-  //       ? '/api/predict' 
-  //       : 'http://localhost:5001/api/predict';
-      
-  //     const response = await fetch(apiUrl, {
-  //       method: 'POST',
-  //       body: formData
-  //     });
-  //     const data = await response.json();
-  //     setPrediction(data);
-  //   } catch (error) {
-  //     console.error('Prediction error:', error);
-  //     setPrediction({ 
-  //       prediction: 'Error', 
-  //       confidence: 0,
-  //       error: 'Failed to analyze image. Please try again.'
-  //     });
-  //   } finally {
-  //     setLoading(false);
-  //   }
-  // };
-
-
-const analyzeImage = async () => {
-  if (!uploadedImage) return;
-
-  setLoading(true);
-  setPrediction(null);
-
-  try {
-    const client = await Client.connect(
-      "vish-05/xray-pneumonia-backend"
-    );
-
-    const result = await client.predict("/predict", {
-      image: uploadedImage
-    });
-
-    setPrediction({
-      prediction: result.data[0],
-      confidence: result.data[1]
-    });
-
-  } catch (err) {
-    console.error(err);
-    setPrediction({ error: "Prediction failed" });
-  } finally {
+  // Send image to the configured inference provider for pneumonia prediction
+  const analyzeImage = async () => {
+    if (!uploadedImage) return;
+    if (shouldDefer(settings)) {
+      deferAnalysis();
+      return;
+    }
+
+    const controller = new AbortController();
+    analysisRef.current = controller;
+    setLoading(true);
+    setPrediction(null);
+    setRetryInfo(null);
+    setProgress(null);
+    setStartedAt(Date.now());
+
+    try {
+      // Send the previewed model input if it is ready and fits the model, otherwise prepare it now
+      const prepare = async (modelSettings) => (
+        processedImage && modelSettings.modelInputSize === settings.modelInputSize
+          ? processedImage.file
+          : modelInput((await intakeFile(uploadedImage)).file, modelSettings)
+      );
+      const stamped = await runModels(prepare, {
+        signal: controller.signal,
+        onProgress: (update) => {
+          if (analysisRef.current !== controller) return;  // Late event from a cancelled job
+          setRetryInfo(null);
+          setProgress(update);
+        },
+        onRetry: (info) => {
+          setRetryInfo(info);
+          setProgress(null);
+        }
+      });
+      // Samples carry their ground truth so the result can be checked against it
+      const result = sample ? { ...stamped, groundTruth: sample.truth } : stamped;
+      setPrediction(result);
+      saveToHistory(uploadedImage.name, uploadedImage, result);
+    } catch (err) {
+      if (controller.signal.aborted) return;  // Cancelled: cancelAnalysis already reset the UI
+      const error = classifyError(err);
+      if (isOfflineFailure(error)) {
+        deferAnalysis();  // Connection dropped mid-request: queue it instead of failing
+        return;
+      }
+      console.error(error.detail || error);
+      setPrediction({ error: error.message, errorCode: error.code });
+    } finally {
+      if (analysisRef.current === controller) {
+        analysisRef.current = null;
+        setLoading(false);
+        setRetryInfo(null);
+        setProgress(null);
+      }
+    }
+  };
+
+  // Abort the in-flight analysis and bring back the Analyze button
+  const cancelAnalysis = () => {
+    analysisRef.current?.abort();
+    analysisRef.current = null;
     setLoading(false);
-  }
-};
+    setRetryInfo(null);
+    setProgress(null);
+  };
+
+  // Clear the selected image and anything analysed for it
+  const removeImage = () => {
+    cancelAnalysis();
+    setUploadedImage(null);
+    setImagePreview(null);
+    setDicomInfo(null);
+    setMetadataRemoved([]);
+    setSample(null);
+    setPrediction(null);
+  };
+
+  // Stable close handler so the viewer's keyboard listener is not re-registered every render
+  const closeViewer = useCallback(() => setViewerOpen(false), []);
+
+  // Load a past analysis back into the Detection section
+  const openHistoryEntry = async (entry) => {
+    setUploadedImage(await dataUrlToFile(entry.image, entry.fileName));
+    setImageOrigin('history');
+    setImagePreview(entry.image);
+    setDicomInfo(null);
+    setMetadataRemoved([]);
+    setIntakeErrors([]);
+    setSample(null);
+    setPrediction(entry.result);
+    scrollToSection('testing');
+  };
+
+  // Review of the displayed result, matched by when it was analysed
+  const currentReview = prediction?.analyzedAt
+    ? reviews.reviews.find((review) => review.result.analyzedAt === prediction.analyzedAt)
+    : null;
+
+  // Record the reviewer's verdict on the displayed result with a copy of the image for the dataset
+  // A result re-opened from history only has the history copy, so the review records which copy it got.
+  const saveReview = async ({ label, notes }) => {
+    const { dataUrl: image, width, height } = await downscaleImage(uploadedImage, REVIEW_IMAGE_SIZE);
+    const review = createReview({ result: prediction, image, imageSource: { origin: imageOrigin, width, height }, label, notes });
+    return reviews.save(currentReview ? { ...review, id: currentReview.id } : review);
+  };
 
+  // Apply and persist runtime backend settings
+  const handleSettingsChange = (next) => setSettings(saveSettings(next));
+  const handleSettingsReset = () => setSettings(resetSettings());
+
+  // Styling for the current result's decision
+  const resultDecision = prediction && !prediction.error ? decisionOf(prediction) : null;
+  const resultStyle = DECISION_STYLES[resultDecision];
 
   return (
 
@@ -174,15 +489,17 @@ const analyzeImage = async () => {
             }`}>
               PneumoAI
             </div>
+
+            {/* Backend connection status */}
+            {health && (
+              <div className="ml-3 mr-auto">
+                <BackendStatus health={health} onCheck={warmUp} />
+              </div>
+            )}
             
             {/* Desktop Navigation Menu */}
             <div className="hidden md:flex space-x-2">
-              {[
-                { id: 'home', label: 'Home' },
-                { id: 'understanding', label: 'About Disease' },
-                { id: 'testing', label: 'Detection' },
-                { id: 'technical', label: 'Model Info' }
-              ].map(({ id, label }) => (
+              {NAV_ITEMS.map(({ id, label }) => (
                 <button
                   key={id}
                   onClick={() => scrollToSection(id)}
@@ -211,12 +528,7 @@ const analyzeImage = async () => {
         {menuOpen && (
           <div className="md:hidden bg-slate-900 border-t border-blue-500/20">
             <div className="px-4 py-4 space-y-2">
-              {[
-                { id: 'home', label: 'Home' },
-                { id: 'understanding', label: 'About Disease' },
-                { id: 'testing', label: 'Detection' },
-                { id: 'technical', label: 'Model Info' }
-              ].map(({ id, label }) => (
+              {NAV_ITEMS.map(({ id, label }) => (
                 <button
                   key={id}
                   onClick={() => scrollToSection(id)}
@@ -234,6 +546,20 @@ const analyzeImage = async () => {
         )}
       </nav>
 
+      {/* Full-size X-ray viewer */}
+      {viewerOpen && imagePreview && (
+        <XrayViewer
+          src={imagePreview}
+          title={uploadedImage?.name || 'X-ray'}
+          onClose={closeViewer}
+        />
+      )}
+
+      {/* Upload consent, asked before the first remote analysis */}
+      {consentRequest && (
+        <ConsentDialog settings={settings} onAccept={acceptConsent} onCancel={declineConsent} />
+      )}
+
       {/* Scroll to Top Button*/}
       {showScrollTop && (
         <button
@@ -404,7 +730,8 @@ const analyzeImage = async () => {
               <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20">
                 <h3 className="text-xl font-semibold mb-4 text-cyan-400">How to Interpret Results</h3>
                 <p className="text-blue-100 leading-relaxed mb-4">
-                  Our AI model analyzes your chest X-ray and provides a prediction with a confidence score. Think of it like this: if we tested 100 X-rays, the model would correctly identify approximately 87 out of 100 cases.
+                  Our AI model analyzes your chest X-ray and provides a prediction with a confidence score.
+                  {interpretation && ` Think of it like this: on the ${interpretation.split.toLowerCase()} set, model v${interpretation.version} correctly identified approximately ${interpretation.correct} out of 100 X-rays.`}
                 </p>
                 <div className="space-y-3">
                   <div className="flex items-center space-x-3">
@@ -447,6 +774,14 @@ const analyzeImage = async () => {
 
             {/* Right Column - Upload interface and results */}
             <div className="space-y-6">
+              {/* Result summary opened from a share link */}
+              {route.share !== undefined && (
+                <SharedResult summary={route.share} onClose={() => navigate('testing')} />
+              )}
+
+              {/* Offline notice and analyses waiting for a connection */}
+              <OfflineQueue queue={offlineQueue} onOpen={openHistoryEntry} />
+
               <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20">
                 <h3 className="text-xl font-semibold mb-6 text-cyan-400">Upload X-Ray Image</h3>
                 
@@ -459,96 +794,231 @@ const analyzeImage = async () => {
                   {!imagePreview ? (
                     <>
                       <Upload className="w-16 h-16 text-blue-400 mx-auto mb-4" />
-                      <p className="text-blue-200 mb-2">Drag and drop your X-ray here</p>
+                      <p className="text-blue-200 mb-2">Drag and drop your X-rays or a folder here</p>
                       <p className="text-sm text-blue-300 mb-4">or</p>
-                      <label className="inline-block px-6 py-3 bg-blue-500 hover:bg-blue-600 rounded-lg cursor-pointer transition-colors">
-                        Browse Files
-                        <input
-                          type="file"
-                          accept="image/jpeg,image/png"
-                          onChange={handleImageUpload}
-                          className="hidden"
-                        />
-                      </label>
-                      <p className="text-xs text-blue-300 mt-4">Supported formats: JPEG, PNG</p>
+                      <div className="flex flex-wrap gap-2 justify-center">
+                        <label className="inline-block px-6 py-3 bg-blue-500 hover:bg-blue-600 rounded-lg cursor-pointer transition-colors">
+                          Browse Files
+                          <input
+                            type="file"
+                            accept={ACCEPT_ATTRIBUTE}
+                            multiple
+                            onChange={handleImageUpload}
+                            className="hidden"
+                          />
+                        </label>
+                        <label className="inline-flex items-center px-6 py-3 bg-slate-700 hover:bg-slate-600 rounded-lg cursor-pointer transition-colors">
+                          <FolderOpen className="w-4 h-4 mr-2" />
+                          Select Folder
+                          <input
+                            type="file"
+                            webkitdirectory=""
+                            multiple
+                            onChange={handleImageUpload}
+                            className="hidden"
+                          />
+                        </label>
+                      </div>
+                      <p className="text-xs text-blue-300 mt-4">Supported formats: JPEG, PNG, WebP, BMP, TIFF, DICOM · Several files are analysed as a batch</p>
                     </>
                   ) : (
                     <div className="space-y-3">
-                      <img src={imagePreview} alt="Preview" className="max-h-16 mx-auto rounded-lg" />
+                      {/* Before/after preview of the preprocessing pipeline */}
+                      <div className="flex gap-3 justify-center items-end">
+                        <figure>
+                          <button onClick={() => setViewerOpen(true)} className="block mx-auto" aria-label="Open full-size viewer">
+                            <img src={imagePreview} alt="Preview" className="max-h-32 mx-auto rounded-lg cursor-zoom-in" />
+                          </button>
+                          <figcaption className="text-xs text-blue-300 mt-1">Original</figcaption>
+                        </figure>
+                        {processedImage && (
+                          <figure>
+                            <img
+                              src={processedImage.previewUrl}
+                              alt="Model input"
+                              className="h-32 w-32 mx-auto rounded-lg border border-cyan-500/40"
+                              style={{ imageRendering: 'pixelated' }}
+                            />
+                            <figcaption className="text-xs text-blue-300 mt-1">
+                              Model input ({processedImage.size}×{processedImage.size})
+                            </figcaption>
+                          </figure>
+                        )}
+                      </div>
                       <div className="flex gap-2 justify-center">
+                        <button
+                          onClick={() => setViewerOpen(true)}
+                          className="inline-flex items-center px-3 py-1.5 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-xs"
+                        >
+                          <Expand className="w-3 h-3 mr-1" />
+                          View Full Size
+                        </button>
                         <label className="inline-block px-3 py-1.5 bg-blue-500 hover:bg-blue-600 rounded-lg cursor-pointer transition-colors text-xs">
                           Change Image
                           <input
                             type="file"
-                            accept="image/jpeg,image/png"
+                            accept={ACCEPT_ATTRIBUTE}
                             onChange={handleImageUpload}
                             className="hidden"
                           />
                         </label>
                         <button
-                          onClick={() => {
-                            setUploadedImage(null);
-                            setImagePreview(null);
-                            setPrediction(null);
-                          }}
+                          onClick={removeImage}
                           className="px-3 py-1.5 bg-red-500 hover:bg-red-600 rounded-lg transition-colors text-xs"
                         >
                           Remove Image
                         </button>
                       </div>
                       <p className="text-xs text-blue-300 text-center">{uploadedImage?.name}</p>
+                      {(metadataRemoved.length > 0 || dicomInfo) && (
+                        <p className="text-xs text-green-300 text-center">
+                          {dicomInfo ? 'DICOM header stays on this device' : `Removed before upload: ${metadataRemoved.join(', ')}`}
+                        </p>
+                      )}
+
+                      {/* DICOM header details */}
+                      {dicomInfo && (
+                        <dl className="grid grid-cols-3 gap-2 text-xs text-left bg-slate-800/60 rounded-lg p-2 border border-blue-500/20">
+                          {[
+                            { label: 'Modality', value: dicomInfo.modality },
+                            { label: 'View', value: dicomInfo.viewPosition },
+                            { label: 'Study Date', value: dicomInfo.studyDate }
+                          ].map(({ label, value }) => (
+                            <div key={label}>
+                              <dt className="text-blue-300">{label}</dt>
+                              <dd className="text-blue-100 font-semibold">{value || '—'}</dd>
+                            </div>
+                          ))}
+                        </dl>
+                      )}
                     </div>
                   )}
+
+                  {/* Files rejected at intake, and why */}
+                  <IntakeErrors errors={intakeErrors} onDismiss={() => setIntakeErrors([])} />
                 </div>
 
+
+                {/* Models to run, and how several are combined */}
+                <ModelPicker settings={settings} onChange={handleSettingsChange} disabled={loading} />
+
                 {/* Analyze button - appears only when image is uploaded */}
                 {uploadedImage && !prediction && (
-                  <button
-                    onClick={analyzeImage}
-                    disabled={loading}
-                    className="w-full mt-4 px-4 py-3 bg-gradient-to-r from-blue-500 to-cyan-500 rounded-xl font-semibold text-lg shadow-lg shadow-blue-500/50 hover:shadow-cyan-500/50 transition-all duration-300 hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    {loading ? (
-                      <span className="flex items-center justify-center">
-                        <Brain className="w-5 h-5 mr-2 animate-pulse" />
-                        Analyzing...
-                      </span>
-                    ) : (
-                      'Analyze X-Ray'
+                  <div className="flex gap-2 mt-4">
+                    <button
+                      onClick={() => withConsent(analyzeImage)}
+                      disabled={loading}
+                      className="flex-1 px-4 py-3 bg-gradient-to-r from-blue-500 to-cyan-500 rounded-xl font-semibold text-lg shadow-lg shadow-blue-500/50 hover:shadow-cyan-500/50 transition-all duration-300 hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {loading ? (
+                        <span className="flex items-center justify-center">
+                          <Brain className="w-5 h-5 mr-2 animate-pulse" />
+                          Analyzing...
+                        </span>
+                      ) : shouldDefer(settings, offlineQueue.online) ? (
+                        'Analyze When Back Online'
+                      ) : (
+                        'Analyze X-Ray'
+                      )}
+                    </button>
+                    {/* Cancel the in-flight analysis */}
+                    {loading && (
+                      <button
+                        onClick={cancelAnalysis}
+                        className="px-4 py-3 bg-slate-700 hover:bg-slate-600 rounded-xl font-semibold transition-colors"
+                      >
+                        Cancel
+                      </button>
                     )}
-                  </button>
+                  </div>
+                )}
+
+                {/* Queue position, phase and elapsed time while the backend works */}
+                {loading && <AnalysisProgress progress={progress} startedAt={startedAt} />}
+
+                {/* Automatic retry notice */}
+                {loading && retryInfo && (
+                  <p className="mt-2 text-xs text-yellow-300 text-center">
+                    {retryInfo.error.message} Retrying in {Math.round(retryInfo.delay / 1000)}s
+                    (attempt {retryInfo.attempt + 1} of {retryInfo.retries + 1})...
+                  </p>
                 )}
+
+                {/* Backend/provider selection */}
+                <SettingsPanel
+                  settings={settings}
+                  onChange={handleSettingsChange}
+                  onReset={handleSettingsReset}
+                  consent={consent}
+                  onRevokeConsent={() => setConsent(revokeConsent())}
+                />
               </div>
 
+              {/* Labelled samples for one-click demos */}
+              <SampleGallery selectedId={uploadedImage && sample?.id} disabled={loading} onSelect={loadSample} />
+
+              {/* Batch queue - appears when several images were selected */}
+              {batch.items.length > 0 && (
+                <BatchQueue
+                  items={batch.items}
+                  onCancel={batch.cancel}
+                  onRetry={(id) => withConsent(() => batch.retry(id))}
+                  onRemove={batch.remove}
+                  onClear={batch.clear}
+                />
+              )}
+
               {/* Prediction results display - appears after analysis */}
               {prediction && (
-                <div className={`bg-slate-800/50 backdrop-blur-lg rounded-2xl p-4 border-2 ${
-                  prediction.error 
-                    ? 'border-yellow-500/50' 
-                    : prediction.prediction?.toLowerCase().includes('normal') 
-                      ? 'border-green-500/50' 
-                      : 'border-red-500/50'
-                }`}>
-                  <h3 className="text-xl font-semibold mb-3 text-cyan-400">Analysis Results</h3>
+                <div
+                  className={`bg-slate-800/50 backdrop-blur-lg rounded-2xl p-4 border-2 ${
+                    prediction.error
+                      ? 'border-yellow-500/50'
+                      : resultStyle.border
+                  }`}
+                  role="region"
+                  aria-labelledby="analysis-results-title"
+                >
+                  <div className="flex items-center justify-between mb-3">
+                    <h3 id="analysis-results-title" className="text-xl font-semibold text-cyan-400">Analysis Results</h3>
+                    {/* Where the image was processed */}
+                    {prediction.provider && (
+                      <span className={`px-2 py-1 rounded-full text-xs border ${
+                        providerMode(prediction.provider) === 'on-device'
+                          ? 'border-green-500/40 text-green-300 bg-green-500/10'
+                          : 'border-blue-500/40 text-blue-200 bg-blue-500/10'
+                      }`}>
+                        {{ 'on-device': 'On-device', mock: 'Mock', remote: 'Remote' }[providerMode(prediction.provider)]}
+                      </span>
+                    )}
+                  </div>
                   
                   {prediction.error ? (
-                    <div className="text-yellow-400 flex items-center">
-                      <AlertCircle className="w-6 h-6 mr-2" />
-                      {prediction.error}
+                    <div className="space-y-3">
+                      <div className="text-yellow-400 flex items-center">
+                        <AlertCircle className="w-6 h-6 mr-2 flex-shrink-0" />
+                        {prediction.error}
+                      </div>
+                      <button
+                        onClick={() => withConsent(analyzeImage)}
+                        className="px-4 py-2 bg-blue-500 hover:bg-blue-600 rounded-lg transition-colors text-sm"
+                      >
+                        Try again
+                      </button>
                     </div>
                   ) : (
                     <>
                       {/* Prediction result with icon */}
                       <div className="flex items-center justify-between mb-4">
                         <div className="flex items-center space-x-3">
-                          {prediction.prediction?.toLowerCase().includes('normal') ? (
-                            <CheckCircle className="w-10 h-10 text-green-400" />
-                          ) : (
-                            <XCircle className="w-10 h-10 text-red-400" />
-                          )}
+                          <resultStyle.Icon className={`w-10 h-10 ${resultStyle.text}`} />
                           <div>
-                            <div className="text-ml font-bold">{prediction.prediction || 'Unknown'}</div>
-                            <div className="text-sm text-blue-300">Classification Result</div>
+                            <div className={`text-ml font-bold ${resultDecision === 'inconclusive' ? resultStyle.text : ''}`}>{prediction.prediction || 'Unknown'}</div>
+                            <div className="text-sm text-blue-300">
+                              {prediction.ensemble
+                                ? `Ensemble Verdict · ${prediction.ensemble.members.length} models`
+                                : <>Classification Result{prediction.modelVersion && ` · model v${prediction.modelVersion}`}</>}
+                            </div>
                           </div>
                         </div>
                       </div>
@@ -563,15 +1033,51 @@ const analyzeImage = async () => {
                         </div>
                         <div className="w-full bg-slate-700 rounded-full h-3 overflow-hidden">
                           <div
-                            className={`h-full rounded-full transition-all duration-1000 ${
-                              prediction.prediction?.toLowerCase().includes('normal')
-                                ? 'bg-gradient-to-r from-green-500 to-green-400'
-                                : 'bg-gradient-to-r from-red-500 to-red-400'
-                            }`}
+                            className={`h-full rounded-full transition-all duration-1000 bg-gradient-to-r ${resultStyle.bar}`}
                             style={{ width: `${(prediction.confidence || 0) * 100}%` }}
                           ></div>
                         </div>
                       </div>
+
+                      {/* Each model's result and whether they agree */}
+                      {prediction.ensemble && <EnsembleResults result={prediction} />}
+
+                      {/* Ground truth of a sample X-ray, and whether the model matched it */}
+                      <GroundTruthCheck result={prediction} />
+
+                      {/* Class probabilities and the threshold used */}
+                      <DecisionDetails result={prediction} />
+
+                      {/* Saliency heatmap - only when the backend provides one */}
+                      {prediction.heatmap ? (
+                        <HeatmapOverlay
+                          image={processedImage?.previewUrl || imagePreview}
+                          heatmap={prediction.heatmap}
+                        />
+                      ) : (
+                        <p className="text-xs text-blue-300 mb-4">
+                          {prediction.ensemble && 'Heatmaps are not combined across models.'}
+                          {!prediction.ensemble && (prediction.heatmapError
+                            ? `The Grad-CAM heatmap could not be computed (${prediction.heatmapError}).`
+                            : 'No heatmap available from this backend.')}
+                        </p>
+                      )}
+
+                      {/* Reviewer confirmation or correction, for the review log */}
+                      <ReviewFeedback
+                        key={`${prediction.analyzedAt}-${currentReview?.id ?? 'new'}`}
+                        result={prediction}
+                        review={currentReview}
+                        onSave={saveReview}
+                      />
+
+                      {/* PDF report download */}
+                      <ReportActions
+                        key={prediction.analyzedAt}
+                        imageSource={imagePreview}
+                        fileName={uploadedImage?.name}
+                        result={prediction}
+                      />
                     </>
                   )}
                   
@@ -582,7 +1088,7 @@ const analyzeImage = async () => {
                       <h4 className="font-semibold text-yellow-400 text-sm">Important Medical Disclaimer</h4>
                     </div>
                     <p className="text-xs text-yellow-100 leading-relaxed mb-2">
-                      This is a preliminary screening tool only and should not be used as a substitute for professional medical advice. Always consult a qualified healthcare professional for accurate diagnosis.
+                      {MEDICAL_DISCLAIMER}
                     </p>
                   </div>  
                 </div>
@@ -592,6 +1098,30 @@ const analyzeImage = async () => {
         </div>
       </section>
 
+      {/* History Section - Analyses saved in this browser */}
+      <section ref={sectionsRef.history} className="py-20 px-4">
+        <div className="max-w-7xl overflow-hidden mx-auto">
+          <h2 className="text-4xl md:text-5xl font-bold text-center mb-12 bg-gradient-to-r from-blue-400 to-cyan-400 bg-clip-text text-transparent pb-2">
+            Analysis History
+          </h2>
+          <HistoryPanel
+            entries={history.entries}
+            error={history.error}
+            onOpen={openHistoryEntry}
+            onDelete={history.remove}
+            onClear={history.clear}
+          />
+
+          {/* Reviewer verdicts, agreement stats and the labelled dataset export */}
+          <ReviewLog
+            reviews={reviews.reviews}
+            error={reviews.error}
+            onDelete={reviews.remove}
+            onClear={reviews.clear}
+          />
+        </div>
+      </section>
+
       {/* Technical Documentation Section - Model architecture and dataset details */}
       <section ref={sectionsRef.technical} className="min-h-screen py-20 pb-8 px-4 w-full overflow-hidden">
         <div className="max-w-7xl overflow-hidden mx-auto">
@@ -599,197 +1129,16 @@ const analyzeImage = async () => {
             Technical Documentation
           </h2>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 md:gap-12 items-start w-full">
-            {/* Left Column - Model visualization and metrics */}
-            <div className="space-y-6">
-              {/* Model architecture diagram */}
-              <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20">
-                <div className="aspect-video bg-black rounded-lg flex items-center justify-center mb-4 overflow-hidden w-full">
-                  <img
-                    src="/images/modelarch.png"
-                    alt="Model Architecture Diagram"
-                    className="w-auto h-auto object-cover"
-                  />
-                </div>
-                <p className="text-center text-sm text-blue-200">Model Architecture Diagram</p>
-              </div>
-
-              {/* Quick stats */}
-              <div className="grid grid-cols-2 gap-4">
-                <div className="bg-slate-800/50 backdrop-blur-lg rounded-xl p-4 border border-blue-500/20 text-center">
-                  <Database className="w-10 h-10 text-cyan-400 mx-auto mb-2" />
-                  <div className="text-2xl font-bold text-cyan-400">5,216</div>
-                  <div className="text-xs text-blue-200">Training Images</div>
-                </div>
-                <div className="bg-slate-800/50 backdrop-blur-lg rounded-xl p-4 border border-blue-500/20 text-center">
-                  <Activity className="w-10 h-10 text-cyan-400 mx-auto mb-2" />
-                  <div className="text-2xl font-bold text-cyan-400">87.36%</div>
-                  <div className="text-xs text-blue-200">Accuracy</div>
-                </div>
-              </div>
-
-              {/* Performance Metrics Card */}
-              <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20">
-                <h4 className="font-semibold mb-4 text-cyan-400">Performance Metrics</h4>
-                {/* Metrics list container */}
-                <div className="space-y-3">
-                  {/* Map through performance metrics array and render each metric */}
-                  {[
-                    { label: 'Accuracy', value: '87.36%' },
-                    { label: 'Precision', value: '89.22%' },
-                    { label: 'Recall', value: '89.62%' },
-                    { label: 'F1-Score', value: '89.42%' }
-                  ].map((metric, i) => (
-                    // Individual metric row with label and value
-                    <div key={i} className="flex justify-between items-center">
-                      <span className="text-blue-200">{metric.label}</span>
-                      <span className="font-semibold text-cyan-400">{metric.value}</span>
-                    </div>
-                  ))}
-                </div>
-              </div>
-
-              {/* Training Details Card */}
-              <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20">
-                <h3 className="text-2xl font-semibold mb-4 text-cyan-400">Training Details</h3>
-                <div className="space-y-4">
-                  {/* Framework Section */}
-                  <div>
-                    <h4 className="font-semibold text-blue-300 mb-2">Framework</h4>
-                    <p className="text-blue-100">TensorFlow 2.18</p>
-                  </div>
-                  {/* Hyperparameters Section */}
-                  <div>
-                    <h4 className="font-semibold text-blue-300 mb-2">Hyperparameters</h4>
-                    {/* List of training hyperparameters used for the model */}
-                    <ul className="space-y-2 text-blue-100 text-sm">
-                      <li>• Optimizer: Adam</li>
-                      <li>• Learning Rate: 0.0001</li>
-                      <li>• Batch Size: 32</li>
-                      <li>• Epochs: 50</li>
-                      <li>• Loss Function: Binary Crossentropy</li>
-                    </ul>
-                  </div>
-                  {/* Data Augmentation Section */}
-                  <div>
-                    <h4 className="font-semibold text-blue-300 mb-2">Data Augmentation</h4>
-                    {/* Description of augmentation techniques applied during training */}
-                    <p className="text-blue-100 text-sm">
-                      Applied rotation, zoom, horizontal flip, and brightness adjustments to improve model generalization and reduce overfitting.
-                    </p>
-                  </div>
-                </div>
-              </div>
-            </div>
-
-            {/* Right Column - Dataset, Architecture, and GitHub sections */}
-            <div className="space-y-6">
-              {/* Dataset Information Card */}
-              <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20">
-                <h3 className="text-2xl font-semibold mb-4 text-cyan-400 flex items-center">
-                  {/* Database icon from Lucide React */}
-                  <Database className="w-6 h-6 mr-2" />
-                  Dataset Information
-                </h3>
-                <div className="space-y-4">
-                  {/* Dataset Name */}
-                  <div>
-                    <h4 className="font-semibold text-blue-300 mb-2">Dataset Name</h4>
-                    <p className="text-blue-100">Chest X-Ray Images (Pneumonia) Dataset</p>
-                  </div>
-                  {/* Dataset Source Link */}
-                  <div>
-                    <h4 className="font-semibold text-blue-300 mb-2">Source</h4>
-                    {/* External link to Kaggle dataset - opens in new tab */}
-                    <a 
-                      href="https://www.kaggle.com/datasets/paultimothymooney/chest-xray-pneumonia" target="_blank"
-                      className="inline-flex items-center px-4 py-2 bg-blue-500/20 hover:bg-blue-500/30 rounded-lg border border-blue-500/30 transition-colors text-cyan-400"
-                    >
-                      View Dataset on Kaggle
-                      <Github className="w-4 h-4 ml-2" />
-                    </a>
-                  </div>
-                  {/* Dataset Statistics */}
-                  <div>
-                    <h4 className="font-semibold text-blue-300 mb-2">Dataset Statistics</h4>
-                    {/* Breakdown of dataset composition and image specifications */}
-                    <ul className="space-y-2 text-blue-100 text-sm">
-                      <li>• Total Images: 5,856</li>
-                      <li>• Training Set: 5,216 images </li>
-                      <li>• Validation Set: 1,248 images </li>
-                      <li>• Test Set: 2,589 images </li>
-                      <li>• Image Resolution: 256 x 256 pixels</li>
-                      <li>• Format: JPEG</li>
-                    </ul>
-                  </div>
-                </div>
-              </div>
-
-              {/* Model Architecture Card */}
-              <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20">
-                <h3 className="text-2xl font-semibold mb-4 text-cyan-400 flex items-center">
-                  {/* Brain icon representing AI/ML */}
-                  <Brain className="w-6 h-6 mr-2" />
-                  Model Architecture
-                </h3>
-                <div className="space-y-4">
-                  {/* Network Type */}
-                  <div>
-                    <h4 className="font-semibold text-blue-300 mb-2">Network Type</h4>
-                    <p className="text-blue-100">Custom VGG-Inspired Convolutional Neural Network (CNN)</p>
-                  </div>
-                  {/* Base Model */}
-                  <div>
-                    <h4 className="font-semibold text-blue-300 mb-2">Base Model</h4>
-                    <p className="text-blue-100">VGG16</p>
-                  </div>
-                  {/* Architecture Details */}
-                  <div>
-                    <h4 className="font-semibold text-blue-300 mb-2">Architecture Details</h4>
-                    {/* Detailed breakdown of neural network layers and parameters */}
-                    <ul className="space-y-2 text-blue-100 text-sm">
-                      <li>• Input Layer: 150 x 150 x 1 (Grayscale)</li>
-                      <li>• Convolutional Layers: 5 layers with increasing filters (32 → 256)</li>
-                      <li>• Pooling Layers: Max pooling with 2 x 2 kernels</li>
-                      <li>• Fully Connected Layers: 1 hidden dense layer (128 neurons)</li>
-                      <li>• Output Layer: Sigmoid activation (Binary classification)</li>
-                      <li>• Total Parameters: ~ 2.3–2.6 Million</li>
-                    </ul>
-                  </div>
-                  {/* Code Snippet Section */}
-                  <div>
-                    <h4 className="font-semibold text-blue-300 mb-2">Code Snippet</h4>
-                    {/* Code block showing model definition in TensorFlow/Keras syntax */}
-                    <div className="bg-slate-900 rounded-lg p-4 text-xs font-mono overflow-x-auto border border-blue-500/30 max-w-full">
-                      <pre className="text-cyan-400 whitespace-pre-wrap break-all overflow-hidden">
-{`model = Sequential([
-    layers.Conv2D(32, kernel_size = (3,3), activation='relu', strides = 1, padding = 'same', input_shape=(150,150,1)),
-    layers.BatchNormalization(),
-    layers.MaxPooling2D((2, 2), strides = 2, padding = 'same'),
-    ...
-    layers.Dropout(0.2),
-    layers.Dense(1, activation='sigmoid'), ])
-`}
-                      </pre>
-                    </div>
-                  </div>
-                </div>
-              </div>
+          {/* Metrics, dataset, training and architecture from the model card */}
+          <ModelCard {...modelCard} />
 
-              {/* GitHub Repository Link Card */}
-              <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-4 border border-blue-500/20">
-                <h4 className="font-semibold text-blue-300 mb-2">GitHub Repository</h4>
-                {/* Link to project's GitHub repository */}
-                <a 
-                  href="https://github.com/vis-05/pneumo-ai.git" target="_blank" 
-                  className="inline-flex items-center px-4 py-3 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-cyan-400 text-sm"
-                >
-                  <Github className="w-4 h-4 mr-2" />
-                  View on GitHub
-                </a>
-              </div>
-            </div>
-          </div>
+          {/* Threshold explorer over the test-set predictions */}
+          <EvaluationDashboard
+            card={modelCard.card}
+            evaluation={evaluation}
+            threshold={settings.decisionThreshold}
+            onUseThreshold={(decisionThreshold) => handleSettingsChange({ ...settings, decisionThreshold })}
+          />
         </div>
       </section>
 
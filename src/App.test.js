@@ -1,8 +1,196 @@
-import { render, screen } from '@testing-library/react';
+import 'fake-indexeddb/auto';
+import 'whatwg-fetch';
+import { render, screen, within, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { clearHistory } from './services/history';
+import { listReviews, clearReviews } from './services/reviews';
+import { encodeShare } from './utils/routing';
 
-test('renders learn react link', () => {
+// End-to-end: upload -> consent -> analyze -> results, against the local mock backend
+// (scripts/mock-backend.js) over real HTTP. jsdom cannot decode images, so intake hands the file
+// straight through (and thumbnails are stubbed); everything from the provider to the results panel
+// runs for real.
+const { createMockBackend } = require('../scripts/mock-backend');
+
+jest.mock('./services/intake', () => ({
+  ...jest.requireActual('./services/intake'),
+  validateFile: async () => 'jpeg',
+  intakeFile: async (file) => ({ file, format: 'jpeg', metadata: ['EXIF'], width: 1024, height: 1024 })
+}));
+jest.mock('./utils/image', () => ({
+  ...jest.requireActual('./utils/image'),
+  downscaleToDataUrl: async () => 'data:image/jpeg;base64,/9j/2Q==',
+  downscaleImage: async () => ({ dataUrl: 'data:image/jpeg;base64,/9j/2Q==', width: 768, height: 768 })
+}));
+
+let server;
+let restUrl;
+
+beforeAll((done) => {
+  server = createMockBackend({ latency: 10, stepTime: 10, bootTime: 60000 });
+  server.listen(0, () => {
+    restUrl = `http://localhost:${server.address().port}/api/predict`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.localStorage.setItem('pneumoai.settings', JSON.stringify({
+    provider: 'rest',
+    restUrl,
+    preprocess: 'off',
+    maxRetries: 0
+  }));
+  window.scrollTo = jest.fn();
+  Element.prototype.scrollIntoView = jest.fn();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => console.error.mockRestore());
+
+const xray = () => new File([new Uint8Array([0xff, 0xd8, 0xff, 0xd9])], 'patient-042.jpg', { type: 'image/jpeg' });
+
+// Upload an X-ray and start the analysis, accepting the upload consent dialog
+// Resolves to the results panel.
+const uploadAndAnalyze = async () => {
+  render(<App />);
+  userEvent.upload(screen.getByLabelText('Browse Files'), xray());
+  userEvent.click(await screen.findByRole('button', { name: 'Analyze X-Ray' }));
+  userEvent.click(within(screen.getByRole('dialog')).getByRole('button', { name: /I agree/ }));
+  return screen.findByRole('region', { name: 'Analysis Results' }, { timeout: 5000 });
+};
+
+test('renders the detection page', () => {
+  render(<App />);
+  expect(screen.getAllByText(/PneumoAI/).length).toBeGreaterThan(0);
+  expect(screen.getByText('Browse Files')).toBeInTheDocument();
+});
+
+test('labels a shared result by its decision, not by the text in the link', () => {
+  const token = encodeShare({ decision: 'pneumonia', prediction: 'Normal - no follow-up needed', probabilities: { pneumonia: 0.91 } });
+  window.history.replaceState(null, '', `/#/result/${token}`);
+  render(<App />);
+  const shared = screen.getByRole('region', { name: 'Shared Result' });
+  expect(within(shared).getByText('Pneumonia')).toBeInTheDocument();
+  expect(screen.queryByText(/no follow-up needed/)).not.toBeInTheDocument();
+  window.history.replaceState(null, '', '/');
+});
+
+test('shows the backend prediction for an uploaded X-ray', async () => {
+  server.setScenario('pneumonia');
+  const results = await uploadAndAnalyze();
+  expect(results).toHaveTextContent(/Pneumonia\s*Classification Result/);
+  expect(results).toHaveTextContent(/Confidence Level\s*91\.4%/);
+  expect(screen.getByText('Removed before upload: EXIF')).toBeInTheDocument();
+});
+
+test('records a reviewer correction in the review log', async () => {
+  server.setScenario('pneumonia');
+  const results = await uploadAndAnalyze();
+  userEvent.click(within(results).getByRole('button', { name: "No, it's Normal" }));
+  userEvent.type(within(results).getByLabelText(/Reviewer notes/), 'Lateral view, lungs clear');
+  userEvent.click(within(results).getByRole('button', { name: 'Save to review log' }));
+
+  expect(await within(results).findByText(/disagrees with the model/)).toBeInTheDocument();
+  expect(screen.getByText('corrected')).toBeInTheDocument();
+  expect(screen.getByText('0 / 1')).toBeInTheDocument();  // Normal: reviewed once, model disagreed
+});
+
+test('records which image copy a review of a re-opened result was made from', async () => {
+  await clearHistory();
+  await clearReviews();
+  server.setScenario('pneumonia');
+  const results = await uploadAndAnalyze();
+  userEvent.click(within(results).getByRole('button', { name: 'Yes, Pneumonia' }));
+  userEvent.click(within(results).getByRole('button', { name: 'Save to review log' }));
+  await within(results).findByText(/agrees with the model/);
+
+  Element.prototype.scrollIntoView.mockClear();
+  userEvent.click(await screen.findByRole('button', { name: 'Open' }));
+  await waitFor(() => expect(Element.prototype.scrollIntoView).toHaveBeenCalled());  // Re-opened and scrolled to it
+  userEvent.click(await within(results).findByRole('button', { name: /Edit/ }));
+  userEvent.click(within(results).getByRole('button', { name: "No, it's Normal" }));
+  userEvent.click(within(results).getByRole('button', { name: 'Save to review log' }));
+  await within(results).findByText(/disagrees with the model/);
+
+  const [review] = await listReviews();
+  expect(review.imageSource).toEqual({ origin: 'history', width: 768, height: 768 });
+});
+
+test('shows a normal result', async () => {
+  server.setScenario('normal');
+  const results = await uploadAndAnalyze();
+  expect(results).toHaveTextContent(/Normal\s*Classification Result/);
+  expect(results).toHaveTextContent(/Confidence Level\s*94\.1%/);
+});
+
+test('explains a backend that is still starting', async () => {
+  server.setScenario('cold-start');
+  const results = await uploadAndAnalyze();
+  expect(results).toHaveTextContent(/backend is waking up/);
+  expect(within(results).getByRole('button', { name: 'Try again' })).toBeInTheDocument();
+});
+
+test('reports a failed prediction', async () => {
+  server.setScenario('error');
+  const results = await uploadAndAnalyze();
+  expect(within(results).getByRole('button', { name: 'Try again' })).toBeInTheDocument();
+  expect(results).not.toHaveTextContent('Confidence Level');
+});
+
+test('asks for consent again before retrying a failed analysis after consent was revoked', async () => {
+  server.setScenario('error');
+  const results = await uploadAndAnalyze();
+  userEvent.click(screen.getByRole('button', { name: /^Backend: REST endpoint/ }));
+  userEvent.click(screen.getByRole('button', { name: 'Revoke' }));
+
+  userEvent.click(within(results).getByRole('button', { name: 'Try again' }));
+  expect(within(screen.getByRole('dialog')).getByRole('button', { name: /I agree/ })).toBeInTheDocument();
+});
+
+test('reports a response it cannot read', async () => {
+  server.setScenario('malformed');
+  const results = await uploadAndAnalyze();
+  expect(results).toHaveTextContent(/could not read/);
+});
+
+test('runs several models side by side and warns when they disagree', async () => {
+  // The second model is only served by the mock provider's fixtures
+  window.localStorage.setItem('pneumoai.settings', JSON.stringify({ provider: 'mock', mockScenario: 'disagree', preprocess: 'off' }));
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  userEvent.click(screen.getByRole('checkbox', { name: /VGG16/ }));
+  userEvent.upload(screen.getByLabelText('Browse Files'), xray());
+  userEvent.click(await screen.findByRole('button', { name: 'Analyze X-Ray' }));
+  const results = await screen.findByRole('region', { name: 'Analysis Results' }, { timeout: 5000 });
+
+  // Mean pneumonia probability (91.4% + 11.2%) / 2 falls in the review band
+  expect(results).toHaveTextContent(/Inconclusive – needs review\s*Ensemble Verdict · 2 models/);
+  expect(within(results).getByRole('alert')).toHaveTextContent('The models disagree - Custom CNN: Pneumonia, VGG16: Normal.');
+  const models = within(within(results).getByRole('list', { name: 'Results per model' })).getAllByRole('listitem');
+  expect(models.map((item) => item.textContent)).toEqual([
+    expect.stringMatching(/^Custom CNN.*Pneumonia.*91\.4%/),
+    expect.stringMatching(/^VGG16Normal.*11\.2%/)
+  ]);
+});
+
+test('asks for consent again before retrying a batch item after consent was revoked', async () => {
+  server.setScenario('error');
+  render(<App />);
+  userEvent.upload(screen.getByLabelText('Browse Files'), [xray(), new File([new Uint8Array([0xff, 0xd8, 0xff, 0xd9])], 'patient-043.jpg', { type: 'image/jpeg' })]);
+  userEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: /I agree/ }));
+  await waitFor(() => expect(screen.getAllByText('failed')).toHaveLength(2), { timeout: 5000 });
+
+  userEvent.click(screen.getByRole('button', { name: /^Backend: REST endpoint/ }));
+  userEvent.click(screen.getByRole('button', { name: 'Revoke' }));
+  server.setScenario('normal');
+  userEvent.click(screen.getByRole('button', { name: 'Retry patient-042.jpg' }));
+  expect(within(screen.getByRole('dialog')).getByRole('button', { name: /I agree/ })).toBeInTheDocument();
+  userEvent.click(within(screen.getByRole('dialog')).getByRole('button', { name: 'Cancel' }));
+  expect(screen.getAllByText('failed')).toHaveLength(2);
 });
@@ -0,0 +1,44 @@
+import React, { useMemo, useEffect } from 'react';
+import AnalyzerWidget from './components/AnalyzerWidget';
+import useModelCard from './hooks/useModelCard';
+import { embedSettings, embedConsentScope, postToHost } from './utils/embed';
+import { EMBED_MESSAGES } from './utils/embedMessages';
+import { shareSummary } from './utils/routing';
+
+// Analyzer-only page shown inside the <pneumo-analyzer> iframe (see utils/embed.js)
+// Results go to the host page as the same image-free summary used for share links.
+const Embed = ({ options }) => {
+  const settings = useMemo(() => embedSettings(options), [options]);
+  const { card } = useModelCard(settings.modelCardUrl);
+
+  // Let the host page's background show around the widget, in the widget's language
+  useEffect(() => {
+    document.documentElement.lang = options.language;
+    document.documentElement.style.background = 'transparent';
+    document.body.style.background = 'transparent';
+  }, [options.language]);
+
+  // Keep the iframe as tall as the widget
+  useEffect(() => {
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(() => {
+      postToHost('resize', { height: document.documentElement.scrollHeight }, options);
+    });
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, [options]);
+
+  return (
+    <AnalyzerWidget
+      settings={settings}
+      theme={options.theme}
+      messages={EMBED_MESSAGES[options.language]}
+      modelVersion={card?.version}
+      consentScope={embedConsentScope(options)}
+      onResult={(result) => postToHost('result', shareSummary(result), options)}
+      onError={(error) => postToHost('error', error, options)}
+    />
+  );
+};
+
+export default Embed;
@@ -0,0 +1,94 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Embed from './Embed';
+import { EMBED_MESSAGE_SOURCE, embedSettings, embedConsentScope } from './utils/embed';
+import { giveConsent } from './services/consent';
+import * as inference from './services/inference';
+
+// jsdom cannot decode images, so intake and preprocessing hand the file straight through
+jest.mock('./services/intake', () => ({
+  ...jest.requireActual('./services/intake'),
+  intakeFile: async (file) => ({ file, format: 'jpeg', metadata: [], width: 1024, height: 1024 })
+}));
+jest.mock('./services/preprocessing', () => ({
+  ...jest.requireActual('./services/preprocessing'),
+  preprocessImage: async (file) => ({ file })
+}));
+
+// The bundled model card is not served in tests
+jest.mock('./hooks/useModelCard', () => () => ({ card: { version: '1.0.0' } }));
+
+const options = { provider: 'mock', backend: null, theme: 'light', language: 'es', hostOrigin: 'https://host.test' };
+const host = { postMessage: jest.fn() };
+
+beforeEach(() => {
+  host.postMessage.mockClear();
+  Object.defineProperty(window, 'parent', { value: host, configurable: true });
+});
+
+afterAll(() => {
+  Object.defineProperty(window, 'parent', { value: window, configurable: true });
+});
+
+const xray = (name) => new File([new Uint8Array([0xff, 0xd8, 0xff, 0xd9])], name, { type: 'image/jpeg' });
+
+test('analyses an X-ray and reports the result to the host page', async () => {
+  render(<Embed options={options} />);
+  expect(document.documentElement.lang).toBe('es');
+
+  userEvent.upload(screen.getByLabelText('elija un archivo'), xray('pneumonia-case.jpg'));
+  userEvent.click(await screen.findByRole('button', { name: 'Analizar radiografía' }));
+
+  const result = await screen.findByRole('region', {}, { timeout: 3000 });
+  expect(within(result).getByText('Neumonía')).toBeInTheDocument();
+  expect(host.postMessage).toHaveBeenCalledWith(
+    {
+      source: EMBED_MESSAGE_SOURCE,
+      type: 'result',
+      detail: expect.objectContaining({ decision: 'pneumonia', label: 'Pneumonia', modelVersion: '1.0.0' })
+    },
+    'https://host.test'
+  );
+});
+
+test('reports failures to the host page', async () => {
+  jest.spyOn(inference, 'predict').mockRejectedValueOnce(new Error('Model crashed'));
+  render(<Embed options={{ ...options, language: 'en' }} />);
+  userEvent.upload(screen.getByLabelText('choose a file'), xray('normal-case.jpg'));
+  userEvent.click(await screen.findByRole('button', { name: 'Analyze X-Ray' }));
+
+  expect(await screen.findByRole('alert', {}, { timeout: 3000 })).toHaveTextContent('Prediction failed');
+  expect(screen.getByRole('button', { name: 'Try again' })).toBeInTheDocument();
+  expect(host.postMessage).toHaveBeenCalledWith(
+    { source: EMBED_MESSAGE_SOURCE, type: 'error', detail: { code: 'unknown', message: expect.any(String) } },
+    'https://host.test'
+  );
+});
+
+test('asks for upload consent again when the host changes the backend or embeds it elsewhere', async () => {
+  const spaceOptions = { ...options, provider: 'gradio-space', backend: 'user/space', language: 'en' };
+  giveConsent(embedSettings(spaceOptions), { scope: embedConsentScope(spaceOptions) });
+  const predict = jest.spyOn(inference, 'predict').mockResolvedValue(
+    { schemaVersion: 1, decision: 'normal', prediction: 'Normal', confidence: 0.9, probabilities: { normal: 0.9, pneumonia: 0.1 } }
+  );
+
+  // Consent given on this host for this backend covers it
+  const { unmount } = render(<Embed options={spaceOptions} />);
+  userEvent.upload(screen.getByLabelText('choose a file'), xray('a.jpg'));
+  userEvent.click(await screen.findByRole('button', { name: 'Analyze X-Ray' }));
+  await screen.findByRole('region', {}, { timeout: 3000 });
+  expect(predict).toHaveBeenCalledTimes(1);
+  unmount();
+
+  // Another backend, or the same backend on another host page, asks first
+  for (const changed of [{ ...spaceOptions, backend: 'attacker/space' }, { ...spaceOptions, hostOrigin: 'https://other.test' }]) {
+    const view = render(<Embed options={changed} />);
+    userEvent.upload(screen.getByLabelText('choose a file'), xray('b.jpg'));
+    userEvent.click(await screen.findByRole('button', { name: 'Analyze X-Ray' }));
+    expect(screen.getByRole('dialog')).toHaveTextContent(changed.backend);
+    view.unmount();
+  }
+  expect(predict).toHaveBeenCalledTimes(1);
+  predict.mockRestore();
+  window.localStorage.clear();
+});
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { Loader2 } from 'lucide-react';
+
+// Label for each phase reported by the inference provider
+const PHASE_LABELS = {
+  connecting: 'Connecting to backend',
+  starting: 'Starting backend',
+  queued: 'Waiting in queue',
+  running: 'Running inference'
+};
+
+// "1m 05s" style duration
+export const formatDuration = (seconds) => {
+  const total = Math.max(Math.round(seconds), 0);
+  const minutes = Math.floor(total / 60);
+  const rest = String(total % 60).padStart(2, '0');
+  return minutes ? `${minutes}m ${rest}s` : `${total}s`;
+};
+
+// Live status of the analysis in flight: phase, queue position, estimated wait and elapsed time
+const AnalysisProgress = ({ progress, startedAt }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Tick once a second for the elapsed time
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const phase = progress?.phase || 'running';
+  const elapsed = (now - startedAt) / 1000;
+
+  return (
+    <div className="mt-3 px-4 py-3 bg-slate-900/60 border border-blue-500/30 rounded-xl text-sm" role="status" aria-live="polite">
+      <div className="flex items-center justify-between text-blue-100">
+        <span className="flex items-center">
+          <Loader2 className="w-4 h-4 mr-2 animate-spin text-cyan-400" />
+          {PHASE_LABELS[phase] || PHASE_LABELS.running}
+        </span>
+        <span className="text-xs text-blue-300 tabular-nums">{formatDuration(elapsed)} elapsed</span>
+      </div>
+
+      {phase === 'queued' && (
+        <p className="mt-1 text-xs text-blue-300">
+          Position {progress.position}{progress.queueSize ? ` of ${progress.queueSize}` : ''} in queue
+          {progress.eta != null && ` · about ${formatDuration(progress.eta)} to wait`}
+        </p>
+      )}
+      {phase === 'starting' && (
+        <p className="mt-1 text-xs text-blue-300">
+          {progress.message || 'The backend was asleep and is waking up. This can take up to a minute.'}
+        </p>
+      )}
+      {phase === 'running' && progress?.eta != null && (
+        <p className="mt-1 text-xs text-blue-300">About {formatDuration(progress.eta)} remaining</p>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisProgress;
@@ -0,0 +1,273 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Upload, Brain, AlertCircle, Loader2, ShieldCheck } from 'lucide-react';
+import { intakeFile } from '../services/intake';
+import { preprocessImage, preprocessOptions } from '../services/preprocessing';
+import { predict, describeBackend } from '../services/inference';
+import { classifyError } from '../services/inference/errors';
+import { loadConsent, giveConsent, needsConsent, RETENTION_NOTICE } from '../services/consent';
+import { ACCEPT_ATTRIBUTE } from '../utils/files';
+import { formatMessage } from '../utils/embedMessages';
+
+// Colours for each theme
+const THEMES = {
+  dark: {
+    panel: 'bg-slate-900 text-white border-blue-500/30',
+    muted: 'text-blue-300',
+    accent: 'text-cyan-400',
+    drop: 'border-blue-400/50 hover:border-cyan-400',
+    inset: 'bg-slate-800/60 border-blue-500/30',
+    secondary: 'bg-slate-700 hover:bg-slate-600',
+    track: 'bg-slate-700'
+  },
+  light: {
+    panel: 'bg-white text-slate-900 border-slate-200',
+    muted: 'text-slate-500',
+    accent: 'text-blue-600',
+    drop: 'border-slate-300 hover:border-blue-500',
+    inset: 'bg-slate-50 border-slate-200',
+    secondary: 'bg-slate-200 hover:bg-slate-300',
+    track: 'bg-slate-200'
+  }
+};
+
+// Text colour for each decision
+const DECISION_COLORS = {
+  normal: 'text-green-500',
+  pneumonia: 'text-red-500',
+  inconclusive: 'text-yellow-500'
+};
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Data URL of a file, for the preview
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// Self-contained upload -> analyze -> result flow, for embedding in other sites
+// settings choose the backend like the full app's; messages is one language of EMBED_MESSAGES.
+// onResult(result) receives the normalized, stamped result; onError({ code, message }) any
+// failure, where code is an inference error code or 'intake' and message the English detail.
+// consentScope keeps upload consent apart from the full site's (see services/consent.js).
+const AnalyzerWidget = ({ settings, theme = 'dark', messages, modelVersion, consentScope, onResult, onError }) => {
+  const [image, setImage] = useState(null);            // Selected X-ray { file, preview }
+  const [result, setResult] = useState(null);          // Latest result for the selected X-ray
+  const [error, setError] = useState(null);            // Latest failure { code, message }
+  const [loading, setLoading] = useState(false);       // Analysis in flight
+  const [progress, setProgress] = useState(null);      // Live backend status { phase, position, queueSize }
+  const [askConsent, setAskConsent] = useState(false); // Waiting for upload consent
+  const analysisRef = useRef(null);                    // AbortController of the analysis in flight
+  const colors = THEMES[theme] || THEMES.dark;
+
+  // Stop a running analysis when the widget goes away
+  useEffect(() => () => analysisRef.current?.abort(), []);
+
+  const fail = (failure) => {
+    setError(failure);
+    onError?.(failure);
+  };
+
+  const cancel = () => {
+    analysisRef.current?.abort();
+    analysisRef.current = null;
+    setLoading(false);
+    setProgress(null);
+  };
+
+  // Validate and strip the chosen file the same way the full app does
+  const selectFile = async (file) => {
+    if (!file) return;
+    cancel();
+    setResult(null);
+    setError(null);
+    setAskConsent(false);
+    try {
+      const { file: intaken } = await intakeFile(file);
+      setImage({ file: intaken, preview: await readAsDataUrl(intaken) });
+    } catch (err) {
+      setImage(null);
+      fail({ code: 'intake', message: err.message });
+    }
+  };
+
+  const analyze = async () => {
+    if (!image) return;
+    if (needsConsent(settings, loadConsent(consentScope))) {
+      setAskConsent(true);
+      return;
+    }
+
+    const controller = new AbortController();
+    analysisRef.current = controller;
+    setLoading(true);
+    setResult(null);
+    setError(null);
+    setProgress(null);
+
+    try {
+      const options = preprocessOptions(settings);
+      const input = options ? (await preprocessImage(image.file, options)).file : image.file;
+      const predicted = await predict(input, settings, {
+        signal: controller.signal,
+        onProgress: (update) => analysisRef.current === controller && setProgress(update)
+      });
+      const stamped = {
+        ...predicted,
+        modelVersion: predicted.modelVersion || modelVersion || null,
+        analyzedAt: new Date().toISOString()
+      };
+      setResult(stamped);
+      onResult?.(stamped);
+    } catch (err) {
+      if (controller.signal.aborted) return;  // Cancelled: cancel() already reset the state
+      const failure = classifyError(err);
+      fail({ code: failure.code, message: failure.message });
+    } finally {
+      if (analysisRef.current === controller) {
+        analysisRef.current = null;
+        setLoading(false);
+        setProgress(null);
+      }
+    }
+  };
+
+  const acceptConsent = () => {
+    giveConsent(settings, { scope: consentScope });
+    setAskConsent(false);
+    analyze();
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    selectFile(e.dataTransfer.files[0]);
+  };
+
+  const phase = progress?.phase || 'running';
+
+  return (
+    <div className={`rounded-2xl border p-4 space-y-4 ${colors.panel}`}>
+      <h2 className={`flex items-center font-semibold ${colors.accent}`}>
+        <Brain className="w-5 h-5 mr-2" />
+        {messages.title}
+      </h2>
+
+      {/* File choice, or the chosen X-ray */}
+      <div
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={handleDrop}
+        className={`border-2 border-dashed rounded-xl p-4 text-center transition-colors ${colors.drop}`}
+      >
+        {image ? (
+          <img src={image.preview} alt="X-ray" className="max-h-40 mx-auto rounded-lg" />
+        ) : (
+          <Upload className={`w-10 h-10 mx-auto mb-2 ${colors.muted}`} />
+        )}
+        <p className={`text-sm mt-2 ${colors.muted}`}>
+          {!image && `${messages.dropHint} `}
+          <label className={`cursor-pointer underline ${colors.accent}`}>
+            {image ? messages.change : messages.browse}
+            <input
+              type="file"
+              accept={ACCEPT_ATTRIBUTE}
+              onChange={(e) => {
+                selectFile(e.target.files[0]);
+                e.target.value = '';  // Allow picking the same file again
+              }}
+              className="hidden"
+            />
+          </label>
+        </p>
+      </div>
+
+      {/* Upload consent for remote backends */}
+      {askConsent && (
+        <div className={`rounded-xl border p-3 text-sm space-y-2 ${colors.inset}`} role="dialog" aria-label={messages.consentTitle}>
+          <p className="flex items-center font-semibold">
+            <ShieldCheck className={`w-4 h-4 mr-2 ${colors.accent}`} />
+            {messages.consentTitle}
+          </p>
+          <p className={colors.muted}>{formatMessage(messages.consentBody, { backend: describeBackend(settings) })}</p>
+          <p className={`text-xs ${colors.muted}`}>{RETENTION_NOTICE}</p>
+          <div className="flex gap-2 justify-end">
+            <button onClick={() => setAskConsent(false)} className={`px-3 py-1.5 rounded-lg ${colors.secondary}`}>
+              {messages.cancel}
+            </button>
+            <button onClick={acceptConsent} className="px-3 py-1.5 rounded-lg bg-blue-500 hover:bg-blue-600 text-white font-semibold">
+              {messages.consentAccept}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {image && !result && !askConsent && (
+        <div className="flex gap-2">
+          <button
+            onClick={analyze}
+            disabled={loading}
+            className="flex-1 px-4 py-2 rounded-xl font-semibold text-white bg-gradient-to-r from-blue-500 to-cyan-500 disabled:opacity-50"
+          >
+            {loading ? messages.analyzing : (error ? messages.tryAgain : messages.analyze)}
+          </button>
+          {loading && (
+            <button onClick={cancel} className={`px-4 py-2 rounded-xl ${colors.secondary}`}>
+              {messages.cancel}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Backend status while the analysis runs */}
+      {loading && (
+        <p className={`flex items-center text-sm ${colors.muted}`} role="status" aria-live="polite">
+          <Loader2 className={`w-4 h-4 mr-2 animate-spin ${colors.accent}`} />
+          {messages.phases[phase] || messages.phases.running}
+          {phase === 'queued' && progress.position != null && (
+            ` · ${formatMessage(messages.queuePosition, { position: progress.position, size: progress.queueSize ?? '?' })}`
+          )}
+        </p>
+      )}
+
+      {result && (
+        <div className={`rounded-xl border p-3 space-y-2 ${colors.inset}`} role="region" aria-label={messages.title}>
+          <p className={`text-lg font-bold ${DECISION_COLORS[result.decision] || ''}`}>
+            {messages.decisions[result.decision] || result.prediction}
+          </p>
+          {result.confidence != null && (
+            <p className="text-sm">
+              {messages.confidence}: <span className="font-semibold tabular-nums">{percent(result.confidence)}</span>
+            </p>
+          )}
+          {result.probabilities && (
+            <div>
+              <div className={`flex justify-between text-xs mb-1 ${colors.muted}`}>
+                <span>{messages.pneumoniaProbability}</span>
+                <span className="tabular-nums">{percent(result.probabilities.pneumonia)}</span>
+              </div>
+              <div className={`relative w-full h-2 rounded-full ${colors.track}`}>
+                <div
+                  className="h-full rounded-full bg-gradient-to-r from-green-500 to-red-500"
+                  style={{ width: `${result.probabilities.pneumonia * 100}%` }}
+                />
+                <div className="absolute -inset-y-1 w-0.5 bg-current" style={{ left: `${result.threshold * 100}%` }} aria-hidden="true" />
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <p className="flex items-start text-sm text-yellow-500" role="alert">
+          <AlertCircle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+          {messages.errors[error.code] || messages.errors.unknown}
+        </p>
+      )}
+
+      <p className={`text-xs ${colors.muted}`}>{messages.disclaimer}</p>
+    </div>
+  );
+};
+
+export default AnalyzerWidget;
@@ -0,0 +1,31 @@
+import React from 'react';
+
+// Dot colour and label for each connection state
+const STATES = {
+  idle: { dot: 'bg-slate-500', label: 'Not connected' },
+  connecting: { dot: 'bg-blue-400 animate-pulse', label: 'Connecting' },
+  online: { dot: 'bg-green-400', label: 'Online' },
+  waking: { dot: 'bg-yellow-400 animate-pulse', label: 'Waking up' },
+  offline: { dot: 'bg-red-500', label: 'Offline' }
+};
+
+// Navbar indicator for the backend connection; clicking it reconnects or re-measures latency
+const BackendStatus = ({ health, onCheck }) => {
+  const state = STATES[health.status] || STATES.idle;
+  const latency = health.status === 'online' && health.latency != null ? `${Math.round(health.latency)} ms` : null;
+  const title = [`Backend: ${state.label}`, latency, health.message].filter(Boolean).join(' · ');
+
+  return (
+    <button
+      onClick={onCheck}
+      title={`${title} (click to check)`}
+      aria-label={title}
+      className="flex items-center gap-2 px-2 py-1 rounded-full text-xs text-blue-200 hover:bg-blue-500/20 transition-colors"
+    >
+      <span className={`w-2.5 h-2.5 rounded-full ${state.dot}`} />
+      <span className="hidden sm:inline">{latency || state.label}</span>
+    </button>
+  );
+};
+
+export default BackendStatus;
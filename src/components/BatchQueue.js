@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { ArrowUpDown, RotateCw, X, Trash2 } from 'lucide-react';
+
+// Badge colours for each queue status
+const STATUS_STYLES = {
+  pending: 'text-blue-300 bg-blue-500/10 border-blue-500/30',
+  running: 'text-cyan-300 bg-cyan-500/10 border-cyan-500/30 animate-pulse',
+  done: 'text-green-300 bg-green-500/10 border-green-500/30',
+  failed: 'text-red-300 bg-red-500/10 border-red-500/30',
+  cancelled: 'text-slate-300 bg-slate-500/10 border-slate-500/30'
+};
+
+// Sort keys for each table column
+const COLUMNS = [
+  { key: 'name', label: 'File', value: (item) => item.file.name.toLowerCase() },
+  { key: 'status', label: 'Status', value: (item) => item.status },
+  { key: 'label', label: 'Label', value: (item) => item.result?.prediction?.toLowerCase() || '' },
+  { key: 'confidence', label: 'Confidence', value: (item) => item.result?.confidence ?? -1 }
+];
+
+// Queue of images analysed in batch, with per-item controls and a sortable results table
+const BatchQueue = ({ items, onCancel, onRetry, onRemove, onClear }) => {
+  const [sort, setSort] = useState({ key: 'name', direction: 1 });
+
+  // Click a header to sort by it, click again to reverse
+  const toggleSort = (key) => setSort((current) => ({
+    key,
+    direction: current.key === key ? -current.direction : 1
+  }));
+
+  const column = COLUMNS.find(({ key }) => key === sort.key);
+  const sorted = [...items].sort((a, b) => {
+    const [x, y] = [column.value(a), column.value(b)];
+    return (x < y ? -1 : x > y ? 1 : 0) * sort.direction;
+  });
+
+  const counts = items.reduce((acc, item) => ({ ...acc, [item.status]: (acc[item.status] || 0) + 1 }), {});
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-4 border border-blue-500/20">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-xl font-semibold text-cyan-400">Batch Analysis</h3>
+        <button
+          onClick={onClear}
+          className="flex items-center px-3 py-1.5 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-xs text-blue-200"
+        >
+          <Trash2 className="w-3 h-3 mr-1" />
+          Clear
+        </button>
+      </div>
+
+      {/* Queue summary */}
+      <p className="text-xs text-blue-300 mb-3">
+        {items.length} images · {counts.done || 0} done · {counts.running || 0} running · {counts.pending || 0} pending · {counts.failed || 0} failed
+      </p>
+
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="w-full text-sm text-blue-100">
+          <thead>
+            <tr className="text-left text-blue-300 text-xs">
+              {COLUMNS.map(({ key, label }) => (
+                <th key={key} className="py-2 pr-2">
+                  <button onClick={() => toggleSort(key)} className="flex items-center hover:text-cyan-400">
+                    {label}
+                    <ArrowUpDown className={`w-3 h-3 ml-1 ${sort.key === key ? 'text-cyan-400' : ''}`} />
+                  </button>
+                </th>
+              ))}
+              <th className="py-2"><span className="sr-only">Actions</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((item) => (
+              <tr key={item.id} className="border-t border-blue-500/20">
+                <td className="py-2 pr-2 max-w-[10rem] truncate" title={item.file.name}>{item.file.name}</td>
+                <td className="py-2 pr-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs border ${STATUS_STYLES[item.status]}`} title={item.error || undefined}>
+                    {item.status}
+                  </span>
+                </td>
+                <td className="py-2 pr-2">{item.result?.prediction || '—'}</td>
+                <td className="py-2 pr-2">
+                  {item.result?.confidence != null ? `${(item.result.confidence * 100).toFixed(1)}%` : '—'}
+                </td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  {(item.status === 'pending' || item.status === 'running') && (
+                    <button onClick={() => onCancel(item.id)} className="p-1 text-blue-300 hover:text-yellow-400" aria-label={`Cancel ${item.file.name}`}>
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                  {(item.status === 'failed' || item.status === 'cancelled') && (
+                    <button onClick={() => onRetry(item.id)} className="p-1 text-blue-300 hover:text-cyan-400" aria-label={`Retry ${item.file.name}`}>
+                      <RotateCw className="w-4 h-4" />
+                    </button>
+                  )}
+                  {item.status !== 'running' && (
+                    <button onClick={() => onRemove(item.id)} className="p-1 text-blue-300 hover:text-red-400" aria-label={`Remove ${item.file.name}`}>
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default BatchQueue;
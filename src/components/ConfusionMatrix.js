@@ -0,0 +1,32 @@
+import React from 'react';
+
+const count = (value) => value.toLocaleString('en-US');
+
+// Confusion matrix table, rows = actual class, columns = predicted class
+const ConfusionMatrix = ({ labels, matrix }) => (
+  <table className="w-full text-sm text-center">
+    <thead>
+      <tr className="text-xs text-blue-300">
+        <th className="p-2 text-left">Actual ↓ / Predicted →</th>
+        {labels.map((label) => <th key={label} className="p-2">{label}</th>)}
+      </tr>
+    </thead>
+    <tbody>
+      {matrix.map((row, i) => (
+        <tr key={labels[i]} className="border-t border-blue-500/20">
+          <th className="p-2 text-left text-blue-200 font-normal">{labels[i]}</th>
+          {row.map((value, j) => (
+            <td
+              key={labels[j]}
+              className={`p-2 font-semibold tabular-nums ${i === j ? 'text-green-400 bg-green-500/10' : 'text-red-400 bg-red-500/10'}`}
+            >
+              {count(value)}
+            </td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+export default ConfusionMatrix;
@@ -0,0 +1,76 @@
+import React, { useEffect } from 'react';
+import { ShieldCheck, Send, Clock, Server } from 'lucide-react';
+import { describeBackend } from '../services/inference';
+import { RETENTION_NOTICE } from '../services/consent';
+
+// Asks before the first X-ray is sent to a remote backend
+// Explains where the image goes, what is sent and how long it is kept.
+const ConsentDialog = ({ settings, onAccept, onCancel }) => {
+  // Escape declines, like the Cancel button
+  useEffect(() => {
+    const handleKey = (e) => e.key === 'Escape' && onCancel();
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onCancel]);
+
+  return (
+    <div className="fixed inset-0 z-[1000000] bg-black/80 flex items-center justify-center p-4">
+      <div
+        className="w-full max-w-lg bg-slate-900 rounded-2xl border border-blue-500/40 p-6 shadow-2xl"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="consent-title"
+      >
+        <h3 id="consent-title" className="flex items-center text-xl font-semibold text-cyan-400 mb-4">
+          <ShieldCheck className="w-6 h-6 mr-2" />
+          Send this X-ray for analysis?
+        </h3>
+
+        <ul className="space-y-4 text-sm text-blue-100">
+          <li className="flex">
+            <Server className="w-5 h-5 mr-3 flex-shrink-0 text-blue-300" />
+            <span>
+              <span className="block font-semibold text-blue-200">Where it goes</span>
+              The image is uploaded to a third-party host for analysis: <span className="break-all">{describeBackend(settings)}</span>.
+            </span>
+          </li>
+          <li className="flex">
+            <Send className="w-5 h-5 mr-3 flex-shrink-0 text-blue-300" />
+            <span>
+              <span className="block font-semibold text-blue-200">What is sent</span>
+              Only the image pixels. It is re-encoded in your browser first, so EXIF, text and DICOM header data
+              (names, dates, device details) are removed, and it is uploaded under a generic file name.
+            </span>
+          </li>
+          <li className="flex">
+            <Clock className="w-5 h-5 mr-3 flex-shrink-0 text-blue-300" />
+            <span>
+              <span className="block font-semibold text-blue-200">How long it is kept</span>
+              {RETENTION_NOTICE}
+            </span>
+          </li>
+        </ul>
+
+        <p className="text-xs text-blue-300 mt-4">
+          Your choice is remembered on this device for this backend only and can be revoked under Backend settings. On-device analysis
+          never uploads images.
+        </p>
+
+        <div className="flex gap-3 justify-end mt-6">
+          <button onClick={onCancel} className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors">
+            Cancel
+          </button>
+          <button
+            onClick={onAccept}
+            className="px-4 py-2 bg-gradient-to-r from-blue-500 to-cyan-500 rounded-lg font-semibold transition-colors"
+            autoFocus
+          >
+            I agree, analyse
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConsentDialog;
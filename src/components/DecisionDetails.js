@@ -0,0 +1,63 @@
+import React from 'react';
+import { CLASS_LABELS } from '../services/inference/normalize';
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Bar colour for each class
+const CLASS_COLORS = {
+  normal: 'from-green-500 to-green-400',
+  pneumonia: 'from-red-500 to-red-400'
+};
+
+// Per-class probabilities and the decision rule a result was judged by
+// The scale shows the pneumonia probability against the threshold and the review band.
+const DecisionDetails = ({ result }) => {
+  const { probabilities, threshold, inconclusiveBand: band } = result;
+  if (!probabilities) {
+    return <p className="text-xs text-blue-300 mb-4">This backend reports a label only, without class probabilities.</p>;
+  }
+
+  return (
+    <div className="mb-4 space-y-3">
+      <div className="space-y-2">
+        {Object.entries(CLASS_LABELS).map(([id, label]) => (
+          <div key={id}>
+            <div className="flex justify-between text-xs mb-1">
+              <span className="text-blue-200">{label}</span>
+              <span className="font-semibold text-blue-100 tabular-nums">{percent(probabilities[id])}</span>
+            </div>
+            <div className="w-full bg-slate-700 rounded-full h-2 overflow-hidden">
+              <div
+                className={`h-full rounded-full bg-gradient-to-r ${CLASS_COLORS[id]}`}
+                style={{ width: `${probabilities[id] * 100}%` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Pneumonia probability on the decision scale */}
+      <div>
+        <div className="relative h-3 bg-gradient-to-r from-green-500/30 to-red-500/30 rounded-full" aria-hidden="true">
+          {band && (
+            <div
+              className="absolute inset-y-0 bg-yellow-400/40"
+              style={{ left: `${band[0] * 100}%`, width: `${(band[1] - band[0]) * 100}%` }}
+            />
+          )}
+          <div className="absolute -inset-y-1 w-0.5 bg-white" style={{ left: `${threshold * 100}%` }} />
+          <div
+            className="absolute top-1/2 w-3 h-3 -mt-1.5 -ml-1.5 rounded-full bg-cyan-300 border-2 border-slate-900"
+            style={{ left: `${probabilities.pneumonia * 100}%` }}
+          />
+        </div>
+        <p className="text-xs text-blue-300 mt-2">
+          Threshold {percent(threshold)} pneumonia probability
+          {band && ` · inconclusive between ${percent(band[0])} and ${percent(band[1])}`}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default DecisionDetails;
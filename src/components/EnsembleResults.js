@@ -0,0 +1,76 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { ENSEMBLE_METHODS } from '../services/inference/ensemble';
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Text and bar colours for each decision
+const DECISION_COLORS = {
+  normal: { text: 'text-green-400', bar: 'from-green-500 to-green-400' },
+  pneumonia: { text: 'text-red-400', bar: 'from-red-500 to-red-400' },
+  inconclusive: { text: 'text-yellow-400', bar: 'from-yellow-500 to-yellow-400' }
+};
+
+// Each model's result of an ensemble side by side, with a warning when the models disagree
+const EnsembleResults = ({ result }) => {
+  const { method, agree, spread, members } = result.ensemble;
+  const answered = members.filter((member) => !member.error);
+  const failed = members.filter((member) => member.error);
+
+  return (
+    <div className="mb-4 space-y-3">
+      {!agree && (
+        <div role="alert" className="flex items-start p-3 rounded-lg border border-yellow-500/50 bg-yellow-500/10 text-sm text-yellow-200">
+          <AlertTriangle className="w-5 h-5 mr-2 flex-shrink-0 text-yellow-400" />
+          <span>
+            <strong className="text-yellow-400">The models disagree</strong>
+            {' - '}
+            {answered.map((member) => `${member.label}: ${member.prediction}`).join(', ')}.
+            {' '}Treat the ensemble verdict with caution and have this X-ray reviewed by a clinician.
+          </span>
+        </div>
+      )}
+      {failed.map((member) => (
+        <p key={member.model} className="text-xs text-yellow-400">
+          {member.label} did not answer ({member.error}) - the verdict uses the other models.
+        </p>
+      ))}
+
+      <ul className="grid grid-cols-1 sm:grid-cols-2 gap-3" aria-label="Results per model">
+        {members.map((member) => (
+          <li key={member.model} className="p-3 rounded-lg bg-slate-900/60 border border-blue-500/20">
+            <p className="text-xs text-blue-300">
+              {member.label}{member.modelVersion && ` · v${member.modelVersion}`}
+            </p>
+            {member.error ? (
+              <p className="text-sm text-yellow-400 mt-1">No result</p>
+            ) : (
+              <>
+                <p className={`font-semibold mt-1 ${DECISION_COLORS[member.decision]?.text || ''}`}>{member.prediction}</p>
+                <div className="flex justify-between text-xs mt-2 mb-1">
+                  <span className="text-blue-200">Pneumonia probability</span>
+                  <span className="font-semibold text-blue-100 tabular-nums">
+                    {member.probabilities ? percent(member.probabilities.pneumonia) : 'N/A'}
+                  </span>
+                </div>
+                <div className="w-full bg-slate-700 rounded-full h-2 overflow-hidden">
+                  <div
+                    className={`h-full rounded-full bg-gradient-to-r ${DECISION_COLORS[member.decision]?.bar || DECISION_COLORS.inconclusive.bar}`}
+                    style={{ width: `${(member.probabilities?.pneumonia || 0) * 100}%` }}
+                  />
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <p className="text-xs text-blue-300">
+        Ensemble verdict by {ENSEMBLE_METHODS[method].toLowerCase()} of {answered.length} model{answered.length === 1 ? '' : 's'}
+        {spread != null && ` · pneumonia probabilities ${percent(spread)} apart`}
+      </p>
+    </div>
+  );
+};
+
+export default EnsembleResults;
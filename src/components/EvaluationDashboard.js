@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { BarChart3, AlertCircle } from 'lucide-react';
+import { metricsAt, rocCurve, prCurve } from '../services/evaluation';
+import { METRIC_LABELS } from '../services/modelCard';
+import ConfusionMatrix from './ConfusionMatrix';
+
+const cardClass = 'bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20';
+const percent = (value) => (value != null ? `${(value * 100).toFixed(1)}%` : '—');
+
+// Line chart of a curve in the unit square, with the current operating point marked
+// x and y are the point fields to plot; marker is { x, y } or null.
+const Curve = ({ title, summary, points, x, y, xLabel, yLabel, marker, diagonal }) => {
+  const toPath = points.map((point, i) => `${i ? 'L' : 'M'}${(point[x] * 100).toFixed(2)},${(100 - point[y] * 100).toFixed(2)}`).join(' ');
+  return (
+    <figure className="bg-slate-900/60 rounded-xl p-4 border border-blue-500/20">
+      <figcaption className="flex justify-between text-sm mb-2">
+        <span className="font-semibold text-cyan-400">{title}</span>
+        <span className="text-blue-200 tabular-nums">{summary}</span>
+      </figcaption>
+      <svg viewBox="-2 -2 104 104" className="w-full aspect-square" role="img" aria-label={`${title}, ${summary}`}>
+        <rect x="0" y="0" width="100" height="100" fill="none" stroke="rgba(59,130,246,0.3)" strokeWidth="0.5" />
+        {[25, 50, 75].map((tick) => (
+          <g key={tick} stroke="rgba(59,130,246,0.12)" strokeWidth="0.4">
+            <line x1={tick} y1="0" x2={tick} y2="100" />
+            <line x1="0" y1={tick} x2="100" y2={tick} />
+          </g>
+        ))}
+        {diagonal && <line x1="0" y1="100" x2="100" y2="0" stroke="rgba(148,163,184,0.5)" strokeWidth="0.5" strokeDasharray="2 2" />}
+        <path d={toPath} fill="none" stroke="#22d3ee" strokeWidth="1.2" strokeLinejoin="round" />
+        {marker && (
+          <circle cx={marker.x * 100} cy={100 - marker.y * 100} r="2.2" fill="#fde047" stroke="#0f172a" strokeWidth="0.8" />
+        )}
+      </svg>
+      <div className="flex justify-between text-xs text-blue-300 mt-1">
+        <span>{yLabel} ↑</span>
+        <span>{xLabel} →</span>
+      </div>
+    </figure>
+  );
+};
+
+// Interactive evaluation of the model on its test set
+// Curves and metrics are computed in the browser from per-image predictions; the slider moves the
+// decision threshold and everything below it updates. onUseThreshold applies it to live analysis.
+const EvaluationDashboard = ({ card, evaluation, threshold: appliedThreshold, onUseThreshold }) => {
+  const { data, error, url } = evaluation;
+  const [threshold, setThreshold] = useState(appliedThreshold ?? 0.5); // Threshold being explored
+
+  // Start exploring from the new threshold when the applied one changes (settings, reset, "Use")
+  useEffect(() => {
+    setThreshold(appliedThreshold ?? 0.5);
+  }, [appliedThreshold]);
+
+  const predictions = data?.predictions;
+  const roc = useMemo(() => (predictions ? rocCurve(predictions) : null), [predictions]);
+  const pr = useMemo(() => (predictions ? prCurve(predictions) : null), [predictions]);
+  const metrics = useMemo(() => (predictions ? metricsAt(predictions, threshold) : null), [predictions, threshold]);
+
+  if (!card) return null;
+
+  let body;
+  if (error) {
+    body = (
+      <p className="flex items-center text-yellow-400 text-sm">
+        <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+        Could not load the test-set predictions: {error}
+      </p>
+    );
+  } else if (!url) {
+    body = (
+      <p className="text-sm text-blue-300">
+        No test-set predictions are published for model version {card.version}. Export them with
+        {' '}<code className="text-cyan-400">scripts/export-evaluation.py</code> and set
+        {' '}<code className="text-cyan-400">evaluation.predictionsUrl</code> in the model card to explore thresholds here.
+      </p>
+    );
+  } else if (!data) {
+    body = <p className="text-sm text-blue-300">Loading test-set predictions...</p>;
+  } else {
+    const labels = data.labels || card.labels;
+    const changed = appliedThreshold != null && Math.abs(threshold - appliedThreshold) > 1e-9;
+    body = (
+      <>
+        <p className="text-sm text-blue-300 mb-4">
+          {predictions.length.toLocaleString('en-US')} {data.split || 'test'} images
+          {data.modelVersion && data.modelVersion !== card.version && (
+            <span className="text-yellow-400"> · predictions from model v{data.modelVersion}, card is v{card.version}</span>
+          )}
+        </p>
+
+        {/* Threshold explorer */}
+        <div className="mb-6">
+          <label htmlFor="evaluation-threshold" className="flex justify-between text-sm mb-2">
+            <span className="text-blue-200">{labels[1]} threshold</span>
+            <span className="font-semibold text-cyan-400 tabular-nums">{percent(threshold)}</span>
+          </label>
+          <input
+            id="evaluation-threshold"
+            type="range"
+            min="0.05"
+            max="0.95"
+            step="0.01"
+            value={threshold}
+            onChange={(e) => setThreshold(Number(e.target.value))}
+            className="w-full accent-cyan-400"
+          />
+          <div className="flex flex-wrap items-center gap-3 mt-2 text-xs text-blue-300">
+            {appliedThreshold != null && <span>Analysis uses {percent(appliedThreshold)}</span>}
+            {changed && (
+              <button onClick={() => setThreshold(appliedThreshold)} className="text-cyan-400 hover:text-cyan-300">
+                Reset
+              </button>
+            )}
+            {changed && onUseThreshold && (
+              <button
+                onClick={() => onUseThreshold(threshold)}
+                className="px-3 py-1 bg-blue-500/20 hover:bg-blue-500/30 rounded-lg border border-blue-500/30 text-cyan-400"
+              >
+                Use {percent(threshold)} for analysis
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+          <div>
+            <h4 className="font-semibold mb-3 text-cyan-400">Metrics at this threshold</h4>
+            <div className="space-y-2">
+              {Object.entries(METRIC_LABELS).map(([key, label]) => (
+                <div key={key} className="flex justify-between items-center text-sm">
+                  <span className="text-blue-200">{label}</span>
+                  <span className="font-semibold text-cyan-400 tabular-nums">{percent(metrics[key])}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+          <div>
+            <h4 className="font-semibold mb-3 text-cyan-400">Confusion Matrix</h4>
+            <ConfusionMatrix labels={labels} matrix={metrics.confusionMatrix} />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <Curve
+            title="ROC curve"
+            summary={`AUC ${roc.auc.toFixed(3)}`}
+            points={roc.points}
+            x="fpr"
+            y="tpr"
+            xLabel="False positive rate"
+            yLabel="True positive rate"
+            marker={metrics.specificity != null && metrics.recall != null ? { x: 1 - metrics.specificity, y: metrics.recall } : null}
+            diagonal
+          />
+          <Curve
+            title="Precision-recall curve"
+            summary={`AP ${pr.averagePrecision.toFixed(3)}`}
+            points={pr.points}
+            x="recall"
+            y="precision"
+            xLabel="Recall"
+            yLabel="Precision"
+            marker={metrics.precision != null ? { x: metrics.recall, y: metrics.precision } : null}
+          />
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className={`${cardClass} mt-6`}>
+      <h3 className="text-2xl font-semibold mb-4 text-cyan-400 flex items-center">
+        <BarChart3 className="w-6 h-6 mr-2" />
+        Evaluation Explorer
+      </h3>
+      {body}
+    </div>
+  );
+};
+
+export default EvaluationDashboard;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { CheckCircle, XCircle, HelpCircle } from 'lucide-react';
+import { CLASS_LABELS } from '../services/inference/normalize';
+import { groundTruthOutcome } from '../services/samples';
+
+// Icon, colours and verdict for each outcome
+const OUTCOMES = {
+  correct: { Icon: CheckCircle, style: 'text-green-300 bg-green-500/10 border-green-500/40', verdict: 'The model got it right' },
+  incorrect: { Icon: XCircle, style: 'text-red-300 bg-red-500/10 border-red-500/40', verdict: 'The model got it wrong' },
+  inconclusive: { Icon: HelpCircle, style: 'text-yellow-300 bg-yellow-500/10 border-yellow-500/40', verdict: 'Flagged for review' }
+};
+
+// Ground-truth label of a sample X-ray and whether the result matches it
+const GroundTruthCheck = ({ result }) => {
+  const outcome = groundTruthOutcome(result);
+  if (!outcome) return null;
+  const { Icon, style, verdict } = OUTCOMES[outcome];
+
+  return (
+    <div className={`flex items-center gap-2 mb-4 px-3 py-2 rounded-lg border text-sm ${style}`}>
+      <Icon className="w-5 h-5 flex-shrink-0" />
+      <span>
+        Ground truth: <span className="font-semibold">{CLASS_LABELS[result.groundTruth]}</span> · {verdict}
+      </span>
+    </div>
+  );
+};
+
+export default GroundTruthCheck;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Eye, EyeOff } from 'lucide-react';
+import { COLORMAPS, colorize, gradientCss } from '../utils/colormap';
+import { loadImage } from '../utils/image';
+
+// X-ray with the model's saliency map (e.g. Grad-CAM) drawn on top
+// The heatmap is a grayscale image (white = most influence on the prediction) that is
+// colourized here, so the legend always matches what is shown.
+const HeatmapOverlay = ({ image, heatmap }) => {
+  const [visible, setVisible] = useState(true);     // Overlay on/off
+  const [opacity, setOpacity] = useState(0.5);      // Overlay opacity 0-1
+  const [colormap, setColormap] = useState('jet');
+  const [failed, setFailed] = useState(false);      // Heatmap could not be loaded
+  const canvasRef = useRef(null);
+
+  // Colourize the heatmap onto the overlay canvas, scaled smoothly to its display size
+  useEffect(() => {
+    let cancelled = false;
+    setFailed(false);
+    loadImage(heatmap)
+      .then((img) => {
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas) return;
+        const size = 256;
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(img, 0, 0, size, size);
+        const imageData = ctx.getImageData(0, 0, size, size);
+        colorize(imageData.data, colormap);
+        ctx.putImageData(imageData, 0, 0);
+      })
+      .catch(() => !cancelled && setFailed(true));
+    return () => { cancelled = true; };
+  }, [heatmap, colormap]);
+
+  if (failed) {
+    return <p className="text-xs text-blue-300 mb-4">Heatmap could not be loaded for this result.</p>;
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm text-blue-200">Model attention (Grad-CAM)</span>
+        <button
+          onClick={() => setVisible(!visible)}
+          className="flex items-center text-xs text-blue-300 hover:text-cyan-400"
+          aria-pressed={visible}
+        >
+          {visible ? <EyeOff className="w-4 h-4 mr-1" /> : <Eye className="w-4 h-4 mr-1" />}
+          {visible ? 'Hide heatmap' : 'Show heatmap'}
+        </button>
+      </div>
+
+      {/* Image and overlay share the same square box so they line up */}
+      <div className="relative w-full max-w-xs mx-auto aspect-square rounded-lg overflow-hidden bg-black">
+        <img src={image} alt="Analysed X-ray" className="absolute inset-0 w-full h-full object-fill" />
+        <canvas
+          ref={canvasRef}
+          className="absolute inset-0 w-full h-full transition-opacity"
+          style={{ opacity: visible ? opacity : 0 }}
+          aria-hidden="true"
+        />
+      </div>
+
+      {/* Opacity and colormap controls */}
+      <div className="grid grid-cols-2 gap-3 mt-3 text-xs text-blue-300">
+        <label className="block">
+          Opacity {Math.round(opacity * 100)}%
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={opacity}
+            onChange={(e) => setOpacity(Number(e.target.value))}
+            disabled={!visible}
+            className="w-full accent-cyan-500"
+          />
+        </label>
+        <label className="block">
+          Colormap
+          <select
+            value={colormap}
+            onChange={(e) => setColormap(e.target.value)}
+            className="w-full mt-1 px-2 py-1 bg-slate-900 border border-blue-500/30 rounded text-blue-100"
+          >
+            {Object.keys(COLORMAPS).map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Legend */}
+      <div className="mt-3">
+        <div className="h-2 rounded-full" style={{ background: gradientCss(colormap) }} />
+        <div className="flex justify-between text-xs text-blue-300 mt-1">
+          <span>Low influence</span>
+          <span>High influence</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HeatmapOverlay;
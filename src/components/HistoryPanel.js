@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { Search, Trash2, FolderOpen, History } from 'lucide-react';
+import { filterEntries } from '../services/history';
+import { decisionOf } from '../services/inference/normalize';
+
+// Text colour for each result decision
+const DECISION_COLORS = {
+  normal: 'text-green-400',
+  pneumonia: 'text-red-400',
+  inconclusive: 'text-yellow-400'
+};
+
+// Locally stored analyses with search, label filter, re-open and delete
+const HistoryPanel = ({ entries, error, onOpen, onDelete, onClear }) => {
+  const [query, setQuery] = useState('');
+  const [label, setLabel] = useState('all');
+
+  // Labels present in the history, for the filter dropdown
+  const labels = [...new Set(entries.map((entry) => entry.result.prediction))];
+  const visible = filterEntries(entries, { query, label });
+
+  // Clearing is irreversible, so ask first
+  const confirmClear = () => {
+    if (window.confirm('Delete all saved analyses from this browser?')) onClear();
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20">
+      <div className="flex flex-wrap gap-3 items-center justify-between mb-4">
+        <p className="text-sm text-blue-200">
+          Analyses are stored only in this browser. Use "Clear all" on shared machines.
+        </p>
+        <button
+          onClick={confirmClear}
+          disabled={!entries.length}
+          className="flex items-center px-3 py-1.5 bg-red-500 hover:bg-red-600 rounded-lg transition-colors text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Trash2 className="w-3 h-3 mr-1" />
+          Clear all
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-yellow-400 mb-4">History unavailable: {error}</p>}
+
+      {/* Search and filter controls */}
+      <div className="flex flex-col sm:flex-row gap-3 mb-4">
+        <label className="relative flex-1">
+          <span className="sr-only">Search by file name</span>
+          <Search className="w-4 h-4 text-blue-300 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search by file name"
+            className="w-full pl-9 pr-3 py-2 bg-slate-900 border border-blue-500/30 rounded-lg text-sm text-blue-100 focus:outline-none focus:border-cyan-500"
+          />
+        </label>
+        <label>
+          <span className="sr-only">Filter by label</span>
+          <select
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            className="w-full px-3 py-2 bg-slate-900 border border-blue-500/30 rounded-lg text-sm text-blue-100"
+          >
+            <option value="all">All labels</option>
+            {labels.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!visible.length ? (
+        <div className="text-center py-10 text-blue-300">
+          <History className="w-10 h-10 mx-auto mb-2 opacity-60" />
+          <p className="text-sm">{entries.length ? 'No analyses match your search.' : 'No saved analyses yet.'}</p>
+        </div>
+      ) : (
+        <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 max-h-[32rem] overflow-y-auto">
+          {visible.map((entry) => (
+            <li key={entry.id} className="flex gap-3 p-3 bg-slate-900/60 rounded-xl border border-blue-500/20">
+              <img src={entry.thumbnail} alt="" className="w-16 h-16 object-cover rounded-lg flex-shrink-0" />
+              <div className="min-w-0 flex-1">
+                <p className="text-sm font-semibold truncate" title={entry.fileName}>{entry.fileName}</p>
+                <p className={`text-sm ${DECISION_COLORS[decisionOf(entry.result)]}`}>
+                  {entry.result.prediction}
+                  {entry.result.confidence != null && ` · ${(entry.result.confidence * 100).toFixed(1)}%`}
+                </p>
+                <p className="text-xs text-blue-300 truncate" title={entry.backend}>
+                  {new Date(entry.createdAt).toLocaleString()} · {entry.backend}
+                </p>
+                <div className="flex gap-2 mt-2">
+                  <button
+                    onClick={() => onOpen(entry)}
+                    className="flex items-center px-2 py-1 bg-blue-500 hover:bg-blue-600 rounded transition-colors text-xs"
+                  >
+                    <FolderOpen className="w-3 h-3 mr-1" />
+                    Open
+                  </button>
+                  <button
+                    onClick={() => onDelete(entry.id)}
+                    className="flex items-center px-2 py-1 bg-slate-700 hover:bg-red-500 rounded transition-colors text-xs"
+                    aria-label={`Delete ${entry.fileName}`}
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { AlertCircle, X } from 'lucide-react';
+
+// Rejections shown at once; the rest are summarised
+const MAX_LISTED = 5;
+
+// Inline list of files rejected at intake, shown inside the drop zone
+const IntakeErrors = ({ errors, onDismiss }) => {
+  if (!errors.length) return null;
+  const hidden = errors.length - MAX_LISTED;
+
+  return (
+    <div className="mt-4 text-left text-sm bg-yellow-500/10 border border-yellow-500/40 rounded-lg p-3" role="alert">
+      <div className="flex items-start justify-between gap-2">
+        <p className="flex items-center font-semibold text-yellow-400">
+          <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+          {errors.length === 1 ? 'This file could not be used' : `${errors.length} files could not be used`}
+        </p>
+        <button onClick={onDismiss} className="text-yellow-300 hover:text-yellow-100" aria-label="Dismiss">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <ul className="mt-2 space-y-1 text-xs text-yellow-100">
+        {errors.slice(0, MAX_LISTED).map(({ fileName, message }, i) => (
+          <li key={`${fileName}-${i}`}>
+            <span className="font-semibold break-all">{fileName}</span>: {message}
+          </li>
+        ))}
+        {hidden > 0 && <li className="text-yellow-300">…and {hidden} more</li>}
+      </ul>
+    </div>
+  );
+};
+
+export default IntakeErrors;
@@ -0,0 +1,242 @@
+import React from 'react';
+import { Activity, Brain, Database, Github, AlertCircle } from 'lucide-react';
+import { cardMetrics, datasetSummary, METRIC_LABELS } from '../services/modelCard';
+import ConfusionMatrix from './ConfusionMatrix';
+
+const cardClass = 'bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20';
+const percent = (value) => `${(value * 100).toFixed(2)}%`;
+const count = (value) => value.toLocaleString('en-US');
+
+// Technical Documentation content rendered from the model card
+const ModelCard = ({ card, source, warning, error }) => {
+  if (error) {
+    return (
+      <p className="flex items-center justify-center text-yellow-400">
+        <AlertCircle className="w-5 h-5 mr-2" />
+        Could not load the model card: {error}
+      </p>
+    );
+  }
+  if (!card) return <p className="text-center text-blue-300">Loading model card...</p>;
+
+  const metrics = cardMetrics(card);
+  const dataset = datasetSummary(card);
+  const { architecture = {}, training = {}, evaluation } = card;
+  const trainRow = dataset.rows.find((row) => row.split === 'train');
+
+  return (
+    <>
+      <p className="text-center text-sm text-blue-300 -mt-8 mb-8">
+        {card.name} · version {card.version} · {source === 'backend' ? 'card served by the backend' : 'bundled model card'}
+      </p>
+      {warning && <p className="text-center text-xs text-yellow-400 -mt-6 mb-8">{warning}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 md:gap-12 items-start w-full">
+        {/* Left Column - Model visualization and metrics */}
+        <div className="space-y-6">
+          {/* Model architecture diagram */}
+          {architecture.diagram && (
+            <div className={cardClass}>
+              <div className="aspect-video bg-black rounded-lg flex items-center justify-center mb-4 overflow-hidden w-full">
+                <img
+                  src={architecture.diagram}
+                  alt="Model Architecture Diagram"
+                  className="w-auto h-auto object-cover"
+                />
+              </div>
+              <p className="text-center text-sm text-blue-200">Model Architecture Diagram</p>
+            </div>
+          )}
+
+          {/* Quick stats */}
+          <div className="grid grid-cols-2 gap-4">
+            <div className="bg-slate-800/50 backdrop-blur-lg rounded-xl p-4 border border-blue-500/20 text-center">
+              <Database className="w-10 h-10 text-cyan-400 mx-auto mb-2" />
+              <div className="text-2xl font-bold text-cyan-400">
+                {trainRow ? count(trainRow.total) : '—'}
+              </div>
+              <div className="text-xs text-blue-200">Training Images</div>
+            </div>
+            <div className="bg-slate-800/50 backdrop-blur-lg rounded-xl p-4 border border-blue-500/20 text-center">
+              <Activity className="w-10 h-10 text-cyan-400 mx-auto mb-2" />
+              <div className="text-2xl font-bold text-cyan-400">{metrics.accuracy != null ? percent(metrics.accuracy) : '—'}</div>
+              <div className="text-xs text-blue-200">Accuracy</div>
+            </div>
+          </div>
+
+          {/* Performance Metrics Card */}
+          <div className={cardClass}>
+            <h4 className="font-semibold mb-4 text-cyan-400">Performance Metrics</h4>
+            <div className="space-y-3">
+              {Object.entries(METRIC_LABELS)
+                .filter(([key]) => metrics[key] != null)
+                .map(([key, label]) => (
+                  <div key={key} className="flex justify-between items-center">
+                    <span className="text-blue-200">{label}</span>
+                    <span className="font-semibold text-cyan-400">{percent(metrics[key])}</span>
+                  </div>
+                ))}
+            </div>
+            <p className="text-xs text-blue-300 mt-4">
+              Measured on the {evaluation.split || 'held-out'} set; {card.labels[1]} is the positive class.
+            </p>
+
+            <h4 className="font-semibold mt-6 mb-3 text-cyan-400">Confusion Matrix</h4>
+            {evaluation.confusionMatrix ? (
+              <ConfusionMatrix labels={card.labels} matrix={evaluation.confusionMatrix} />
+            ) : (
+              <p className="text-sm text-blue-300">Not published for this model version.</p>
+            )}
+          </div>
+
+          {/* Training Details Card */}
+          <div className={cardClass}>
+            <h3 className="text-2xl font-semibold mb-4 text-cyan-400">Training Details</h3>
+            <div className="space-y-4">
+              {card.framework && (
+                <div>
+                  <h4 className="font-semibold text-blue-300 mb-2">Framework</h4>
+                  <p className="text-blue-100">{card.framework}</p>
+                </div>
+              )}
+              <div>
+                <h4 className="font-semibold text-blue-300 mb-2">Hyperparameters</h4>
+                <ul className="space-y-2 text-blue-100 text-sm">
+                  {[
+                    ['Optimizer', training.optimizer],
+                    ['Learning Rate', training.learningRate],
+                    ['Batch Size', training.batchSize],
+                    ['Epochs', training.epochs],
+                    ['Loss Function', training.loss]
+                  ].filter(([, value]) => value != null).map(([label, value]) => (
+                    <li key={label}>• {label}: {value}</li>
+                  ))}
+                </ul>
+              </div>
+              {training.augmentation && (
+                <div>
+                  <h4 className="font-semibold text-blue-300 mb-2">Data Augmentation</h4>
+                  <p className="text-blue-100 text-sm">{training.augmentation}</p>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Right Column - Dataset, Architecture, and GitHub sections */}
+        <div className="space-y-6">
+          {/* Dataset Information Card */}
+          {card.dataset && (
+            <div className={cardClass}>
+              <h3 className="text-2xl font-semibold mb-4 text-cyan-400 flex items-center">
+                <Database className="w-6 h-6 mr-2" />
+                Dataset Information
+              </h3>
+              <div className="space-y-4">
+                <div>
+                  <h4 className="font-semibold text-blue-300 mb-2">Dataset Name</h4>
+                  <p className="text-blue-100">{card.dataset.name}</p>
+                </div>
+                {card.dataset.url && (
+                  <div>
+                    <h4 className="font-semibold text-blue-300 mb-2">Source</h4>
+                    <a
+                      href={card.dataset.url} target="_blank" rel="noreferrer"
+                      className="inline-flex items-center px-4 py-2 bg-blue-500/20 hover:bg-blue-500/30 rounded-lg border border-blue-500/30 transition-colors text-cyan-400"
+                    >
+                      View Dataset
+                      <Github className="w-4 h-4 ml-2" />
+                    </a>
+                  </div>
+                )}
+                <div>
+                  <h4 className="font-semibold text-blue-300 mb-2">Dataset Splits</h4>
+                  <table className="w-full text-sm text-blue-100">
+                    <thead>
+                      <tr className="text-xs text-blue-300 text-right">
+                        <th className="py-1 text-left">Split</th>
+                        {card.labels.map((label) => <th key={label} className="py-1">{label}</th>)}
+                        <th className="py-1">Total</th>
+                      </tr>
+                    </thead>
+                    <tbody className="text-right">
+                      {dataset.rows.map((row) => (
+                        <tr key={row.split} className="border-t border-blue-500/20">
+                          <td className="py-1 text-left">{row.label}</td>
+                          {card.labels.map((label) => <td key={label} className="py-1">{count(row.counts[label] || 0)}</td>)}
+                          <td className="py-1 font-semibold">{count(row.total)}</td>
+                        </tr>
+                      ))}
+                      <tr className="border-t border-blue-500/40 font-semibold">
+                        <td className="py-1 text-left">All</td>
+                        {card.labels.map((label) => <td key={label} className="py-1">{count(dataset.totals[label])}</td>)}
+                        <td className="py-1 text-cyan-400">{count(dataset.total)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                  <ul className="space-y-1 text-blue-100 text-sm mt-3">
+                    {card.dataset.resolution && <li>• Image Resolution: {card.dataset.resolution}</li>}
+                    {card.dataset.format && <li>• Format: {card.dataset.format}</li>}
+                  </ul>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Model Architecture Card */}
+          <div className={cardClass}>
+            <h3 className="text-2xl font-semibold mb-4 text-cyan-400 flex items-center">
+              <Brain className="w-6 h-6 mr-2" />
+              Model Architecture
+            </h3>
+            <div className="space-y-4">
+              {architecture.type && (
+                <div>
+                  <h4 className="font-semibold text-blue-300 mb-2">Network Type</h4>
+                  <p className="text-blue-100">{architecture.type}</p>
+                </div>
+              )}
+              {architecture.baseModel && (
+                <div>
+                  <h4 className="font-semibold text-blue-300 mb-2">Base Model</h4>
+                  <p className="text-blue-100">{architecture.baseModel}</p>
+                </div>
+              )}
+              {architecture.layers && (
+                <div>
+                  <h4 className="font-semibold text-blue-300 mb-2">Architecture Details</h4>
+                  <ul className="space-y-2 text-blue-100 text-sm">
+                    {architecture.layers.map((layer) => <li key={layer}>• {layer}</li>)}
+                    {architecture.parameters && <li>• Total Parameters: {architecture.parameters}</li>}
+                  </ul>
+                </div>
+              )}
+              {architecture.snippet && (
+                <div>
+                  <h4 className="font-semibold text-blue-300 mb-2">Code Snippet</h4>
+                  <div className="bg-slate-900 rounded-lg p-4 text-xs font-mono overflow-x-auto border border-blue-500/30 max-w-full">
+                    <pre className="text-cyan-400 whitespace-pre-wrap break-all overflow-hidden">{architecture.snippet}</pre>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* GitHub Repository Link Card */}
+          <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-4 border border-blue-500/20">
+            <h4 className="font-semibold text-blue-300 mb-2">GitHub Repository</h4>
+            <a
+              href="https://github.com/vis-05/pneumo-ai.git" target="_blank" rel="noreferrer"
+              className="inline-flex items-center px-4 py-3 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-cyan-400 text-sm"
+            >
+              <Github className="w-4 h-4 mr-2" />
+              View on GitHub
+            </a>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ModelCard;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { Layers } from 'lucide-react';
+import { PROVIDERS } from '../services/inference';
+import { MODELS, isAvailable, selectedModels } from '../services/inference/models';
+import { ENSEMBLE_METHODS } from '../services/inference/ensemble';
+
+// Models to run on the X-ray and, when several are selected, how their results are combined
+// Changes go through onChange as settings (models, ensembleMethod) and are persisted by the parent.
+const ModelPicker = ({ settings, onChange, disabled }) => {
+  const selected = selectedModels(settings);
+
+  // At least one model stays selected
+  const toggle = (id) => {
+    const next = selected.includes(id) ? selected.filter((model) => model !== id) : [...selected, id];
+    if (next.length) onChange({ ...settings, models: next.join(',') });
+  };
+
+  return (
+    <fieldset disabled={disabled} className="mt-4 p-3 border border-blue-500/20 rounded-xl bg-slate-900/50 text-sm">
+      <legend className="flex items-center px-1 text-blue-200">
+        <Layers className="w-4 h-4 mr-2 text-cyan-400" />
+        Models
+      </legend>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {Object.entries(MODELS).map(([id, { label, description }]) => {
+          const available = isAvailable(id, settings);
+          return (
+            <label
+              key={id}
+              className={`flex items-start gap-2 p-2 rounded-lg border ${
+                selected.includes(id) ? 'border-cyan-500/60 bg-cyan-500/10' : 'border-blue-500/20'
+              } ${available ? 'cursor-pointer' : 'opacity-50'}`}
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(id)}
+                disabled={!available}
+                onChange={() => toggle(id)}
+                className="mt-1 accent-cyan-500"
+              />
+              <span>
+                <span className="block text-blue-100">{label}</span>
+                <span className="block text-xs text-blue-300">
+                  {available ? description : `Not available with ${PROVIDERS[settings.provider]?.label || settings.provider}`}
+                </span>
+              </span>
+            </label>
+          );
+        })}
+      </div>
+      {selected.length > 1 && (
+        <label className="flex items-center justify-between gap-2 mt-3 text-blue-300">
+          Ensemble verdict
+          <select
+            value={settings.ensembleMethod}
+            onChange={(e) => onChange({ ...settings, ensembleMethod: e.target.value })}
+            className="px-2 py-1 bg-slate-900 border border-blue-500/30 rounded-lg text-sm text-blue-100 focus:outline-none focus:border-cyan-500"
+          >
+            {Object.entries(ENSEMBLE_METHODS).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+    </fieldset>
+  );
+};
+
+export default ModelPicker;
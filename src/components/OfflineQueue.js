@@ -0,0 +1,79 @@
+import React from 'react';
+import { WifiOff, CloudUpload, CheckCircle, AlertCircle, X } from 'lucide-react';
+
+// Offline notice, analyses waiting for a connection, and the results that arrived for them
+const OfflineQueue = ({ queue, onOpen }) => {
+  const { items, online, arrived, error, remove, flush, dismiss } = queue;
+  if (online && !items.length && !arrived.length && !error) return null;
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-4 border border-blue-500/20 space-y-3" aria-live="polite">
+      {!online && (
+        <p className="flex items-center text-sm text-yellow-300">
+          <WifiOff className="w-4 h-4 mr-2 flex-shrink-0" />
+          You're offline. X-rays you analyse now are kept on this device and sent when the connection returns.
+        </p>
+      )}
+      {error && <p className="text-xs text-yellow-400">Offline queue unavailable: {error}</p>}
+
+      {items.length > 0 && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="flex items-center font-semibold text-cyan-400 text-sm">
+              <CloudUpload className="w-4 h-4 mr-2" />
+              Waiting to submit ({items.length})
+            </h4>
+            {online && (
+              <button onClick={flush} className="text-xs text-cyan-400 hover:text-cyan-300">Retry now</button>
+            )}
+          </div>
+          <ul className="space-y-1 text-xs text-blue-200">
+            {items.map((item) => (
+              <li key={item.id} className="flex items-center justify-between gap-2">
+                <span className="truncate">{item.fileName}</span>
+                <span className="flex items-center gap-2 flex-shrink-0 text-blue-300">
+                  queued {new Date(item.queuedAt).toLocaleTimeString()}
+                  <button onClick={() => remove(item.id)} className="hover:text-white" aria-label={`Remove ${item.fileName} from the queue`}>
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {arrived.length > 0 && (
+        <ul className="space-y-2 text-sm">
+          {arrived.map((outcome) => (
+            <li
+              key={outcome.id}
+              className={`flex items-center justify-between gap-2 rounded-lg px-3 py-2 border ${
+                outcome.error ? 'border-yellow-500/40 bg-yellow-500/10' : 'border-green-500/40 bg-green-500/10'
+              }`}
+            >
+              <span className="flex items-center min-w-0">
+                {outcome.error
+                  ? <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0 text-yellow-400" />
+                  : <CheckCircle className="w-4 h-4 mr-2 flex-shrink-0 text-green-400" />}
+                <span className="truncate">
+                  {outcome.fileName}: {outcome.error || outcome.result.prediction}
+                </span>
+              </span>
+              <span className="flex items-center gap-2 flex-shrink-0">
+                {outcome.entry && (
+                  <button onClick={() => onOpen(outcome.entry)} className="text-xs text-cyan-400 hover:text-cyan-300">View</button>
+                )}
+                <button onClick={() => dismiss(outcome.id)} className="text-blue-300 hover:text-white" aria-label="Dismiss">
+                  <X className="w-4 h-4" />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OfflineQueue;
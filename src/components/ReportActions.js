@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { FileDown, FileJson, Link2 } from 'lucide-react';
+import { downloadReport } from '../services/report';
+import { downloadFhirBundle } from '../services/fhir';
+import { shareUrl } from '../utils/routing';
+
+// Optional notes, "Download report" and FHIR export buttons and a shareable summary link for the current analysis
+const ReportActions = ({ imageSource, fileName, result }) => {
+  const [notes, setNotes] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const handleDownload = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await downloadReport({ imageSource, fileName, result, backend: result.backend, notes });
+    } catch (err) {
+      console.error(err);
+      setError('Could not generate the report.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // FHIR R4 bundle (DiagnosticReport, Observation, Media, Device) for clinical systems
+  const handleFhirExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      await downloadFhirBundle({ imageSource, result, notes });
+    } catch (err) {
+      console.error(err);
+      setError('Could not export the FHIR bundle.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Copy a link to a read-only summary (label, probability, model version, time - never the image)
+  const handleShare = async () => {
+    setError(null);
+    try {
+      await navigator.clipboard.writeText(shareUrl(result));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error(err);
+      setError('Could not copy the link.');
+    }
+  };
+
+  return (
+    <div className="mb-4 space-y-2">
+      <label className="block text-sm text-blue-200">
+        Report notes (optional)
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={2}
+          placeholder="Clinical context, follow-up, reviewer comments..."
+          className="w-full mt-1 px-3 py-2 bg-slate-900 border border-blue-500/30 rounded-lg text-sm text-blue-100 focus:outline-none focus:border-cyan-500"
+        />
+      </label>
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={handleDownload}
+          disabled={busy}
+          className="flex items-center px-4 py-2 bg-blue-500 hover:bg-blue-600 rounded-lg transition-colors text-sm disabled:opacity-50"
+        >
+          <FileDown className="w-4 h-4 mr-2" />
+          {busy ? 'Generating...' : 'Download report'}
+        </button>
+        <button
+          onClick={handleFhirExport}
+          disabled={exporting || !imageSource}
+          title="Download a FHIR R4 bundle with the report, pneumonia probability, image and model version"
+          className="flex items-center px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-sm disabled:opacity-50"
+        >
+          <FileJson className="w-4 h-4 mr-2" />
+          {exporting ? 'Exporting...' : 'Export FHIR'}
+        </button>
+        <button
+          onClick={handleShare}
+          title="Copy a link to a read-only summary of this result (the image is not included)"
+          className="flex items-center px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-sm"
+        >
+          <Link2 className="w-4 h-4 mr-2" />
+          {copied ? 'Link copied' : 'Copy share link'}
+        </button>
+      </div>
+      {error && <p className="text-xs text-yellow-400">{error}</p>}
+    </div>
+  );
+};
+
+export default ReportActions;
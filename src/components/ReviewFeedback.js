@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { ClipboardCheck, Check, X } from 'lucide-react';
+import { REVIEW_LABELS } from '../services/reviews';
+import { CLASS_LABELS } from '../services/inference/normalize';
+
+// "Was this correct?" control on a result: the reviewer confirms or corrects the label and adds notes
+// review is this result's saved review, if any; onSave({ label, notes }) resolves to the saved
+// review, or null if it could not be stored.
+const ReviewFeedback = ({ result, review, onSave }) => {
+  const [label, setLabel] = useState(review?.label ?? (REVIEW_LABELS.includes(result.groundTruth) ? result.groundTruth : null));
+  const [notes, setNotes] = useState(review?.notes ?? '');
+  const [editing, setEditing] = useState(!review);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Decided results are confirmed or corrected; inconclusive ones need the label itself
+  const decided = REVIEW_LABELS.includes(result.decision);
+  const otherLabel = REVIEW_LABELS.find((id) => id !== result.decision);
+  const choices = decided
+    ? [
+      { id: result.decision, text: `Yes, ${CLASS_LABELS[result.decision]}`, Icon: Check },
+      { id: otherLabel, text: `No, it's ${CLASS_LABELS[otherLabel]}`, Icon: X }
+    ]
+    : REVIEW_LABELS.map((id) => ({ id, text: CLASS_LABELS[id], Icon: null }));
+
+  const handleSave = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      if (await onSave({ label, notes })) setEditing(false);
+      else setError('Could not save the review in this browser.');
+    } catch (err) {
+      console.error(err);
+      setError('Could not save the review in this browser.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <div className="mb-4 flex items-start justify-between gap-3 px-3 py-2 rounded-lg border border-blue-500/30 bg-slate-900/60 text-sm">
+        <span className="flex items-start text-blue-100">
+          <ClipboardCheck className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0 text-cyan-400" />
+          <span>
+            Reviewed as <strong>{CLASS_LABELS[review.label]}</strong>
+            {review.agrees ? ' - agrees with the model' : ' - disagrees with the model'}
+            {review.notes && <span className="block text-xs text-blue-300 mt-1">{review.notes}</span>}
+          </span>
+        </span>
+        <button onClick={() => setEditing(true)} className="text-xs text-cyan-400 hover:text-cyan-300 flex-shrink-0">
+          Edit
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-4 p-3 rounded-lg border border-blue-500/30 bg-slate-900/60 space-y-3">
+      <p className="flex items-center text-sm font-semibold text-blue-200">
+        <ClipboardCheck className="w-4 h-4 mr-2 text-cyan-400" />
+        {decided ? 'Was this correct?' : 'What is the correct label?'}
+      </p>
+      <div className="flex flex-wrap gap-2" role="group" aria-label="Reviewer label">
+        {choices.map(({ id, text, Icon }) => (
+          <button
+            key={id}
+            onClick={() => setLabel(id)}
+            aria-pressed={label === id}
+            className={`flex items-center px-3 py-1.5 rounded-lg text-sm border transition-colors ${
+              label === id ? 'bg-cyan-500/20 border-cyan-400 text-white' : 'bg-slate-800 border-blue-500/30 text-blue-200 hover:border-cyan-500'
+            }`}
+          >
+            {Icon && <Icon className="w-4 h-4 mr-1" />}
+            {text}
+          </button>
+        ))}
+      </div>
+      <label className="block text-sm text-blue-200">
+        Reviewer notes (optional)
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={2}
+          placeholder="Findings, image quality, why the model was wrong..."
+          className="w-full mt-1 px-3 py-2 bg-slate-900 border border-blue-500/30 rounded-lg text-sm text-blue-100 focus:outline-none focus:border-cyan-500"
+        />
+      </label>
+      <div className="flex items-center gap-3">
+        <button
+          onClick={handleSave}
+          disabled={!label || busy}
+          className="px-4 py-2 bg-blue-500 hover:bg-blue-600 rounded-lg transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {busy ? 'Saving...' : 'Save to review log'}
+        </button>
+        {review && (
+          <button onClick={() => setEditing(false)} className="text-xs text-blue-300 hover:text-white">Cancel</button>
+        )}
+        {error && <span className="text-xs text-yellow-400">{error}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewFeedback;
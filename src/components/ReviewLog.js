@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { ClipboardCheck, Download, Trash2 } from 'lucide-react';
+import { reviewStats, buildDatasetZip, datasetFileName, REVIEW_LABELS } from '../services/reviews';
+import { CLASS_LABELS } from '../services/inference/normalize';
+import { downloadBlob } from '../utils/files';
+
+// Text colour for each label
+const LABEL_COLORS = {
+  normal: 'text-green-400',
+  pneumonia: 'text-red-400',
+  inconclusive: 'text-yellow-400'
+};
+
+const percent = (value) => (value == null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+// Reviewer verdicts collected on results, agreement with the model and the dataset export
+const ReviewLog = ({ reviews, error, onDelete, onClear }) => {
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const stats = reviewStats(reviews);
+
+  // Zip of the reviewed images and their manifest, for retraining
+  const handleExport = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      downloadBlob(await buildDatasetZip(reviews), datasetFileName());
+    } catch (err) {
+      console.error(err);
+      setExportError('Could not build the dataset export.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Clearing is irreversible, so ask first
+  const confirmClear = () => {
+    if (window.confirm('Delete all reviews from this browser?')) onClear();
+  };
+
+  const summary = [
+    { label: 'Reviewed', value: stats.total },
+    { label: 'Agreement', value: percent(stats.agreement) },
+    ...REVIEW_LABELS.map((id) => ({
+      label: `${CLASS_LABELS[id]} agreed`,
+      value: `${stats.byLabel[id].agreed} / ${stats.byLabel[id].total}`
+    })),
+    { label: 'Sensitivity', value: percent(stats.metrics?.recall) },
+    { label: 'Specificity', value: percent(stats.metrics?.specificity) }
+  ];
+
+  return (
+    <div className="mt-8 bg-slate-800/50 backdrop-blur-lg rounded-2xl p-6 border border-blue-500/20">
+      <div className="flex flex-wrap gap-3 items-center justify-between mb-4">
+        <h3 className="flex items-center text-xl font-semibold text-cyan-400">
+          <ClipboardCheck className="w-5 h-5 mr-2" />
+          Review Log
+        </h3>
+        <div className="flex gap-2">
+          <button
+            onClick={handleExport}
+            disabled={!reviews.length || exporting}
+            className="flex items-center px-3 py-1.5 bg-blue-500 hover:bg-blue-600 rounded-lg transition-colors text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download className="w-3 h-3 mr-1" />
+            {exporting ? 'Exporting...' : 'Export dataset (.zip)'}
+          </button>
+          <button
+            onClick={confirmClear}
+            disabled={!reviews.length}
+            className="flex items-center px-3 py-1.5 bg-red-500 hover:bg-red-600 rounded-lg transition-colors text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Trash2 className="w-3 h-3 mr-1" />
+            Clear all
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm text-blue-200 mb-4">
+        Verdicts from "Was this correct?" on results, stored only in this browser. The export holds the images in
+        NORMAL/PNEUMONIA folders by reviewer label with a CSV and JSON manifest, ready for retraining.
+        Sensitivity and specificity take the reviewer's label as ground truth
+        {stats.inconclusive > 0 && ` and leave out the ${stats.inconclusive} inconclusive result${stats.inconclusive === 1 ? '' : 's'}`}.
+      </p>
+
+      {error && <p className="text-sm text-yellow-400 mb-4">Review log unavailable: {error}</p>}
+      {exportError && <p className="text-sm text-yellow-400 mb-4">{exportError}</p>}
+
+      <dl className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3 mb-4">
+        {summary.map(({ label, value }) => (
+          <div key={label} className="bg-slate-900/60 rounded-lg p-3 border border-blue-500/20">
+            <dt className="text-xs text-blue-300">{label}</dt>
+            <dd className="text-lg font-semibold text-blue-100 tabular-nums">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {!reviews.length ? (
+        <p className="text-center py-6 text-sm text-blue-300">No reviews yet. Review a result with "Was this correct?".</p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+          {reviews.map((review) => (
+            <li key={review.id} className="flex gap-3 items-start p-3 bg-slate-900/60 rounded-xl border border-blue-500/20">
+              <img src={review.image} alt="" className="w-12 h-12 object-cover rounded-lg flex-shrink-0" />
+              <div className="min-w-0 flex-1 text-sm">
+                <p>
+                  Model <span className={LABEL_COLORS[review.modelLabel]}>{review.result.prediction}</span>
+                  {' · '}Reviewer <span className={LABEL_COLORS[review.label]}>{CLASS_LABELS[review.label]}</span>
+                  {!review.agrees && <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-yellow-500/20 text-yellow-300">corrected</span>}
+                </p>
+                {review.notes && <p className="text-xs text-blue-200 mt-1 break-words">{review.notes}</p>}
+                <p className="text-xs text-blue-300 mt-1">{new Date(review.reviewedAt).toLocaleString()}</p>
+              </div>
+              <button
+                onClick={() => onDelete(review.id)}
+                className="p-1 text-blue-300 hover:text-red-400"
+                aria-label={`Delete review from ${new Date(review.reviewedAt).toLocaleString()}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReviewLog;
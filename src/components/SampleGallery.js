@@ -0,0 +1,36 @@
+import React from 'react';
+import { Images } from 'lucide-react';
+import { CLASS_LABELS } from '../services/inference/normalize';
+import { SAMPLE_XRAYS } from '../services/samples';
+
+// Labelled sample X-rays; clicking one loads it into the upload/analyze flow
+const SampleGallery = ({ selectedId, disabled, onSelect }) => (
+  <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-4 border border-blue-500/20">
+    <h4 className="flex items-center font-semibold text-cyan-400 mb-1">
+      <Images className="w-4 h-4 mr-2" />
+      Try a sample X-ray
+    </h4>
+    <p className="text-xs text-blue-300 mb-3">Labelled radiographs - the result shows whether the model got it right.</p>
+    <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+      {SAMPLE_XRAYS.map((sample) => (
+        <button
+          key={sample.id}
+          onClick={() => onSelect(sample)}
+          disabled={disabled}
+          aria-pressed={selectedId === sample.id}
+          className={`text-left rounded-xl overflow-hidden border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+            selectedId === sample.id ? 'border-cyan-400' : 'border-blue-500/20 hover:border-cyan-500/60'
+          }`}
+        >
+          <img src={sample.url} alt={`${sample.title} sample chest X-ray`} className="w-full aspect-square object-cover bg-black" loading="lazy" />
+          <div className="p-2 bg-slate-900/60">
+            <p className="text-xs font-semibold text-blue-100">{sample.title}</p>
+            <p className="text-xs text-blue-300">Ground truth: {CLASS_LABELS[sample.truth]}</p>
+          </div>
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+export default SampleGallery;
@@ -0,0 +1,293 @@
+import React, { useState } from 'react';
+import { Settings, ChevronDown } from 'lucide-react';
+import { PROVIDERS, availableProviders } from '../services/inference';
+import { compareProviders } from '../services/inference/compare';
+import { FIT_MODES, CONTRAST_MODES } from '../services/preprocessing';
+
+// Collapsible panel for choosing the inference provider at runtime
+// Changes are applied through onChange and persisted by the parent
+// consent is the saved upload consent ({ acceptedAt }) or null; onRevokeConsent withdraws it.
+const SettingsPanel = ({ settings, onChange, onReset, consent, onRevokeConsent }) => {
+  const [open, setOpen] = useState(false);
+  const [compareWith, setCompareWith] = useState('gradio-space');  // Remote provider to check the on-device model against
+  const [comparison, setComparison] = useState(null);              // Rows from compareProviders, or { error }
+  const [comparing, setComparing] = useState(false);
+
+  // Update a single settings field
+  const update = (key) => (e) => onChange({ ...settings, [key]: e.target.value });
+
+  // Run the on-device model and a remote provider on the bundled sample images
+  const runComparison = async () => {
+    setComparing(true);
+    setComparison(null);
+    try {
+      setComparison(await compareProviders(settings, { ...settings, provider: compareWith }));
+    } catch (err) {
+      setComparison({ error: err.message });
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  // Format a provider result for the comparison table
+  const describe = (result) => (result.error
+    ? 'Error'
+    : `${result.prediction} ${result.confidence !== null ? `${(result.confidence * 100).toFixed(1)}%` : ''}`);
+
+  const remoteProviders = Object.entries(PROVIDERS).filter(([, { mode }]) => mode === 'remote');
+
+  const inputClass = 'w-full mt-1 px-3 py-2 bg-slate-900 border border-blue-500/30 rounded-lg text-sm text-blue-100 focus:outline-none focus:border-cyan-500';
+
+  return (
+    <div className="mt-4 border border-blue-500/20 rounded-xl bg-slate-900/50">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm text-blue-200"
+        aria-expanded={open}
+      >
+        <span className="flex items-center">
+          <Settings className="w-4 h-4 mr-2 text-cyan-400" />
+          Backend: {PROVIDERS[settings.provider]?.label || settings.provider}
+        </span>
+        <ChevronDown className={`w-4 h-4 transition-transform ${open ? 'rotate-180' : ''}`} />
+      </button>
+
+      {open && (
+        <div className="px-4 pb-4 space-y-3 text-sm">
+          <label className="block text-blue-300">
+            Provider
+            <select value={settings.provider} onChange={update('provider')} className={inputClass}>
+              {availableProviders(settings).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          {settings.provider === 'gradio-space' && (
+            <label className="block text-blue-300">
+              Space ID
+              <input value={settings.gradioSpace} onChange={update('gradioSpace')} className={inputClass} placeholder="owner/space-name" />
+            </label>
+          )}
+
+          {settings.provider === 'gradio-url' && (
+            <label className="block text-blue-300">
+              Gradio URL
+              <input value={settings.gradioUrl} onChange={update('gradioUrl')} className={inputClass} placeholder="https://my-backend.example.com" />
+            </label>
+          )}
+
+          {settings.provider.startsWith('gradio') && (
+            <label className="block text-blue-300">
+              Endpoint
+              <input value={settings.gradioEndpoint} onChange={update('gradioEndpoint')} className={inputClass} />
+            </label>
+          )}
+
+          {settings.provider === 'rest' && (
+            <label className="block text-blue-300">
+              REST endpoint URL
+              <input value={settings.restUrl} onChange={update('restUrl')} className={inputClass} placeholder="http://localhost:5001/api/predict" />
+            </label>
+          )}
+
+          <label className="block text-blue-300">
+            Model card URL
+            <input
+              value={settings.modelCardUrl}
+              onChange={update('modelCardUrl')}
+              className={inputClass}
+              placeholder="Bundled card (leave empty)"
+            />
+          </label>
+
+          {settings.provider === 'local' && (
+            <div className="space-y-3">
+              <label className="block text-blue-300">
+                Model URL
+                <input value={settings.localModelUrl} onChange={update('localModelUrl')} className={inputClass} />
+              </label>
+              <p className="text-xs text-blue-300">
+                The model runs on this device's CPU. Images are never uploaded.
+              </p>
+
+              {/* Check the on-device model against a remote backend on the sample images */}
+              <div className="flex gap-2 items-end">
+                <label className="block flex-1 text-blue-300">
+                  Compare with
+                  <select value={compareWith} onChange={(e) => setCompareWith(e.target.value)} className={inputClass}>
+                    {remoteProviders.map(([id, { label }]) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  onClick={runComparison}
+                  disabled={comparing}
+                  className="px-3 py-2 bg-blue-500 hover:bg-blue-600 rounded-lg transition-colors text-xs disabled:opacity-50"
+                >
+                  {comparing ? 'Checking...' : 'Check samples'}
+                </button>
+              </div>
+
+              {comparison?.error && <p className="text-xs text-yellow-400">{comparison.error}</p>}
+              {Array.isArray(comparison) && (
+                <table className="w-full text-xs text-blue-100">
+                  <thead>
+                    <tr className="text-blue-300 text-left">
+                      <th className="py-1">Sample</th>
+                      <th className="py-1">On-device</th>
+                      <th className="py-1">Remote</th>
+                      <th className="py-1">Match</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.map((row) => (
+                      <tr key={row.name} className="border-t border-blue-500/20">
+                        <td className="py-1">{row.name}</td>
+                        <td className="py-1">{describe(row.a)}</td>
+                        <td className="py-1">{describe(row.b)}</td>
+                        <td className={`py-1 ${row.agree ? 'text-green-400' : 'text-yellow-400'}`}>
+                          {row.agree === null ? 'n/a' : row.agree ? `Yes${row.delta != null ? ` (Δ ${(row.delta * 100).toFixed(1)}%)` : ''}` : 'No'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          {settings.provider === 'mock' && (
+            <label className="block text-blue-300">
+              Scenario
+              <select value={settings.mockScenario} onChange={update('mockScenario')} className={inputClass}>
+                <option value="auto">Auto (from file name)</option>
+                <option value="normal">Normal</option>
+                <option value="pneumonia">Pneumonia</option>
+                <option value="disagree">Models disagree</option>
+                <option value="error">Error</option>
+              </select>
+            </label>
+          )}
+
+          {/* Client-side preprocessing */}
+          <div className="grid grid-cols-3 gap-2">
+            <label className="block text-blue-300">
+              Preprocess
+              <select value={settings.preprocess} onChange={update('preprocess')} className={inputClass}>
+                <option value="on">On</option>
+                <option value="off">Off</option>
+              </select>
+            </label>
+            <label className="block text-blue-300">
+              Fit
+              <select value={settings.preprocessFit} onChange={update('preprocessFit')} className={inputClass} disabled={settings.preprocess === 'off'}>
+                {Object.entries(FIT_MODES).map(([id, label]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-blue-300">
+              Contrast
+              <select value={settings.preprocessContrast} onChange={update('preprocessContrast')} className={inputClass} disabled={settings.preprocess === 'off'}>
+                {Object.entries(CONTRAST_MODES).map(([id, label]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <label className="block text-blue-300">
+            Batch concurrency
+            <input
+              type="number"
+              min="1"
+              max="8"
+              value={settings.batchConcurrency}
+              onChange={(e) => onChange({ ...settings, batchConcurrency: Math.min(Math.max(Number(e.target.value) || 1, 1), 8) })}
+              className={inputClass}
+            />
+          </label>
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block text-blue-300">
+              Timeout (s)
+              <input
+                type="number"
+                min="5"
+                max="600"
+                value={settings.requestTimeout}
+                onChange={(e) => onChange({ ...settings, requestTimeout: Math.min(Math.max(Number(e.target.value) || 90, 5), 600) })}
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-blue-300">
+              Retries
+              <input
+                type="number"
+                min="0"
+                max="5"
+                value={settings.maxRetries}
+                onChange={(e) => onChange({ ...settings, maxRetries: Math.min(Math.max(Number(e.target.value) || 0, 0), 5) })}
+                className={inputClass}
+              />
+            </label>
+          </div>
+
+          {/* Decision rule, in percent of pneumonia probability */}
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block text-blue-300">
+              Pneumonia threshold (%)
+              <input
+                type="number"
+                min="5"
+                max="95"
+                value={Math.round(settings.decisionThreshold * 100)}
+                onChange={(e) => onChange({ ...settings, decisionThreshold: Math.min(Math.max(Number(e.target.value) || 50, 5), 95) / 100 })}
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-blue-300">
+              Review margin (±%)
+              <input
+                type="number"
+                min="0"
+                max="25"
+                value={Math.round(settings.inconclusiveMargin * 100)}
+                onChange={(e) => onChange({ ...settings, inconclusiveMargin: Math.min(Math.max(Number(e.target.value) || 0, 0), 25) / 100 })}
+                className={inputClass}
+              />
+            </label>
+          </div>
+          <p className="text-xs text-blue-300">
+            Results within the margin of the threshold are reported as inconclusive and need review. Applies to new analyses.
+          </p>
+
+          {/* Consent to upload X-rays to remote backends */}
+          <div className="flex items-center justify-between gap-2 text-xs text-blue-300 border-t border-blue-500/20 pt-3">
+            <span>
+              {consent
+                ? `Upload consent given ${new Date(consent.acceptedAt).toLocaleDateString()} for ${consent.backend}`
+                : 'You will be asked before an X-ray is uploaded to a remote backend.'}
+            </span>
+            {consent && (
+              <button onClick={onRevokeConsent} className="flex-shrink-0 text-cyan-400 hover:text-cyan-300">
+                Revoke
+              </button>
+            )}
+          </div>
+
+          <button
+            onClick={onReset}
+            className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-xs text-blue-200"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { Link2, X, AlertCircle } from 'lucide-react';
+import { MEDICAL_DISCLAIMER } from '../constants';
+import { CLASS_LABELS, INCONCLUSIVE_LABEL } from '../services/inference/normalize';
+
+// Text colour for each result decision
+const DECISION_COLORS = {
+  normal: 'text-green-400',
+  pneumonia: 'text-red-400',
+  inconclusive: 'text-yellow-400'
+};
+
+const percent = (value) => (value != null ? `${(value * 100).toFixed(1)}%` : '—');
+
+// Read-only view of a result summary opened from a share link
+// summary is null when the link could not be decoded. The heading is the app's own label for the
+// decision, never the label text carried in the link, which anyone can edit.
+const SharedResult = ({ summary, onClose }) => (
+  <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl p-4 border-2 border-cyan-500/40" role="region" aria-labelledby="shared-result-title">
+    <div className="flex items-center justify-between mb-3">
+      <h3 id="shared-result-title" className="flex items-center text-xl font-semibold text-cyan-400">
+        <Link2 className="w-5 h-5 mr-2" />
+        Shared Result
+      </h3>
+      <button onClick={onClose} className="p-1 text-blue-300 hover:text-white" aria-label="Close shared result">
+        <X className="w-5 h-5" />
+      </button>
+    </div>
+
+    {!summary ? (
+      <p className="flex items-center text-sm text-yellow-400">
+        <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+        This share link is damaged or was created by an incompatible version.
+      </p>
+    ) : (
+      <>
+        <p className={`text-2xl font-bold mb-3 ${DECISION_COLORS[summary.decision]}`}>
+          {summary.decision === 'inconclusive' ? INCONCLUSIVE_LABEL : CLASS_LABELS[summary.decision]}
+        </p>
+        <dl className="grid grid-cols-2 gap-3 text-sm">
+          {[
+            { label: 'Pneumonia probability', value: percent(summary.pneumonia) },
+            { label: 'Confidence', value: percent(summary.confidence) },
+            {
+              label: 'Decision threshold',
+              value: summary.threshold != null
+                ? `${percent(summary.threshold)}${summary.band ? ` (review ${percent(summary.band[0])}–${percent(summary.band[1])})` : ''}`
+                : '—'
+            },
+            { label: 'Model version', value: summary.modelVersion || '—' },
+            { label: 'Analysed', value: summary.analyzedAt ? new Date(summary.analyzedAt).toLocaleString() : '—' }
+          ].map(({ label, value }) => (
+            <div key={label}>
+              <dt className="text-xs text-blue-300">{label}</dt>
+              <dd className="font-semibold text-blue-100">{value}</dd>
+            </div>
+          ))}
+        </dl>
+        <p className="text-xs text-blue-300 mt-3">
+          Read-only summary shared from another session. The X-ray image is not part of the link.
+        </p>
+      </>
+    )}
+
+    <p className="mt-3 text-xs text-yellow-100/80 leading-relaxed">{MEDICAL_DISCLAIMER}</p>
+  </div>
+);
+
+export default SharedResult;
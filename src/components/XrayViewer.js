@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { X, ZoomIn, ZoomOut, Move, Contrast, RotateCw, FlipHorizontal, FlipVertical, RefreshCcw, SunMedium } from 'lucide-react';
+import { fitScale, zoomAt, adjustWindow, viewStyle } from '../utils/viewer';
+
+// Initial view: no rotation/flip, neutral window
+const INITIAL_VIEW = {
+  scale: 1,
+  offset: { x: 0, y: 0 },
+  rotation: 0,
+  flipH: false,
+  flipV: false,
+  invert: false,
+  brightness: 100,
+  contrast: 100
+};
+
+// Full-screen X-ray viewer
+// Wheel/pinch to zoom, drag to pan, drag in window mode (or Shift+drag) for brightness/contrast.
+// Keyboard: Esc close, +/- zoom, 0 reset, I invert, R rotate.
+const XrayViewer = ({ src, title, onClose }) => {
+  const [natural, setNatural] = useState(null);   // Image size in pixels once loaded
+  const [view, setView] = useState(INITIAL_VIEW);
+  const [tool, setTool] = useState('pan');        // What a single-pointer drag does: 'pan' | 'window'
+  const [fitMode, setFitMode] = useState('fit');  // 'fit' to the viewport or 'actual' pixels (1:1)
+  const viewportRef = useRef(null);
+  const pointers = useRef(new Map());             // Active pointers for drag and pinch, keyed by pointerId
+
+  const viewportSize = () => {
+    const rect = viewportRef.current?.getBoundingClientRect();
+    return { width: rect?.width || 0, height: rect?.height || 0 };
+  };
+
+  // Reset everything and fit the image to the viewport
+  const reset = useCallback(() => {
+    setView({ ...INITIAL_VIEW, scale: natural ? fitScale(natural, viewportSize()) : 1 });
+    setFitMode('fit');
+  }, [natural]);
+
+  // Fit once the image has loaded
+  useEffect(() => {
+    if (natural) reset();
+  }, [natural, reset]);
+
+  // Switch between fit-to-screen and 1:1
+  const toggleFit = () => {
+    const next = fitMode === 'fit' ? 'actual' : 'fit';
+    setView((v) => ({
+      ...v,
+      offset: { x: 0, y: 0 },
+      scale: next === 'fit' ? fitScale(natural, viewportSize(), v.rotation) : 1
+    }));
+    setFitMode(next);
+  };
+
+  const zoomBy = useCallback((factor) => setView((v) => zoomAt(v, factor)), []);
+  const rotate = useCallback(() => setView((v) => ({ ...v, rotation: (v.rotation + 90) % 360 })), []);
+  const toggle = useCallback((key) => setView((v) => ({ ...v, [key]: !v[key] })), []);
+
+  // Wheel zoom around the cursor; registered natively so the page does not scroll behind the viewer
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = viewport.getBoundingClientRect();
+      const point = { x: e.clientX - rect.left - rect.width / 2, y: e.clientY - rect.top - rect.height / 2 };
+      setView((v) => zoomAt(v, Math.exp(-e.deltaY * 0.0015), point));
+    };
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    return () => viewport.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  // Keyboard shortcuts and body scroll lock while open
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === '+' || e.key === '=') zoomBy(1.25);
+      else if (e.key === '-') zoomBy(0.8);
+      else if (e.key === '0') reset();
+      else if (e.key.toLowerCase() === 'i') toggle('invert');
+      else if (e.key.toLowerCase() === 'r') rotate();
+    };
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    window.addEventListener('keydown', handleKey);
+    return () => {
+      document.body.style.overflow = overflow;
+      window.removeEventListener('keydown', handleKey);
+    };
+  }, [onClose, reset, zoomBy, toggle, rotate]);
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  };
+
+  const handlePointerMove = (e) => {
+    const previous = pointers.current.get(e.pointerId);
+    if (!previous) return;
+    const current = { x: e.clientX, y: e.clientY };
+
+    // Two pointers: pinch zoom around their midpoint, and pan with the midpoint
+    if (pointers.current.size === 2) {
+      const [other] = [...pointers.current.entries()].filter(([id]) => id !== e.pointerId).map(([, p]) => p);
+      const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+      const after = Math.hypot(current.x - other.x, current.y - other.y);
+      const rect = viewportRef.current.getBoundingClientRect();
+      const mid = {
+        x: (current.x + other.x) / 2 - rect.left - rect.width / 2,
+        y: (current.y + other.y) / 2 - rect.top - rect.height / 2
+      };
+      const shift = { x: (current.x - previous.x) / 2, y: (current.y - previous.y) / 2 };
+      setView((v) => zoomAt(
+        { ...v, offset: { x: v.offset.x + shift.x, y: v.offset.y + shift.y } },
+        before ? after / before : 1,
+        mid
+      ));
+    } else {
+      const dx = current.x - previous.x;
+      const dy = current.y - previous.y;
+      if (tool === 'window' || e.shiftKey) {
+        setView((v) => ({ ...v, ...adjustWindow(v, dx, dy) }));
+      } else {
+        setView((v) => ({ ...v, offset: { x: v.offset.x + dx, y: v.offset.y + dy } }));
+      }
+    }
+    pointers.current.set(e.pointerId, current);
+  };
+
+  const handlePointerUp = (e) => pointers.current.delete(e.pointerId);
+
+  const buttonClass = (active) => `p-2 rounded-lg transition-colors ${
+    active ? 'bg-blue-500 text-white' : 'text-blue-200 hover:bg-blue-500/20'
+  }`;
+
+  return (
+    <div className="fixed inset-0 z-[1000000] bg-black/95 flex flex-col" role="dialog" aria-modal="true" aria-label={`X-ray viewer: ${title}`}>
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-1 px-4 py-2 bg-slate-900 border-b border-blue-500/20">
+        <span className="text-sm text-blue-200 truncate mr-auto max-w-[40%]" title={title}>{title}</span>
+        <button onClick={() => zoomBy(1.25)} className={buttonClass(false)} aria-label="Zoom in"><ZoomIn className="w-5 h-5" /></button>
+        <button onClick={() => zoomBy(0.8)} className={buttonClass(false)} aria-label="Zoom out"><ZoomOut className="w-5 h-5" /></button>
+        <button onClick={toggleFit} className={`${buttonClass(false)} text-xs font-semibold w-12`} aria-label="Toggle fit and actual size">
+          {fitMode === 'fit' ? '1:1' : 'Fit'}
+        </button>
+        <span className="w-px h-6 bg-blue-500/30 mx-1" />
+        <button onClick={() => setTool('pan')} className={buttonClass(tool === 'pan')} aria-pressed={tool === 'pan'} aria-label="Pan tool"><Move className="w-5 h-5" /></button>
+        <button onClick={() => setTool('window')} className={buttonClass(tool === 'window')} aria-pressed={tool === 'window'} aria-label="Window/level tool"><SunMedium className="w-5 h-5" /></button>
+        <button onClick={() => toggle('invert')} className={buttonClass(view.invert)} aria-pressed={view.invert} aria-label="Invert"><Contrast className="w-5 h-5" /></button>
+        <span className="w-px h-6 bg-blue-500/30 mx-1" />
+        <button onClick={rotate} className={buttonClass(false)} aria-label="Rotate 90 degrees"><RotateCw className="w-5 h-5" /></button>
+        <button onClick={() => toggle('flipH')} className={buttonClass(view.flipH)} aria-pressed={view.flipH} aria-label="Flip horizontally"><FlipHorizontal className="w-5 h-5" /></button>
+        <button onClick={() => toggle('flipV')} className={buttonClass(view.flipV)} aria-pressed={view.flipV} aria-label="Flip vertically"><FlipVertical className="w-5 h-5" /></button>
+        <button onClick={reset} className={buttonClass(false)} aria-label="Reset view"><RefreshCcw className="w-5 h-5" /></button>
+        <span className="w-px h-6 bg-blue-500/30 mx-1" />
+        <button onClick={onClose} className={buttonClass(false)} aria-label="Close viewer"><X className="w-5 h-5" /></button>
+      </div>
+
+      {/* Viewport */}
+      <div
+        ref={viewportRef}
+        className={`relative flex-1 overflow-hidden touch-none select-none ${tool === 'window' ? 'cursor-crosshair' : 'cursor-grab active:cursor-grabbing'}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={toggleFit}
+      >
+        <img
+          src={src}
+          alt={title}
+          draggable={false}
+          onLoad={(e) => setNatural({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+          className="absolute left-1/2 top-1/2 max-w-none origin-center"
+          style={{
+            width: natural?.width,
+            height: natural?.height,
+            marginLeft: natural ? -natural.width / 2 : 0,
+            marginTop: natural ? -natural.height / 2 : 0,
+            visibility: natural ? 'visible' : 'hidden',
+            ...viewStyle(view)
+          }}
+        />
+      </div>
+
+      {/* Status bar */}
+      <div className="flex flex-wrap gap-4 px-4 py-2 bg-slate-900 border-t border-blue-500/20 text-xs text-blue-300">
+        <span>Zoom {Math.round(view.scale * 100)}%</span>
+        <span>Brightness {Math.round(view.brightness)}%</span>
+        <span>Contrast {Math.round(view.contrast)}%</span>
+        {view.rotation !== 0 && <span>Rotated {view.rotation}°</span>}
+        <span className="ml-auto hidden sm:inline">Scroll/pinch to zoom · drag to {tool === 'window' ? 'adjust window' : 'pan'} · Shift+drag for window/level</span>
+      </div>
+    </div>
+  );
+};
+
+export default XrayViewer;
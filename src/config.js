@@ -0,0 +1,70 @@
+// Application configuration
+// Build-time defaults come from REACT_APP_* environment variables (see .env.example),
+// runtime overrides are saved in localStorage so they survive page reloads.
+
+const SETTINGS_KEY = 'pneumoai.settings';
+
+// Non-negative number from an environment value, or the fallback when it is unset, empty or malformed
+// Unlike `Number(value) || fallback` this keeps an explicit 0 (e.g. no retries).
+const nonNegative = (value, fallback) => {
+  const number = Number(value);
+  return value != null && String(value).trim() !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// Defaults used when neither the build nor the user has chosen a value
+export const DEFAULT_SETTINGS = {
+  provider: process.env.REACT_APP_INFERENCE_PROVIDER || 'gradio-space',   // Which inference provider to use
+  gradioSpace: process.env.REACT_APP_GRADIO_SPACE || 'vish-05/xray-pneumonia-backend',
+  gradioUrl: process.env.REACT_APP_GRADIO_URL || '',                      // Full URL of a self-hosted Gradio app
+  gradioEndpoint: process.env.REACT_APP_GRADIO_ENDPOINT || '/predict',
+  restUrl: process.env.REACT_APP_REST_URL || '/api/predict',             // Plain REST endpoint accepting multipart form data
+  modelCardUrl: process.env.REACT_APP_MODEL_CARD_URL || '',              // Model card served by the backend (empty = bundled card)
+  localModelUrl: process.env.REACT_APP_LOCAL_MODEL_URL || '',           // TensorFlow.js model for on-device inference (empty = no converted model deployed)
+  mockScenario: process.env.REACT_APP_MOCK_SCENARIO || 'auto',            // Fixture used by the mock provider
+  models: process.env.REACT_APP_MODELS || 'cnn',                          // Comma-separated ids of the models to run (services/inference/models.js)
+  ensembleMethod: process.env.REACT_APP_ENSEMBLE_METHOD || 'mean',        // mean | vote, when several models run
+  batchConcurrency: Number(process.env.REACT_APP_BATCH_CONCURRENCY) || 2,  // Parallel requests when analysing a batch
+  preprocess: process.env.REACT_APP_PREPROCESS || 'on',                   // Send the preprocessed image instead of the raw file
+  modelInputSize: Number(process.env.REACT_APP_MODEL_INPUT_SIZE) || 150,
+  preprocessFit: process.env.REACT_APP_PREPROCESS_FIT || 'stretch',      // stretch | crop | letterbox
+  preprocessContrast: process.env.REACT_APP_PREPROCESS_CONTRAST || 'none', // none | normalize | clahe
+  requestTimeout: Number(process.env.REACT_APP_REQUEST_TIMEOUT) || 90,    // Seconds per prediction attempt
+  maxRetries: nonNegative(process.env.REACT_APP_MAX_RETRIES, 2),          // Automatic retries for transient failures
+  decisionThreshold: Number(process.env.REACT_APP_DECISION_THRESHOLD) || 0.5,     // Pneumonia probability cut-off
+  inconclusiveMargin: nonNegative(process.env.REACT_APP_INCONCLUSIVE_MARGIN, 0.1)   // Results within this distance of the threshold need review
+};
+
+// Read saved settings, falling back to the build-time defaults for anything missing
+export const loadSettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY) || '{}');
+    const settings = { ...DEFAULT_SETTINGS, ...saved };
+    // The on-device provider needs a deployed model; an old saved choice would fail every analysis
+    return settings.provider === 'local' && !settings.localModelUrl ? { ...settings, provider: DEFAULT_SETTINGS.provider } : settings;
+  } catch (err) {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+// Persist only the values that differ from the defaults, so new build defaults still apply
+export const saveSettings = (settings) => {
+  const overrides = Object.fromEntries(
+    Object.entries(settings).filter(([key, value]) => DEFAULT_SETTINGS[key] !== value)
+  );
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(overrides));
+  } catch (err) {
+    // Storage can be unavailable (private mode, quota) - settings then last for the session only
+  }
+  return { ...DEFAULT_SETTINGS, ...overrides };
+};
+
+// Drop all runtime overrides
+export const resetSettings = () => {
+  try {
+    window.localStorage.removeItem(SETTINGS_KEY);
+  } catch (err) {
+    // Ignore storage errors
+  }
+  return { ...DEFAULT_SETTINGS };
+};
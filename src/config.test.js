@@ -0,0 +1,27 @@
+// DEFAULT_SETTINGS is built when the module loads, so each case loads it with its own environment
+const ENV = process.env;
+
+const defaultsWith = (env) => {
+  jest.resetModules();
+  process.env = { ...ENV, ...env };
+  return require('./config').DEFAULT_SETTINGS;
+};
+
+afterEach(() => {
+  process.env = ENV;
+});
+
+test('reads retries and the review margin from the environment, including 0', () => {
+  expect(defaultsWith({ REACT_APP_MAX_RETRIES: '4', REACT_APP_INCONCLUSIVE_MARGIN: '0.05' })).toMatchObject({ maxRetries: 4, inconclusiveMargin: 0.05 });
+  expect(defaultsWith({ REACT_APP_MAX_RETRIES: '0', REACT_APP_INCONCLUSIVE_MARGIN: '0' })).toMatchObject({ maxRetries: 0, inconclusiveMargin: 0 });
+});
+
+test('falls back to the defaults for empty or malformed values', () => {
+  ['', ' ', 'two', '-1', 'Infinity'].forEach((value) => {
+    expect(defaultsWith({ REACT_APP_MAX_RETRIES: value, REACT_APP_INCONCLUSIVE_MARGIN: value })).toMatchObject({ maxRetries: 2, inconclusiveMargin: 0.1 });
+  });
+  const { REACT_APP_MAX_RETRIES, REACT_APP_INCONCLUSIVE_MARGIN, ...unset } = ENV;
+  jest.resetModules();
+  process.env = unset;
+  expect(require('./config').DEFAULT_SETTINGS).toMatchObject({ maxRetries: 2, inconclusiveMargin: 0.1 });
+});
@@ -0,0 +1,4 @@
+// Text shared between the UI and generated documents
+
+// Shown on every result and included in exported reports
+export const MEDICAL_DISCLAIMER = 'This is a preliminary screening tool only and should not be used as a substitute for professional medical advice. Always consult a qualified healthcare professional for accurate diagnosis.';
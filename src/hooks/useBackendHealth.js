@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from 'react';
+import { connections, restConnections } from '../services/inference/connection';
+import { connectionTarget } from '../services/inference';
+
+// Health of the backend behind the selected provider: the shared Gradio connection, or a ping of
+// the REST endpoint. health is null for providers without a remote backend (on-device, mock).
+const useBackendHealth = (settings) => {
+  const rest = settings.provider === 'rest';
+  const manager = rest ? restConnections : connections;
+  const target = rest ? settings.restUrl || null : connectionTarget(settings);
+  const [health, setHealth] = useState(manager.getHealth());
+
+  useEffect(() => {
+    setHealth(manager.getHealth());
+    return manager.subscribe(setHealth);
+  }, [manager]);
+
+  // A pending reconnect keeps the target it failed on, so stop it when another backend is selected
+  useEffect(() => {
+    connections.select(rest ? null : target);
+    restConnections.select(rest ? target : null);
+  }, [rest, target]);
+
+  // Connect ahead of the first prediction (or re-measure latency when already connected)
+  const warmUp = useCallback(() => manager.warmUp(target), [manager, target]);
+
+  if (!target) return { health: null, warmUp };
+  return {
+    health: health.target === target ? health : { target, status: 'idle', latency: null, message: null },
+    warmUp
+  };
+};
+
+export default useBackendHealth;
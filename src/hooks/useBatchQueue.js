@@ -0,0 +1,94 @@
+import { useReducer, useEffect, useRef, useCallback } from 'react';
+
+// Batch analysis queue
+// Items move pending -> running -> done | failed, and can be cancelled or retried individually.
+// At most `concurrency` items run at the same time.
+
+let nextId = 1;
+
+const updateItem = (items, id, changes) => items.map((item) => (item.id === id ? { ...item, ...changes } : item));
+
+export const queueReducer = (items, action) => {
+  switch (action.type) {
+    case 'add':
+      return [
+        ...items,
+        ...action.files.map((file) => ({ id: nextId++, file, status: 'pending', result: null, error: null }))
+      ];
+    case 'start':
+      return updateItem(items, action.id, { status: 'running', error: null });
+    case 'done':
+      return updateItem(items, action.id, { status: 'done', result: action.result });
+    case 'fail':
+      return updateItem(items, action.id, { status: 'failed', error: action.error });
+    case 'cancel':
+      return updateItem(items, action.id, { status: 'cancelled' });
+    case 'retry':
+      return updateItem(items, action.id, { status: 'pending', result: null, error: null });
+    case 'remove':
+      return items.filter((item) => item.id !== action.id);
+    case 'clear':
+      return [];
+    default:
+      return items;
+  }
+};
+
+// run(file, { signal }) performs one prediction and resolves to a normalized result
+const useBatchQueue = (run, concurrency = 2) => {
+  const [items, dispatch] = useReducer(queueReducer, []);
+  const controllers = useRef(new Map());  // AbortControllers for running items, keyed by item id
+  const runRef = useRef(run);
+  runRef.current = run;
+
+  // Start pending items whenever a slot frees up
+  useEffect(() => {
+    const running = items.filter((item) => item.status === 'running').length;
+    const ready = items.filter((item) => item.status === 'pending').slice(0, Math.max(concurrency - running, 0));
+
+    ready.forEach((item) => {
+      const controller = new AbortController();
+      controllers.current.set(item.id, controller);
+      dispatch({ type: 'start', id: item.id });
+
+      runRef.current(item.file, { signal: controller.signal })
+        .then((result) => {
+          if (!controller.signal.aborted) dispatch({ type: 'done', id: item.id, result });
+        })
+        .catch((err) => {
+          if (!controller.signal.aborted) dispatch({ type: 'fail', id: item.id, error: err.message || 'Prediction failed' });
+        })
+        .finally(() => {
+          // A cancelled item may already have been retried under the same id with a new controller
+          if (controllers.current.get(item.id) === controller) controllers.current.delete(item.id);
+        });
+    });
+  }, [items, concurrency]);
+
+  // Abort all in-flight requests on unmount
+  useEffect(() => {
+    const active = controllers.current;
+    return () => active.forEach((controller) => controller.abort());
+  }, []);
+
+  const abort = (id) => controllers.current.get(id)?.abort();
+
+  const add = useCallback((files) => dispatch({ type: 'add', files }), []);
+  const cancel = useCallback((id) => {
+    abort(id);
+    dispatch({ type: 'cancel', id });
+  }, []);
+  const retry = useCallback((id) => dispatch({ type: 'retry', id }), []);
+  const remove = useCallback((id) => {
+    abort(id);
+    dispatch({ type: 'remove', id });
+  }, []);
+  const clear = useCallback(() => {
+    controllers.current.forEach((controller) => controller.abort());
+    dispatch({ type: 'clear' });
+  }, []);
+
+  return { items, add, cancel, retry, remove, clear };
+};
+
+export default useBatchQueue;
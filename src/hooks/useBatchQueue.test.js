@@ -0,0 +1,65 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useBatchQueue, { queueReducer } from './useBatchQueue';
+
+const file = (name) => new File(['x'], name, { type: 'image/png' });
+
+test('reducer tracks status changes per item', () => {
+  let items = queueReducer([], { type: 'add', files: [file('a.png'), file('b.png')] });
+  const [a, b] = items;
+  items = queueReducer(items, { type: 'start', id: a.id });
+  items = queueReducer(items, { type: 'fail', id: a.id, error: 'boom' });
+  items = queueReducer(items, { type: 'cancel', id: b.id });
+  expect(items.map((item) => item.status)).toEqual(['failed', 'cancelled']);
+
+  items = queueReducer(items, { type: 'retry', id: a.id });
+  expect(items[0]).toMatchObject({ status: 'pending', error: null });
+});
+
+test('runs at most `concurrency` items at a time', async () => {
+  const pending = [];
+  const run = jest.fn(() => new Promise((resolve) => pending.push(resolve)));
+  const { result } = renderHook(() => useBatchQueue(run, 2));
+
+  act(() => result.current.add([file('a.png'), file('b.png'), file('c.png')]));
+  expect(run).toHaveBeenCalledTimes(2);
+  expect(result.current.items.map((item) => item.status)).toEqual(['running', 'running', 'pending']);
+
+  await act(async () => pending[0]({ prediction: 'Normal', confidence: 0.9 }));
+  await waitFor(() => expect(run).toHaveBeenCalledTimes(3));
+  expect(result.current.items[0]).toMatchObject({ status: 'done', result: { prediction: 'Normal' } });
+});
+
+test('cancelling a running item aborts it and ignores its result', async () => {
+  let signal;
+  let resolve;
+  const run = jest.fn((f, options) => {
+    signal = options.signal;
+    return new Promise((r) => { resolve = r; });
+  });
+  const { result } = renderHook(() => useBatchQueue(run, 1));
+
+  act(() => result.current.add([file('a.png')]));
+  act(() => result.current.cancel(result.current.items[0].id));
+  expect(signal.aborted).toBe(true);
+
+  await act(async () => resolve({ prediction: 'Normal', confidence: 0.9 }));
+  expect(result.current.items[0].status).toBe('cancelled');
+});
+
+test('cancelling a retried item aborts the retry, not the earlier run', async () => {
+  const runs = [];
+  const run = jest.fn((f, { signal }) => new Promise((resolve) => runs.push({ signal, resolve })));
+  const { result } = renderHook(() => useBatchQueue(run, 1));
+
+  act(() => result.current.add([file('a.png')]));
+  const { id } = result.current.items[0];
+  act(() => result.current.cancel(id));
+  act(() => result.current.retry(id));
+  expect(run).toHaveBeenCalledTimes(2);
+
+  // The cancelled run settling late must not forget the retry's controller
+  await act(async () => runs[0].resolve({ prediction: 'Normal', confidence: 0.9 }));
+  act(() => result.current.cancel(id));
+  expect(runs[1].signal.aborted).toBe(true);
+  expect(result.current.items[0].status).toBe('cancelled');
+});
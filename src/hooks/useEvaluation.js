@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { loadPredictions, predictionsUrlFor } from '../services/evaluation';
+
+// Test-set predictions named by the model card, for the evaluation dashboard
+// Returns { data, error }; data is null until loaded or when the card names no predictions file.
+const useEvaluation = (card, cardUrl) => {
+  const [state, setState] = useState({ data: null, error: null });
+  const url = card && cardUrl ? predictionsUrlFor(card, cardUrl) : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    setState({ data: null, error: null });
+    if (!url) return undefined;
+    loadPredictions(url)
+      .then((data) => !cancelled && setState({ data, error: null }))
+      .catch((err) => !cancelled && setState({ data: null, error: err.message }));
+    return () => { cancelled = true; };
+  }, [url]);
+
+  return { ...state, url };
+};
+
+export default useEvaluation;
@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { parseHash, sectionHash } from '../utils/routing';
+
+// Current hash route, kept in sync with the section in view
+// navigate(section) adds a browser history entry; scrolling only replaces the current one,
+// so the back button steps through sections the user actually navigated to.
+// onRoute(route) runs on load and whenever the route changes, e.g. to scroll to its section.
+const useHashRoute = (activeSection, onRoute) => {
+  const [route, setRoute] = useState(() => parseHash(window.location.hash));
+  const onRouteRef = useRef(onRoute);
+  onRouteRef.current = onRoute;
+
+  useEffect(() => {
+    onRouteRef.current?.(route);
+  }, [route]);
+
+  // Back/forward buttons and links
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseHash(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  // Reflect scrolling in the URL, except while a shared result is open
+  const sharing = route.share !== undefined;
+  useEffect(() => {
+    if (sharing) return;
+    const hash = sectionHash(activeSection);
+    if (window.location.hash !== hash) {
+      window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+    }
+  }, [activeSection, sharing]);
+
+  const navigate = useCallback((section) => {
+    const hash = sectionHash(section);
+    if (window.location.hash === hash) {
+      // No hashchange event for the same hash - re-emit the route so the caller scrolls again
+      setRoute({ ...parseHash(hash) });
+    } else if (!hash) {
+      window.history.pushState(null, '', `${window.location.pathname}${window.location.search}`);
+      setRoute(parseHash(''));
+    } else {
+      window.location.hash = hash;
+    }
+  }, []);
+
+  return { route, navigate };
+};
+
+export default useHashRoute;
@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback } from 'react';
+import { addEntry, listEntries, deleteEntry, clearHistory } from '../services/history';
+
+// Analysis history state backed by IndexedDB
+// Storage failures are reported through `error` and never break the analysis flow.
+const useHistory = () => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+
+  // Load saved entries on mount
+  useEffect(() => {
+    listEntries().then(setEntries).catch((err) => setError(err.message));
+  }, []);
+
+  const add = useCallback(async (entry) => {
+    try {
+      const saved = await addEntry(entry);
+      setEntries((current) => [saved, ...current]);
+      return saved;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteEntry(id);
+      setEntries((current) => current.filter((entry) => entry.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const clear = useCallback(async () => {
+    try {
+      await clearHistory();
+      setEntries([]);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  return { entries, error, add, remove, clear };
+};
+
+export default useHistory;
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+import { loadModelCard } from '../services/modelCard';
+
+// Model card for the Technical section, reloaded when the configured URL changes
+// Returns { card, url, source, warning, error }; card is null until loaded.
+const useModelCard = (url) => {
+  const [state, setState] = useState({ card: null, url: null, source: null, warning: null, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadModelCard(url || undefined)
+      .then(({ card, url: cardUrl, source, warning = null }) => !cancelled && setState({ card, url: cardUrl, source, warning, error: null }))
+      .catch((err) => !cancelled && setState({ card: null, url: null, source: null, warning: null, error: err.message }));
+    return () => { cancelled = true; };
+  }, [url]);
+
+  return state;
+};
+
+export default useModelCard;
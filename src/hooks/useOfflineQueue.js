@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { queueAnalysis, listQueued, removeQueued, requestNotifications, notify } from '../services/offlineQueue';
+import { classifyError } from '../services/inference/errors';
+
+// Analyses deferred while offline, submitted one at a time as soon as the browser is back online
+// submit(item) analyses a queued item and resolves to { result, entry } (entry = saved history entry).
+// Returns { items, online, arrived, error, add, remove, flush, dismiss } where arrived lists the
+// outcomes delivered since the page opened: { id, fileName, result, entry } or { id, fileName, error }.
+const useOfflineQueue = (submit) => {
+  const [items, setItems] = useState([]);                    // Analyses waiting for a connection
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [arrived, setArrived] = useState([]);                // Outcomes of queued analyses, newest first
+  const [error, setError] = useState(null);                  // Storage failure message
+  const submitRef = useRef(submit);
+  submitRef.current = submit;
+  const flushing = useRef(false);
+
+  // Load analyses queued in an earlier visit
+  useEffect(() => {
+    listQueued().then(setItems).catch((err) => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Submit queued analyses in order; stops at the first one the backend still can't take
+  const flush = useCallback(async () => {
+    if (flushing.current || !navigator.onLine) return;
+    flushing.current = true;
+    try {
+      for (const item of await listQueued()) {
+        if (!navigator.onLine) break;
+        let outcome;
+        try {
+          outcome = { id: item.id, fileName: item.fileName, ...(await submitRef.current(item)) };
+          notify('X-ray analysis ready', {
+            body: `${item.fileName}: ${outcome.result.prediction}`,
+            tag: `pneumoai-queued-${item.id}`,
+            data: { url: '#/history' }
+          });
+        } catch (err) {
+          const failure = classifyError(err);
+          if (failure.retryable) break;  // Still unreachable - stays queued for the next attempt
+          outcome = { id: item.id, fileName: item.fileName, error: failure.message };
+        }
+        await removeQueued(item.id);
+        setItems((current) => current.filter(({ id }) => id !== item.id));
+        setArrived((current) => [outcome, ...current]);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      flushing.current = false;
+    }
+  }, []);
+
+  // Submit automatically when connectivity returns (and on load, for items from an earlier visit)
+  const pending = items.length > 0;
+  useEffect(() => {
+    if (online && pending) flush();
+  }, [online, pending, flush]);
+
+  const add = useCallback(async (entry) => {
+    const saved = await queueAnalysis(entry);
+    setItems((current) => [...current, saved]);
+    requestNotifications();
+    return saved;
+  }, []);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await removeQueued(id);
+      setItems((current) => current.filter((item) => item.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const dismiss = useCallback((id) => setArrived((current) => current.filter((outcome) => outcome.id !== id)), []);
+
+  return { items, online, arrived, error, add, remove, flush, dismiss };
+};
+
+export default useOfflineQueue;
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+import { saveReview, listReviews, deleteReview, clearReviews } from '../services/reviews';
+
+// Review log state backed by IndexedDB
+// save() adds a review or replaces the one with the same id; failures are reported through `error`.
+const useReviews = () => {
+  const [reviews, setReviews] = useState([]);
+  const [error, setError] = useState(null);
+
+  // Load saved reviews on mount
+  useEffect(() => {
+    listReviews().then(setReviews).catch((err) => setError(err.message));
+  }, []);
+
+  const save = useCallback(async (review) => {
+    try {
+      const saved = await saveReview(review);
+      setReviews((current) => [saved, ...current.filter(({ id }) => id !== saved.id)]);
+      setError(null);
+      return saved;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteReview(id);
+      setReviews((current) => current.filter((review) => review.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const clear = useCallback(async () => {
+    try {
+      await clearReviews();
+      setReviews([]);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  return { reviews, error, save, remove, clear };
+};
+
+export default useReviews;
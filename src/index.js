@@ -2,15 +2,27 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import Embed from './Embed';
+import { parseEmbedOptions } from './utils/embed';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+
+// Pages opened by the <pneumo-analyzer> widget (public/embed.js) show only the analyzer
+const embed = parseEmbedOptions(window.location.search);
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {embed ? <Embed options={embed} /> : <App />}
   </React.StrictMode>
 );
 
+// Installable PWA: cache the app shell and content for offline use. A new version activates
+// as soon as it is downloaded and takes effect on the next page load.
+serviceWorkerRegistration.register({
+  onUpdate: (registration) => registration.waiting?.postMessage({ type: 'SKIP_WAITING' })
+});
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
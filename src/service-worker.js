@@ -0,0 +1,84 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker - offline app shell and content caching
+// Built by react-scripts (Workbox InjectManifest) in production only: the compiled app is
+// precached, navigations fall back to index.html, and the educational images, model card and
+// on-device model are cached so the site opens and explains itself offline. Requests to the
+// analysis backends are never cached; analyses made offline wait in the app's own queue.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate, NetworkFirst } from 'workbox-strategies';
+
+const PUBLIC_URL = process.env.PUBLIC_URL || '';
+const CONTENT_CACHE = 'pneumoai-content';
+const MODEL_CACHE = 'pneumoai-models';
+
+// Public files the offline site needs that the build does not fingerprint
+const CONTENT_FILES = [
+  '/images/normal.jpeg',
+  '/images/virus.jpeg',
+  '/images/modelarch.png',
+  '/models/pneumonia-cnn/model-card.json',
+  '/favicon.svg',
+  '/logo192.png',
+  '/manifest.json'
+].map((path) => `${PUBLIC_URL}${path}`);
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for page navigations so the app shell loads offline
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${PUBLIC_URL}/index.html`)
+);
+
+// On-device model files: always the deployed version when online (topology and weight shards must
+// match), the last downloaded copy offline
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.startsWith(`${PUBLIC_URL}/models/`)
+    && (url.pathname.endsWith('.bin') || url.pathname.endsWith('/model.json') || url.pathname.endsWith('/metadata.json')),
+  new NetworkFirst({ cacheName: MODEL_CACHE, plugins: [new ExpirationPlugin({ maxEntries: 40 })] })
+);
+
+// Images, model card and evaluation data: show the cached copy, refresh it in the background
+registerRoute(
+  ({ url }) => url.origin === self.location.origin
+    && (url.pathname.startsWith(`${PUBLIC_URL}/images/`) || url.pathname.startsWith(`${PUBLIC_URL}/models/`)
+      || CONTENT_FILES.includes(url.pathname)),
+  new StaleWhileRevalidate({ cacheName: CONTENT_CACHE, plugins: [new ExpirationPlugin({ maxEntries: 60 })] })
+);
+
+// Warm the content cache on install so the first offline visit has the educational images
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CONTENT_CACHE)
+      .then((cache) => cache.addAll(CONTENT_FILES))
+      .catch((err) => console.warn('Could not pre-cache content', err))
+  );
+});
+
+// Let the page activate an updated worker straight away
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Open (or focus) the app when a "results ready" notification is clicked
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.url || '', self.registration.scope).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(self.registration.scope));
+      if (open) return open.navigate(target).then((client) => (client || open).focus());
+      return self.clients.openWindow(target);
+    })
+  );
+});
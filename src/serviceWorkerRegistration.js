@@ -0,0 +1,50 @@
+// Registers the service worker (src/service-worker.js) that makes the app installable and usable
+// offline. Only production builds register it, so development always serves fresh files.
+// Based on the Create React App PWA template.
+
+const isLocalhost = ['localhost', '[::1]'].includes(window.location.hostname)
+  || /^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/.test(window.location.hostname);
+
+// onUpdate(registration) runs when a new version has been downloaded and is waiting to activate;
+// onSuccess(registration) when the content has been cached for offline use the first time.
+export const register = ({ onUpdate, onSuccess } = {}) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The worker can only control pages under its own origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', async () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      // A stale worker from another project on this port would break the app: check it is ours
+      const response = await fetch(swUrl, { headers: { 'Service-Worker': 'script' } }).catch(() => null);
+      if (response && (response.status === 404 || !response.headers.get('content-type')?.includes('javascript'))) {
+        unregister();
+        return;
+      }
+    }
+
+    try {
+      const registration = await navigator.serviceWorker.register(swUrl);
+      registration.onupdatefound = () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.onstatechange = () => {
+          if (worker.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) onUpdate?.(registration);
+          else onSuccess?.(registration);
+        };
+      };
+    } catch (err) {
+      console.error('Service worker registration failed', err);
+    }
+  });
+};
+
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((err) => console.error(err.message));
+};
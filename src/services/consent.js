@@ -0,0 +1,53 @@
+// Upload consent - remote analysis sends the X-ray to a third-party host, so the first one waits
+// for the user to accept. The acceptance covers the backend the dialog named: switching to another
+// space, URL or REST endpoint asks again. It is remembered in localStorage and can be revoked in the
+// Backend panel. Bump CONSENT_VERSION when what is sent or how it is kept changes, to ask again.
+// scope keeps consents given elsewhere apart: the embeddable widget passes one per host page, so a
+// host cannot reuse the full site's consent (or another host's).
+import { providerMode, describeBackend } from './inference';
+
+const CONSENT_KEY = 'pneumoai.uploadConsent';
+export const CONSENT_VERSION = 2;  // 2: consent names the backend it covers
+
+const storageKey = (scope) => (scope ? `${CONSENT_KEY}:${scope}` : CONSENT_KEY);
+
+// How long the backend keeps uploads, as stated by its operator (see .env.example)
+export const RETENTION_NOTICE = process.env.REACT_APP_RETENTION_NOTICE
+  || 'The image is kept only in the backend\'s temporary upload cache while it is analysed and is not used for training. Hugging Face may retain request logs under its own privacy policy.';
+
+// Saved consent { version, acceptedAt, backend } for the current version, or null
+export const loadConsent = (scope) => {
+  try {
+    const consent = JSON.parse(window.localStorage.getItem(storageKey(scope)) || 'null');
+    return consent?.version === CONSENT_VERSION ? consent : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Record acceptance for the backend of these settings and return it; without storage it lasts
+// for the session only
+export const giveConsent = (settings, { scope, now = new Date() } = {}) => {
+  const consent = { version: CONSENT_VERSION, acceptedAt: now.toISOString(), backend: describeBackend(settings) };
+  try {
+    window.localStorage.setItem(storageKey(scope), JSON.stringify(consent));
+  } catch (err) {
+    // Storage unavailable - the caller keeps the consent in memory
+  }
+  return consent;
+};
+
+export const revokeConsent = (scope) => {
+  try {
+    window.localStorage.removeItem(storageKey(scope));
+  } catch (err) {
+    // Ignore storage errors
+  }
+  return null;
+};
+
+// Whether analysing with these settings needs consent that has not been given for their backend
+// On-device and mock analysis never send the image anywhere.
+export const needsConsent = (settings, consent) => (
+  providerMode(settings.provider) === 'remote' && consent?.backend !== describeBackend(settings)
+);
@@ -0,0 +1,44 @@
+import { loadConsent, giveConsent, revokeConsent, needsConsent, CONSENT_VERSION } from './consent';
+
+afterEach(() => window.localStorage.clear());
+
+const space = (gradioSpace) => ({ provider: 'gradio-space', gradioSpace });
+
+test('remembers consent until it is revoked', () => {
+  expect(loadConsent()).toBeNull();
+  const consent = giveConsent(space('user/space'), { now: new Date('2024-05-01T10:00:00.000Z') });
+  expect(consent).toEqual({ version: CONSENT_VERSION, acceptedAt: '2024-05-01T10:00:00.000Z', backend: 'Hugging Face space: user/space' });
+  expect(loadConsent()).toEqual(consent);
+
+  expect(revokeConsent()).toBeNull();
+  expect(loadConsent()).toBeNull();
+});
+
+test('asks again when the consent text version changes', () => {
+  window.localStorage.setItem('pneumoai.uploadConsent', JSON.stringify({ version: CONSENT_VERSION - 1, acceptedAt: '2024-01-01' }));
+  expect(loadConsent()).toBeNull();
+});
+
+test('requires consent for remote backends only', () => {
+  expect(needsConsent({ provider: 'gradio-space' }, null)).toBe(true);
+  expect(needsConsent({ provider: 'rest' }, null)).toBe(true);
+  expect(needsConsent(space('user/space'), giveConsent(space('user/space')))).toBe(false);
+  expect(needsConsent({ provider: 'local' }, null)).toBe(false);
+  expect(needsConsent({ provider: 'mock' }, null)).toBe(false);
+});
+
+test('asks again for a backend the consent did not name', () => {
+  const consent = giveConsent(space('user/space'));
+  expect(needsConsent(space('other/space'), consent)).toBe(true);
+  expect(needsConsent({ provider: 'rest', restUrl: 'https://elsewhere.example/api/predict' }, consent)).toBe(true);
+  expect(needsConsent({ provider: 'gradio-space', gradioSpace: 'user/space' }, { version: CONSENT_VERSION, acceptedAt: '2024-01-01' })).toBe(true);
+});
+
+test('keeps consents of different scopes apart', () => {
+  giveConsent(space('user/space'), { scope: 'embed:https://host.test' });
+  expect(loadConsent()).toBeNull();
+  expect(loadConsent('embed:https://other.test')).toBeNull();
+  expect(loadConsent('embed:https://host.test')).toMatchObject({ backend: 'Hugging Face space: user/space' });
+  revokeConsent('embed:https://host.test');
+  expect(loadConsent('embed:https://host.test')).toBeNull();
+});
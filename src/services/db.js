@@ -0,0 +1,60 @@
+// Local IndexedDB database shared by the features that keep data in the browser
+// Bump DB_VERSION and extend upgrade() when adding an object store.
+
+const DB_NAME = 'pneumoai';
+const DB_VERSION = 3;
+
+// Create any object stores that do not exist yet
+const upgrade = (db) => {
+  if (!db.objectStoreNames.contains('analyses')) {
+    const store = db.createObjectStore('analyses', { keyPath: 'id', autoIncrement: true });
+    store.createIndex('createdAt', 'createdAt');
+  }
+  if (!db.objectStoreNames.contains('pending')) {
+    const store = db.createObjectStore('pending', { keyPath: 'id', autoIncrement: true });
+    store.createIndex('queuedAt', 'queuedAt');
+  }
+  if (!db.objectStoreNames.contains('reviews')) {
+    const store = db.createObjectStore('reviews', { keyPath: 'id', autoIncrement: true });
+    store.createIndex('reviewedAt', 'reviewedAt');
+  }
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Local storage is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later call to try again after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Wrap an IDBRequest in a promise
+export const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run fn(store) in a transaction and resolve with its result once the transaction commits
+export const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(fn(tx.objectStore(storeName))).then((value) => { result = value; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+};
@@ -0,0 +1,123 @@
+// DICOM (.dcm) support
+// Decodes uncompressed grayscale pixel data in the browser, applies the modality rescale and
+// VOI window, and re-encodes the result as a PNG that the rest of the upload flow can use.
+import dicomParser from 'dicom-parser';
+import { grayToCanvas, canvasToBlob, withExtension } from '../utils/image';
+
+// Transfer syntaxes whose pixel data we can read directly
+const UNCOMPRESSED_SYNTAXES = [
+  '1.2.840.10008.1.2',    // Implicit VR Little Endian
+  '1.2.840.10008.1.2.1'   // Explicit VR Little Endian
+];
+
+export const isDicomFile = (file) => Boolean(file) && (
+  file.type === 'application/dicom' || /\.(dcm|dicom)$/i.test(file.name || '')
+);
+
+// Format a DICOM date (YYYYMMDD) as YYYY-MM-DD
+const formatDate = (value) => (value && /^\d{8}$/.test(value)
+  ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`
+  : value || null);
+
+// Read the raw stored pixel values into a typed array matching BitsAllocated/PixelRepresentation
+const readPixels = (dataSet, byteArray) => {
+  const element = dataSet.elements.x7fe00010;
+  if (!element) throw new Error('DICOM file has no pixel data');
+
+  const bitsAllocated = dataSet.uint16('x00280100');
+  const signed = dataSet.uint16('x00280103') === 1;
+  // Copy out so the typed array is aligned regardless of where the pixel data starts
+  const buffer = byteArray.slice(element.dataOffset, element.dataOffset + element.length).buffer;
+
+  if (bitsAllocated === 8) return signed ? new Int8Array(buffer) : new Uint8Array(buffer);
+  if (bitsAllocated === 16) return signed ? new Int16Array(buffer) : new Uint16Array(buffer);
+  throw new Error(`Unsupported DICOM bit depth: ${bitsAllocated}`);
+};
+
+// Map modality values to 8-bit display values with the DICOM linear VOI function (PS3.3 C.11.2.1.2)
+// Without a stored window the full value range is used. MONOCHROME1 images are inverted.
+export const applyWindow = (values, { center, width, invert = false } = {}) => {
+  let c = center;
+  let w = width;
+  if (!Number.isFinite(c) || !Number.isFinite(w) || w < 1) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] < min) min = values[i];
+      if (values[i] > max) max = values[i];
+    }
+    w = Math.max(max - min, 1);
+    c = min + w / 2;
+  }
+
+  const low = c - 0.5 - (w - 1) / 2;
+  const high = c - 0.5 + (w - 1) / 2;
+  const out = new Uint8ClampedArray(values.length);
+  for (let i = 0; i < values.length; i++) {
+    const x = values[i];
+    let y;
+    if (x <= low) y = 0;
+    else if (x > high) y = 255;
+    else y = ((x - (c - 0.5)) / Math.max(w - 1, 1) + 0.5) * 255;
+    out[i] = invert ? 255 - y : y;
+  }
+  return out;
+};
+
+// Parse a DICOM byte array into display-ready 8-bit pixels plus the tags we show in the UI
+export const decodeDicom = (byteArray) => {
+  let dataSet;
+  try {
+    dataSet = dicomParser.parseDicom(byteArray);
+  } catch (err) {
+    throw new Error('Not a valid DICOM file');
+  }
+
+  const transferSyntax = dataSet.string('x00020010');
+  if (transferSyntax && !UNCOMPRESSED_SYNTAXES.includes(transferSyntax)) {
+    throw new Error('Compressed DICOM files are not supported yet');
+  }
+  if ((dataSet.uint16('x00280002') || 1) !== 1) {
+    throw new Error('Only grayscale DICOM images are supported');
+  }
+
+  const rows = dataSet.uint16('x00280010');
+  const columns = dataSet.uint16('x00280011');
+  const photometric = dataSet.string('x00280004') || 'MONOCHROME2';
+  const slope = dataSet.floatString('x00281053') ?? 1;
+  const intercept = dataSet.floatString('x00281052') ?? 0;
+
+  // Stored values -> modality values (first frame only)
+  const stored = readPixels(dataSet, byteArray).subarray(0, rows * columns);
+  const values = Float32Array.from(stored, (v) => v * slope + intercept);
+
+  const pixels = applyWindow(values, {
+    center: dataSet.floatString('x00281050', 0),
+    width: dataSet.floatString('x00281051', 0),
+    invert: photometric === 'MONOCHROME1'
+  });
+
+  return {
+    width: columns,
+    height: rows,
+    pixels,
+    tags: {
+      modality: dataSet.string('x00080060') || null,
+      viewPosition: dataSet.string('x00185101') || null,
+      studyDate: formatDate(dataSet.string('x00080020')),
+      photometric
+    }
+  };
+};
+
+// Convert a .dcm File into a PNG File for the predict flow, returning its DICOM tags alongside
+export const convertDicom = async (file) => {
+  const byteArray = new Uint8Array(await file.arrayBuffer());
+  const decoded = decodeDicom(byteArray);
+  const blob = await canvasToBlob(grayToCanvas(decoded.pixels, decoded.width, decoded.height));
+
+  return {
+    file: new File([blob], withExtension(file.name, 'png'), { type: 'image/png' }),
+    tags: decoded.tags
+  };
+};
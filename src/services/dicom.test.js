@@ -0,0 +1,81 @@
+import { applyWindow, decodeDicom, isDicomFile } from './dicom';
+
+// Build a minimal Explicit VR Little Endian DICOM file with a 2x2 16-bit image
+const buildDicom = ({ photometric = 'MONOCHROME2', window = null, slope = null, intercept = null, pixels = [0, 100, 200, 300] }) => {
+  const bytes = [];
+  const u16 = (v) => bytes.push(v & 0xff, (v >> 8) & 0xff);
+  const u32 = (v) => { u16(v & 0xffff); u16(v >>> 16); };
+  const pad = (text) => (text.length % 2 ? `${text}${text.endsWith('\0') ? '' : ' '}` : text);
+  const element = (group, elem, vr, value) => {
+    u16(group);
+    u16(elem);
+    bytes.push(vr.charCodeAt(0), vr.charCodeAt(1));
+    const data = typeof value === 'string' ? [...pad(value)].map((c) => c.charCodeAt(0)) : value;
+    if (['OB', 'OW'].includes(vr)) {
+      u16(0);
+      u32(data.length);
+    } else {
+      u16(data.length);
+    }
+    bytes.push(...data);
+  };
+  const us = (v) => [v & 0xff, (v >> 8) & 0xff];
+
+  for (let i = 0; i < 128; i++) bytes.push(0);
+  bytes.push(...'DICM'.split('').map((c) => c.charCodeAt(0)));
+  element(0x0002, 0x0010, 'UI', '1.2.840.10008.1.2.1\0');
+  element(0x0008, 0x0020, 'DA', '20240115');
+  element(0x0008, 0x0060, 'CS', 'CR');
+  element(0x0018, 0x5101, 'CS', 'PA');
+  element(0x0028, 0x0002, 'US', us(1));
+  element(0x0028, 0x0004, 'CS', photometric);
+  element(0x0028, 0x0010, 'US', us(2));
+  element(0x0028, 0x0011, 'US', us(2));
+  element(0x0028, 0x0100, 'US', us(16));
+  element(0x0028, 0x0103, 'US', us(0));
+  if (window) {
+    element(0x0028, 0x1050, 'DS', `${window.center}`);
+    element(0x0028, 0x1051, 'DS', `${window.width}`);
+  }
+  if (slope !== null) element(0x0028, 0x1053, 'DS', `${slope}`);
+  if (intercept !== null) element(0x0028, 0x1052, 'DS', `${intercept}`);
+  element(0x7fe0, 0x0010, 'OW', pixels.flatMap(us));
+  return new Uint8Array(bytes);
+};
+
+test('recognizes DICOM files by extension and type', () => {
+  expect(isDicomFile(new File([''], 'chest.DCM'))).toBe(true);
+  expect(isDicomFile(new File([''], 'scan', { type: 'application/dicom' }))).toBe(true);
+  expect(isDicomFile(new File([''], 'chest.png', { type: 'image/png' }))).toBe(false);
+});
+
+test('applies the linear VOI window and inversion', () => {
+  expect([...applyWindow([0, 50, 100], { center: 50, width: 100 })]).toEqual([0, 129, 255]);
+  expect([...applyWindow([0, 300])]).toEqual([0, 255]);
+  expect([...applyWindow([0, 300], { invert: true })]).toEqual([255, 0]);
+});
+
+test('decodes pixel data with the full range as the default window', () => {
+  const { width, height, pixels, tags } = decodeDicom(buildDicom({}));
+  expect([width, height]).toEqual([2, 2]);
+  expect(pixels[0]).toBe(0);
+  expect(pixels[3]).toBe(255);
+  expect(tags).toEqual({ modality: 'CR', viewPosition: 'PA', studyDate: '2024-01-15', photometric: 'MONOCHROME2' });
+});
+
+test('uses the stored window after rescale and inverts MONOCHROME1', () => {
+  const { pixels } = decodeDicom(buildDicom({
+    photometric: 'MONOCHROME1',
+    window: { center: 0, width: 200 },
+    slope: 1,
+    intercept: -100
+  }));
+  // Rescaled values are -100, 0, 100, 200: window maps them to 0, ~128, 255, 255 before inversion
+  expect(pixels[0]).toBe(255);
+  expect(pixels[2]).toBe(0);
+  expect(pixels[3]).toBe(0);
+});
+
+test('rejects files that are not DICOM', () => {
+  expect(() => decodeDicom(new Uint8Array(200))).toThrow('Not a valid DICOM file');
+});
@@ -0,0 +1,98 @@
+// Model evaluation - test-set predictions and the curves and metrics computed from them
+// The predictions file is produced by scripts/export-evaluation.py and referenced from the model
+// card as evaluation.predictionsUrl (relative to the card). Everything here runs client-side.
+//
+// File format:
+//   { schemaVersion: 1, modelVersion, split, labels: [negative, positive],
+//     predictions: [{ p: <positive-class probability>, y: <0 | 1 ground truth> }, ...] }
+import { metricsFromConfusion } from './modelCard';
+
+export const EVALUATION_SCHEMA_VERSION = 1;
+
+// Throw if a predictions file cannot be evaluated
+export const validatePredictions = (data) => {
+  if (!data || typeof data !== 'object') throw new Error('Predictions file is not a JSON object');
+  if (data.schemaVersion !== EVALUATION_SCHEMA_VERSION) {
+    throw new Error(`Unsupported predictions schema version ${data.schemaVersion}`);
+  }
+  const { predictions } = data;
+  if (!Array.isArray(predictions) || predictions.length === 0) throw new Error('Predictions file has no predictions');
+  const invalid = predictions.findIndex(({ p, y } = {}) => !(typeof p === 'number' && p >= 0 && p <= 1 && (y === 0 || y === 1)));
+  if (invalid !== -1) throw new Error(`Prediction ${invalid} needs a probability "p" in [0, 1] and a label "y" of 0 or 1`);
+  if (!predictions.some(({ y }) => y === 1) || !predictions.some(({ y }) => y === 0)) {
+    throw new Error('Predictions must include both classes');
+  }
+  return data;
+};
+
+// Binary confusion matrix [[TN, FP], [FN, TP]] when p >= threshold counts as positive,
+// the same rule results use (see applyDecision)
+export const confusionAt = (predictions, threshold) => {
+  const matrix = [[0, 0], [0, 0]];
+  for (const { p, y } of predictions) matrix[y][p >= threshold ? 1 : 0] += 1;
+  return matrix;
+};
+
+// Metrics at a threshold - accuracy, precision, recall, specificity, f1 plus the matrix
+export const metricsAt = (predictions, threshold) => {
+  const confusionMatrix = confusionAt(predictions, threshold);
+  return { ...metricsFromConfusion(confusionMatrix), confusionMatrix };
+};
+
+// Cumulative TP/FP counts at every distinct probability, highest first
+// Each point is the operating point for threshold = that probability.
+const sweep = (predictions) => {
+  const sorted = [...predictions].sort((a, b) => b.p - a.p);
+  const points = [];
+  let tp = 0;
+  let fp = 0;
+  sorted.forEach(({ p, y }, i) => {
+    if (y === 1) tp += 1; else fp += 1;
+    if (i === sorted.length - 1 || sorted[i + 1].p !== p) points.push({ threshold: p, tp, fp });
+  });
+  return points;
+};
+
+// Trapezoid area under points sorted by x
+const area = (points, x, y) => points.slice(1).reduce(
+  (sum, point, i) => sum + (point[x] - points[i][x]) * (point[y] + points[i][y]) / 2, 0
+);
+
+// ROC curve { points: [{ threshold, fpr, tpr }], auc }, from (0, 0) to (1, 1)
+export const rocCurve = (predictions) => {
+  const positives = predictions.filter(({ y }) => y === 1).length;
+  const negatives = predictions.length - positives;
+  const points = [
+    { threshold: Infinity, fpr: 0, tpr: 0 },
+    ...sweep(predictions).map(({ threshold, tp, fp }) => ({ threshold, fpr: fp / negatives, tpr: tp / positives }))
+  ];
+  return { points, auc: area(points, 'fpr', 'tpr') };
+};
+
+// Precision-recall curve { points: [{ threshold, recall, precision }], averagePrecision }
+// Average precision is the step-wise sum of precision x recall gained, as in scikit-learn.
+export const prCurve = (predictions) => {
+  const positives = predictions.filter(({ y }) => y === 1).length;
+  const points = sweep(predictions).map(({ threshold, tp, fp }) => ({
+    threshold,
+    recall: tp / positives,
+    precision: tp / (tp + fp)
+  }));
+  const averagePrecision = points.reduce(
+    (sum, point, i) => sum + (point.recall - (i ? points[i - 1].recall : 0)) * point.precision, 0
+  );
+  return { points, averagePrecision };
+};
+
+// Location of the predictions file named by a model card loaded from cardUrl, or null
+export const predictionsUrlFor = (card, cardUrl) => {
+  const url = card?.evaluation?.predictionsUrl;
+  if (!url) return null;
+  return new URL(url, new URL(cardUrl, window.location.href)).href;
+};
+
+export const loadPredictions = async (url) => {
+  const response = await fetch(url, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Predictions request failed with status ${response.status}`);
+  return validatePredictions(await response.json());
+};
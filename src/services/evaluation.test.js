@@ -0,0 +1,57 @@
+import {
+  validatePredictions, confusionAt, metricsAt, rocCurve, prCurve, predictionsUrlFor
+} from './evaluation';
+
+const predictions = [
+  { p: 0.9, y: 1 },
+  { p: 0.8, y: 1 },
+  { p: 0.7, y: 0 },
+  { p: 0.6, y: 1 },
+  { p: 0.4, y: 0 },
+  { p: 0.2, y: 0 }
+];
+
+test('validates predictions files', () => {
+  expect(validatePredictions({ schemaVersion: 1, predictions })).toBeTruthy();
+  expect(() => validatePredictions({ schemaVersion: 2, predictions })).toThrow(/schema version/);
+  expect(() => validatePredictions({ schemaVersion: 1, predictions: [] })).toThrow(/no predictions/);
+  expect(() => validatePredictions({ schemaVersion: 1, predictions: [{ p: 1.2, y: 1 }] })).toThrow(/Prediction 0/);
+  expect(() => validatePredictions({ schemaVersion: 1, predictions: [{ p: 0.3, y: 1 }] })).toThrow(/both classes/);
+});
+
+test('counts the confusion matrix with p >= threshold as positive', () => {
+  expect(confusionAt(predictions, 0.5)).toEqual([[2, 1], [0, 3]]);
+  expect(confusionAt(predictions, 0.8)).toEqual([[3, 0], [1, 2]]);
+
+  const metrics = metricsAt(predictions, 0.5);
+  expect(metrics.recall).toBe(1);
+  expect(metrics.precision).toBeCloseTo(3 / 4);
+  expect(metrics.specificity).toBeCloseTo(2 / 3);
+  expect(metrics.accuracy).toBeCloseTo(5 / 6);
+});
+
+test('computes the ROC curve and its area', () => {
+  const { points, auc } = rocCurve(predictions);
+  expect(points[0]).toMatchObject({ fpr: 0, tpr: 0 });
+  expect(points[points.length - 1]).toMatchObject({ fpr: 1, tpr: 1 });
+  // 8 of the 9 positive/negative pairs are ranked correctly
+  expect(auc).toBeCloseTo(8 / 9);
+
+  expect(rocCurve([{ p: 0.9, y: 1 }, { p: 0.1, y: 0 }]).auc).toBe(1);
+  // Tied scores give a diagonal step, not a staircase
+  expect(rocCurve([{ p: 0.5, y: 1 }, { p: 0.5, y: 0 }]).auc).toBeCloseTo(0.5);
+});
+
+test('computes the precision-recall curve and average precision', () => {
+  const { points, averagePrecision } = prCurve(predictions);
+  expect(points[0]).toEqual({ threshold: 0.9, recall: 1 / 3, precision: 1 });
+  expect(points[points.length - 1]).toMatchObject({ recall: 1, precision: 0.5 });
+  expect(averagePrecision).toBeCloseTo((1 + 1 + 3 / 4) / 3);
+});
+
+test('resolves the predictions file relative to the model card', () => {
+  const card = { evaluation: { predictionsUrl: 'evaluation.json' } };
+  expect(predictionsUrlFor(card, 'https://example.com/models/cnn/model-card.json'))
+    .toBe('https://example.com/models/cnn/evaluation.json');
+  expect(predictionsUrlFor({ evaluation: {} }, 'https://example.com/card.json')).toBeNull();
+});
@@ -0,0 +1,255 @@
+// FHIR R4 export of an analysis, for pushing screening results into clinical systems
+// The bundle (type "collection") holds:
+//   DiagnosticReport  preliminary radiology report with a SNOMED CT conclusion code, the disclaimer
+//                     in its conclusion, the Observation as result and the Media as key image
+//   Observation       pneumonia probability in percent, produced by the Device
+//   Media             the analysed X-ray as an inline attachment (metadata-free, re-encoded image)
+//   Device            the model, with its version
+// Results stay "preliminary": they come from a screening aid and have not been reviewed by a clinician.
+// validateFhirBundle checks a bundle against the structure this export promises before it is saved.
+import { MEDICAL_DISCLAIMER } from '../constants';
+import { downscaleToDataUrl } from '../utils/image';
+import { downloadBlob } from '../utils/files';
+import { describeEnsemble } from './inference/ensemble';
+
+export const FHIR_VERSION = '4.0.1';
+
+// Code system for the values that have no standard code
+export const PNEUMOAI_CODE_SYSTEM = 'https://pneumo-ai-smoky.vercel.app/fhir/CodeSystem/pneumoai';
+
+const SNOMED = 'http://snomed.info/sct';
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+
+// SNOMED CT conclusion code for each decision
+export const CONCLUSION_CODES = {
+  normal: { system: SNOMED, code: '17621005', display: 'Normal' },
+  pneumonia: { system: SNOMED, code: '233604007', display: 'Pneumonia' },
+  inconclusive: { system: SNOMED, code: '419984006', display: 'Inconclusive' }
+};
+
+const REPORT_CODE = {
+  coding: [{ system: LOINC, code: '18748-4', display: 'Diagnostic imaging study' }],
+  text: 'Chest X-ray pneumonia screening (AI)'
+};
+
+const RADIOLOGY_CATEGORY = {
+  coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0074', code: 'RAD', display: 'Radiology' }]
+};
+
+const IMAGING_CATEGORY = {
+  coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'imaging', display: 'Imaging' }]
+};
+
+const PROBABILITY_CODE = {
+  coding: [{ system: PNEUMOAI_CODE_SYSTEM, code: 'pneumonia-probability', display: 'Pneumonia probability' }],
+  text: 'Pneumonia probability (AI model output)'
+};
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Content type and base64 data of a data URL
+const attachmentData = (dataUrl) => {
+  const match = /^data:([^;,]+);base64,(.*)$/.exec(dataUrl || '');
+  if (!match) throw new Error('The image must be a base64 data URL');
+  return { contentType: match[1], data: match[2] };
+};
+
+// Random (version 4) UUID for resource ids
+// crypto.randomUUID only exists in secure contexts (HTTPS or localhost), so pages served over
+// plain HTTP on a local network build one from crypto.getRandomValues.
+export const newId = () => {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;  // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;  // RFC 4122 variant
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// FHIR bundle for an analysis
+// image is the analysed X-ray as a data URL; notes (optional) become an Observation note.
+// The file name is deliberately not exported: it often carries patient names or IDs.
+export const buildFhirBundle = ({ result, image, notes, issued = new Date(), makeId = newId }) => {
+  const ids = { report: makeId(), observation: makeId(), media: makeId(), device: makeId() };
+  const ref = (id) => `urn:uuid:${id}`;
+  const effective = result.analyzedAt || issued.toISOString();
+  const pneumonia = result.probabilities?.pneumonia;
+  const modelVersion = result.modelVersion || 'unknown';
+  const decision = CONCLUSION_CODES[result.decision] ? result.decision : 'inconclusive';
+
+  const device = {
+    resourceType: 'Device',
+    id: ids.device,
+    deviceName: [{ name: 'PneumoAI pneumonia detection model', type: 'model-name' }],
+    version: [{ value: modelVersion }],
+    ...(result.provider && { note: [{ text: `Inference provider: ${result.provider}` }] })
+  };
+
+  const observation = {
+    resourceType: 'Observation',
+    id: ids.observation,
+    status: 'preliminary',
+    category: [IMAGING_CATEGORY],
+    code: PROBABILITY_CODE,
+    effectiveDateTime: effective,
+    issued: issued.toISOString(),
+    ...(pneumonia != null
+      ? { valueQuantity: { value: Math.round(pneumonia * 10000) / 100, unit: '%', system: UCUM, code: '%' } }
+      : { dataAbsentReason: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/data-absent-reason', code: 'unsupported' }], text: 'The backend reports a label only' } }),
+    ...(result.threshold != null && {
+      referenceRange: [{ high: { value: Math.round(result.threshold * 10000) / 100, unit: '%', system: UCUM, code: '%' }, text: 'Decision threshold for pneumonia' }]
+    }),
+    method: { text: result.ensemble ? `PneumoAI ensemble (${modelVersion}): ${describeEnsemble(result.ensemble)}` : `PneumoAI CNN, model version ${modelVersion}` },
+    device: { reference: ref(ids.device) },
+    derivedFrom: [{ reference: ref(ids.media) }],
+    note: [
+      ...(notes?.trim() ? [{ text: notes.trim() }] : []),
+      { text: MEDICAL_DISCLAIMER }
+    ]
+  };
+
+  const media = {
+    resourceType: 'Media',
+    id: ids.media,
+    status: 'completed',
+    type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/media-type', code: 'image', display: 'Image' }] },
+    modality: { coding: [{ system: 'http://dicom.nema.org/resources/ontology/DCM', code: 'DX', display: 'Digital Radiography' }] },
+    createdDateTime: effective,
+    content: { ...attachmentData(image), title: 'Chest X-ray (analysed image)' }
+  };
+
+  const probabilityText = pneumonia != null ? `, pneumonia probability ${percent(pneumonia)}` : '';
+  const report = {
+    resourceType: 'DiagnosticReport',
+    id: ids.report,
+    status: 'preliminary',
+    category: [RADIOLOGY_CATEGORY],
+    code: REPORT_CODE,
+    effectiveDateTime: effective,
+    issued: issued.toISOString(),
+    result: [{ reference: ref(ids.observation) }],
+    media: [{ comment: 'Analysed chest X-ray', link: { reference: ref(ids.media) } }],
+    conclusion: `AI screening result: ${result.prediction}${probabilityText} (model version ${modelVersion}). ${MEDICAL_DISCLAIMER}`,
+    conclusionCode: [{ coding: [CONCLUSION_CODES[decision]], text: result.prediction }]
+  };
+
+  return {
+    resourceType: 'Bundle',
+    id: makeId(),
+    meta: { lastUpdated: issued.toISOString() },
+    type: 'collection',
+    timestamp: issued.toISOString(),
+    entry: [report, observation, media, device].map((resource) => ({ fullUrl: ref(resource.id), resource }))
+  };
+};
+
+// FHIR dateTime / instant (with at least a year)
+const DATE_TIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+const REPORT_STATUSES = ['registered', 'partial', 'preliminary', 'final', 'amended', 'corrected', 'appended', 'cancelled', 'entered-in-error', 'unknown'];
+const OBSERVATION_STATUSES = ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'];
+const MEDIA_STATUSES = ['preparation', 'in-progress', 'not-done', 'on-hold', 'stopped', 'completed', 'entered-in-error', 'unknown'];
+
+// Problems with a bundle produced by buildFhirBundle, as "path: message" strings (empty when valid)
+// Checks the FHIR R4 cardinalities and value sets of the elements this export uses, that
+// references resolve inside the bundle, and that the report carries its conclusion, probability,
+// image, model version and disclaimer.
+export const validateFhirBundle = (bundle) => {
+  const problems = [];
+  const check = (condition, path, message) => {
+    if (!condition) problems.push(`${path}: ${message}`);
+    return Boolean(condition);
+  };
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isCoding = (coding) => isObject(coding) && typeof coding.system === 'string' && typeof coding.code === 'string';
+  const checkConcept = (concept, path) => check(
+    isObject(concept) && ((Array.isArray(concept.coding) && concept.coding.length > 0 && concept.coding.every(isCoding)) || typeof concept.text === 'string'),
+    path,
+    'must be a CodeableConcept with codings (system and code) or text'
+  );
+  const checkDate = (value, path) => check(typeof value === 'string' && DATE_TIME.test(value), path, 'must be a FHIR dateTime');
+
+  if (!check(isObject(bundle) && bundle.resourceType === 'Bundle', 'Bundle', 'resourceType must be "Bundle"')) return problems;
+  check(bundle.type === 'collection', 'Bundle.type', 'must be "collection"');
+  checkDate(bundle.timestamp, 'Bundle.timestamp');
+  if (!check(Array.isArray(bundle.entry) && bundle.entry.length > 0, 'Bundle.entry', 'must list the resources')) return problems;
+
+  // Resources by fullUrl, for resolving references
+  const resources = new Map();
+  bundle.entry.forEach((entry, index) => {
+    const path = `Bundle.entry[${index}]`;
+    if (!check(isObject(entry) && isObject(entry.resource) && typeof entry.resource.resourceType === 'string', path, 'must have a resource with a resourceType')) return;
+    if (check(typeof entry.fullUrl === 'string' && /^urn:uuid:[0-9a-f-]{36}$/i.test(entry.fullUrl), `${path}.fullUrl`, 'must be a urn:uuid')) {
+      check(!resources.has(entry.fullUrl), `${path}.fullUrl`, 'must be unique');
+      resources.set(entry.fullUrl, entry.resource);
+    }
+  });
+  const resolve = (reference, type, path) => {
+    const target = resources.get(reference?.reference);
+    check(target?.resourceType === type, path, `must reference a ${type} in the bundle`);
+    return target?.resourceType === type ? target : null;
+  };
+  const ofType = (type) => [...resources.values()].filter((resource) => resource.resourceType === type);
+
+  const reports = ofType('DiagnosticReport');
+  if (!check(reports.length === 1, 'Bundle', 'must contain exactly one DiagnosticReport')) return problems;
+  const [report] = reports;
+  check(REPORT_STATUSES.includes(report.status), 'DiagnosticReport.status', 'must be a DiagnosticReport status code');
+  checkConcept(report.code, 'DiagnosticReport.code');
+  (report.category || []).forEach((category, index) => checkConcept(category, `DiagnosticReport.category[${index}]`));
+  checkDate(report.effectiveDateTime, 'DiagnosticReport.effectiveDateTime');
+  checkDate(report.issued, 'DiagnosticReport.issued');
+  if (check(Array.isArray(report.conclusionCode) && report.conclusionCode.length > 0, 'DiagnosticReport.conclusionCode', 'must give the screening conclusion')) {
+    report.conclusionCode.forEach((concept, index) => checkConcept(concept, `DiagnosticReport.conclusionCode[${index}]`));
+  }
+  check(typeof report.conclusion === 'string' && report.conclusion.includes(MEDICAL_DISCLAIMER), 'DiagnosticReport.conclusion', 'must include the medical disclaimer');
+
+  // Pneumonia probability
+  const observations = check(Array.isArray(report.result) && report.result.length > 0, 'DiagnosticReport.result', 'must reference the probability Observation')
+    ? report.result.map((reference, index) => resolve(reference, 'Observation', `DiagnosticReport.result[${index}]`)).filter(Boolean)
+    : [];
+  observations.forEach((observation) => {
+    check(OBSERVATION_STATUSES.includes(observation.status), 'Observation.status', 'must be an Observation status code');
+    checkConcept(observation.code, 'Observation.code');
+    checkDate(observation.effectiveDateTime, 'Observation.effectiveDateTime');
+    const quantity = observation.valueQuantity;
+    if (quantity) {
+      check(typeof quantity.value === 'number' && quantity.value >= 0 && quantity.value <= 100, 'Observation.valueQuantity.value', 'must be a percentage between 0 and 100');
+      check(quantity.system === UCUM && quantity.code === '%', 'Observation.valueQuantity', 'must be in UCUM percent');
+    } else {
+      checkConcept(observation.dataAbsentReason, 'Observation.dataAbsentReason');
+    }
+    const device = resolve(observation.device, 'Device', 'Observation.device');
+    if (device) {
+      check(Array.isArray(device.version) && typeof device.version[0]?.value === 'string', 'Device.version', 'must give the model version');
+    }
+  });
+
+  // Key image
+  if (check(Array.isArray(report.media) && report.media.length > 0, 'DiagnosticReport.media', 'must link the analysed image')) {
+    report.media.forEach((link, index) => {
+      const media = resolve(link?.link, 'Media', `DiagnosticReport.media[${index}].link`);
+      if (!media) return;
+      check(MEDIA_STATUSES.includes(media.status), 'Media.status', 'must be a Media status code');
+      check(isObject(media.content), 'Media.content', 'is required');
+      check(/^image\//.test(media.content?.contentType || ''), 'Media.content.contentType', 'must be an image type');
+      check(typeof media.content?.data === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(media.content.data), 'Media.content.data', 'must be base64');
+    });
+  }
+
+  return problems;
+};
+
+// File name for a FHIR export, e.g. pneumoai-fhir-2024-01-15.json
+export const fhirFileName = (date = new Date()) => `pneumoai-fhir-${date.toISOString().slice(0, 10)}.json`;
+
+// Build the bundle for an analysis, validate it and download it
+// imageSource may be a File, Blob or URL; it is re-encoded as a JPEG of at most 1200 px.
+export const downloadFhirBundle = async ({ imageSource, result, notes }) => {
+  const image = await downscaleToDataUrl(imageSource, 1200, 0.9);
+  const bundle = buildFhirBundle({ result, image, notes });
+  const problems = validateFhirBundle(bundle);
+  if (problems.length) throw new Error(`Invalid FHIR bundle: ${problems.join('; ')}`);
+  downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/fhir+json' }), fhirFileName());
+};
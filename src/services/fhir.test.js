@@ -0,0 +1,127 @@
+import { buildFhirBundle, validateFhirBundle, fhirFileName, newId, CONCLUSION_CODES } from './fhir';
+import { webcrypto } from 'crypto';
+import { MEDICAL_DISCLAIMER } from '../constants';
+
+const result = {
+  schemaVersion: 1,
+  decision: 'pneumonia',
+  prediction: 'Pneumonia',
+  confidence: 0.913,
+  probabilities: { normal: 0.087, pneumonia: 0.913 },
+  threshold: 0.5,
+  inconclusiveBand: [0.4, 0.6],
+  provider: 'mock',
+  modelVersion: '1.0.0',
+  analyzedAt: '2024-01-15T10:30:00.000Z'
+};
+
+const image = 'data:image/jpeg;base64,/9j/4AAQSkZJRg==';
+
+// Predictable ids: 00000000-0000-4000-8000-000000000001, ...2, ...
+const sequentialIds = () => {
+  let next = 0;
+  return () => `00000000-0000-4000-8000-${String(++next).padStart(12, '0')}`;
+};
+
+const build = (overrides = {}) => buildFhirBundle({
+  result,
+  image,
+  issued: new Date('2024-01-15T10:31:00Z'),
+  makeId: sequentialIds(),
+  ...overrides
+});
+
+const resource = (bundle, type) => bundle.entry.find((entry) => entry.resource.resourceType === type).resource;
+
+test('builds a valid collection of report, observation, image and device', () => {
+  const bundle = build({ notes: 'Follow up in 2 weeks' });
+  expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection', timestamp: '2024-01-15T10:31:00.000Z' });
+  expect(bundle.entry.map((entry) => entry.resource.resourceType)).toEqual(['DiagnosticReport', 'Observation', 'Media', 'Device']);
+  expect(validateFhirBundle(bundle)).toEqual([]);
+});
+
+test('codes the conclusion and carries the probability, model version and disclaimer', () => {
+  const bundle = build({ notes: 'Follow up in 2 weeks' });
+  const report = resource(bundle, 'DiagnosticReport');
+  const observation = resource(bundle, 'Observation');
+
+  expect(report.status).toBe('preliminary');
+  expect(report.conclusionCode[0].coding).toEqual([CONCLUSION_CODES.pneumonia]);
+  expect(report.conclusion).toContain('91.3%');
+  expect(report.conclusion).toContain('model version 1.0.0');
+  expect(report.conclusion).toContain(MEDICAL_DISCLAIMER);
+  expect(observation.valueQuantity).toEqual({ value: 91.3, unit: '%', system: 'http://unitsofmeasure.org', code: '%' });
+  expect(observation.referenceRange[0].high.value).toBe(50);
+  expect(observation.note.map((note) => note.text)).toEqual(['Follow up in 2 weeks', MEDICAL_DISCLAIMER]);
+  expect(resource(bundle, 'Device').version).toEqual([{ value: '1.0.0' }]);
+  expect(resource(bundle, 'Media').content).toMatchObject({ contentType: 'image/jpeg', data: '/9j/4AAQSkZJRg==' });
+});
+
+test('links the resources by urn:uuid references', () => {
+  const bundle = build();
+  const urls = Object.fromEntries(bundle.entry.map((entry) => [entry.resource.resourceType, entry.fullUrl]));
+  const report = resource(bundle, 'DiagnosticReport');
+  const observation = resource(bundle, 'Observation');
+
+  expect(report.result).toEqual([{ reference: urls.Observation }]);
+  expect(report.media[0].link.reference).toBe(urls.Media);
+  expect(observation.device.reference).toBe(urls.Device);
+  expect(observation.derivedFrom).toEqual([{ reference: urls.Media }]);
+});
+
+test('creates UUIDs without crypto.randomUUID outside secure contexts', () => {
+  // jsdom has no Web Crypto: stand in with Node's, first as on a plain HTTP page (no randomUUID)
+  const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+  const useCrypto = (value) => Object.defineProperty(window, 'crypto', { value, configurable: true });
+  try {
+    useCrypto({ getRandomValues: (array) => webcrypto.getRandomValues(array) });
+    const ids = [newId(), newId()];
+    ids.forEach((id) => expect(id).toMatch(uuid));
+    expect(ids[0]).not.toBe(ids[1]);
+
+    useCrypto({ randomUUID: () => webcrypto.randomUUID() });
+    expect(newId()).toMatch(uuid);
+  } finally {
+    delete window.crypto;
+  }
+});
+
+test('exports label-only results with a data absent reason', () => {
+  const bundle = build({ result: { ...result, decision: 'normal', prediction: 'Normal', probabilities: null, threshold: null } });
+  const observation = resource(bundle, 'Observation');
+  expect(observation.valueQuantity).toBeUndefined();
+  expect(observation.dataAbsentReason.coding[0].code).toBe('unsupported');
+  expect(resource(bundle, 'DiagnosticReport').conclusionCode[0].coding).toEqual([CONCLUSION_CODES.normal]);
+  expect(validateFhirBundle(bundle)).toEqual([]);
+});
+
+test('rejects images that are not base64 data URLs', () => {
+  expect(() => build({ image: 'blob:http://localhost/1234' })).toThrow('base64 data URL');
+});
+
+test('reports missing and broken parts of a bundle', () => {
+  expect(validateFhirBundle(null)).toEqual(['Bundle: resourceType must be "Bundle"']);
+
+  const bundle = build();
+  const report = resource(bundle, 'DiagnosticReport');
+  const observation = resource(bundle, 'Observation');
+  report.status = 'draft';
+  report.conclusion = 'Pneumonia';
+  delete report.conclusionCode;
+  report.media[0].link.reference = 'urn:uuid:00000000-0000-4000-8000-999999999999';
+  observation.valueQuantity.value = 140;
+  resource(bundle, 'Device').version = [];
+
+  expect(validateFhirBundle(bundle)).toEqual([
+    'DiagnosticReport.status: must be a DiagnosticReport status code',
+    'DiagnosticReport.conclusionCode: must give the screening conclusion',
+    'DiagnosticReport.conclusion: must include the medical disclaimer',
+    'Observation.valueQuantity.value: must be a percentage between 0 and 100',
+    'Device.version: must give the model version',
+    'DiagnosticReport.media[0].link: must reference a Media in the bundle'
+  ]);
+});
+
+test('names exports after the date', () => {
+  expect(fhirFileName(new Date('2024-01-15T10:30:00Z'))).toBe('pneumoai-fhir-2024-01-15.json');
+});
@@ -0,0 +1,35 @@
+// Analysis history, stored locally in IndexedDB
+// Each entry: { id, fileName, thumbnail, image, result, backend, createdAt }
+// where result is the normalized prediction and image a downscaled copy for re-opening.
+import { withStore, promisify } from './db';
+
+const STORE = 'analyses';
+
+// Longest side of the image copy kept for re-opening an analysis
+export const HISTORY_IMAGE_SIZE = 768;
+
+// Save an analysis and resolve with the stored entry
+export const addEntry = (entry) => withStore(STORE, 'readwrite', async (store) => {
+  const record = { ...entry, createdAt: entry.createdAt || new Date().toISOString() };
+  const id = await promisify(store.add(record));
+  return { ...record, id };
+});
+
+// All entries, newest first
+export const listEntries = () => withStore(STORE, 'readonly', async (store) => {
+  const entries = await promisify(store.index('createdAt').getAll());
+  return entries.reverse();
+});
+
+export const deleteEntry = (id) => withStore(STORE, 'readwrite', (store) => promisify(store.delete(id)));
+
+export const clearHistory = () => withStore(STORE, 'readwrite', (store) => promisify(store.clear()));
+
+// Filter entries by a file name search and a label ('all' keeps every label)
+export const filterEntries = (entries, { query = '', label = 'all' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return entries.filter((entry) => (
+    (!needle || entry.fileName.toLowerCase().includes(needle)) &&
+    (label === 'all' || entry.result.prediction.toLowerCase() === label.toLowerCase())
+  ));
+};
@@ -0,0 +1,40 @@
+import 'fake-indexeddb/auto';
+import { addEntry, listEntries, deleteEntry, clearHistory, filterEntries } from './history';
+
+const entry = (fileName, prediction, createdAt) => ({
+  fileName,
+  thumbnail: 'data:image/jpeg;base64,',
+  image: 'data:image/jpeg;base64,',
+  result: { prediction, confidence: 0.9, provider: 'mock' },
+  backend: 'Mock (fixtures): auto',
+  createdAt
+});
+
+beforeEach(() => clearHistory());
+
+test('stores analyses and lists them newest first', async () => {
+  await addEntry(entry('a.png', 'Normal', '2024-01-01T00:00:00.000Z'));
+  const saved = await addEntry(entry('b.png', 'Pneumonia', '2024-01-02T00:00:00.000Z'));
+  expect(saved.id).toBeDefined();
+
+  const entries = await listEntries();
+  expect(entries.map((e) => e.fileName)).toEqual(['b.png', 'a.png']);
+});
+
+test('deletes single entries and clears everything', async () => {
+  const a = await addEntry(entry('a.png', 'Normal'));
+  await addEntry(entry('b.png', 'Normal'));
+
+  await deleteEntry(a.id);
+  expect((await listEntries()).map((e) => e.fileName)).toEqual(['b.png']);
+
+  await clearHistory();
+  expect(await listEntries()).toEqual([]);
+});
+
+test('filters by file name and label', () => {
+  const entries = [entry('left-PA.png', 'Normal'), entry('right.png', 'Pneumonia'), entry('LEFT2.png', 'Pneumonia')];
+  expect(filterEntries(entries, { query: 'left' }).map((e) => e.fileName)).toEqual(['left-PA.png', 'LEFT2.png']);
+  expect(filterEntries(entries, { label: 'pneumonia' })).toHaveLength(2);
+  expect(filterEntries(entries, { query: 'left', label: 'Pneumonia' }).map((e) => e.fileName)).toEqual(['LEFT2.png']);
+});
@@ -0,0 +1,31 @@
+// Cross-check two providers on the same images, e.g. the on-device model against the remote backend
+import { getProvider, decisionRule } from './index';
+import { applyDecision } from './normalize';
+import { SAMPLE_XRAYS, fetchSample } from '../samples';
+
+// Run both providers on every sample and report whether they agree
+// samples are entries of ../samples' SAMPLE_XRAYS; each row: { name, a, b, agree, delta } where a/b
+// are results or { error }
+export const compareProviders = async (settingsA, settingsB, samples = SAMPLE_XRAYS) => {
+  const run = (settings, file) => getProvider(settings).predict(file)
+    .then((result) => applyDecision(result, decisionRule(settings)))
+    .catch((err) => ({ error: err.message }));
+
+  const rows = [];
+  for (const sample of samples) {
+    const file = await fetchSample(sample);
+    const a = await run(settingsA, file);
+    const b = await run(settingsB, file);
+    const comparable = !a.error && !b.error;
+    rows.push({
+      name: sample.title,
+      a,
+      b,
+      agree: comparable ? a.decision === b.decision : null,
+      delta: comparable && a.probabilities && b.probabilities
+        ? Math.abs(a.probabilities.pneumonia - b.probabilities.pneumonia)
+        : null
+    });
+  }
+  return rows;
+};
@@ -0,0 +1,160 @@
+// Shared backend connections
+// Client.connect fetches the app config and, for a sleeping space, waits for it to wake up, so it
+// is done once per target and reused by every prediction. The manager also tracks backend health
+// (status and last measured latency) for the navbar indicator, and reconnects after a failure.
+// REST endpoints have no connection to keep, so their manager only checks that they answer.
+import { classifyError } from './errors';
+import { backoffDelay } from './resilience';
+
+export const HEALTH = {
+  IDLE: 'idle',              // Not contacted yet
+  CONNECTING: 'connecting',
+  ONLINE: 'online',
+  WAKING: 'waking',          // Space is sleeping or starting up
+  OFFLINE: 'offline'
+};
+
+// Hugging Face space states that mean the backend is still waking up
+const WAKING_STATES = ['sleeping', 'building', 'starting'];
+
+// Automatic reconnect attempts after a failure, before waiting for the next warm-up or prediction
+const MAX_RECONNECTS = 4;
+
+// Connect with the Gradio client, reporting space start-up through onWaking(message)
+const gradioConnect = async (target, { onWaking }) => {
+  // Loaded on demand so the client library stays out of the main bundle
+  const { Client } = await import('@gradio/client');
+  return Client.connect(target, {
+    events: ['data', 'status'],
+    status_callback: (space) => {
+      if (WAKING_STATES.includes(space.status)) onWaking(space.message || null);
+    }
+  });
+};
+
+// Round trip to an already connected app
+const gradioPing = async (client) => {
+  const response = await fetch(`${client.config.root}/config`, { cache: 'no-store' });
+  if (!response.ok) throw Object.assign(new Error(`Health check failed with status ${response.status}`), { status: response.status });
+};
+
+// Check that a REST endpoint answers, without running the model: an OPTIONS request, which the
+// Flask backend and the mock backend answer for CORS
+const restProbe = async (url) => {
+  const response = await fetch(url, { method: 'OPTIONS', cache: 'no-store' });
+  if (!response.ok) throw Object.assign(new Error(`Health check failed with status ${response.status}`), { status: response.status });
+};
+
+const restConnect = async (url) => {
+  await restProbe(url);
+  return { url };
+};
+
+const restPing = (client) => restProbe(client.url);
+
+export const createConnectionManager = ({ connect = gradioConnect, ping = gradioPing, now = () => Date.now() } = {}) => {
+  const clients = new Map();       // target -> Promise of a connected client
+  const listeners = new Set();
+  let health = { target: null, status: HEALTH.IDLE, latency: null, message: null, checkedAt: null };
+  let reconnect = { target: null, timer: null, attempt: 0 };
+
+  const setHealth = (changes) => {
+    health = { ...health, ...changes };
+    listeners.forEach((listener) => listener(health));
+  };
+
+  const cancelReconnect = () => {
+    clearTimeout(reconnect.timer);
+    reconnect = { target: null, timer: null, attempt: 0 };
+  };
+
+  // Mark the target offline and try again later with backoff
+  const fail = (target, err) => {
+    const error = classifyError(err);
+    clients.delete(target);
+    setHealth({ target, status: HEALTH.OFFLINE, message: error.message, checkedAt: now() });
+
+    clearTimeout(reconnect.timer);
+    if (reconnect.target !== target) reconnect = { target, timer: null, attempt: 0 };
+    if (reconnect.attempt >= MAX_RECONNECTS) return;
+    const attempt = reconnect.attempt + 1;
+    reconnect = {
+      target,
+      attempt,
+      timer: setTimeout(() => getClient(target).catch(() => {}), backoffDelay(attempt, error.code))
+    };
+  };
+
+  // Connected client for target, connecting on first use
+  const getClient = (target) => {
+    if (!clients.has(target)) {
+      const started = now();
+      setHealth({ target, status: HEALTH.CONNECTING, message: null });
+      const pending = connect(target, {
+        onWaking: (message) => setHealth({ target, status: HEALTH.WAKING, message })
+      }).then(
+        (client) => {
+          reconnect.attempt = 0;
+          clearTimeout(reconnect.timer);
+          setHealth({ target, status: HEALTH.ONLINE, latency: now() - started, message: null, checkedAt: now() });
+          return client;
+        },
+        (err) => {
+          fail(target, err);
+          throw err;
+        }
+      );
+      clients.set(target, pending);
+    }
+    return clients.get(target);
+  };
+
+  // Drop a connection that stopped working; the next use reconnects
+  const invalidate = (target, err) => {
+    if (clients.has(target)) fail(target, err);
+  };
+
+  // Connect ahead of the first prediction, or re-measure latency if already connected
+  const warmUp = async (target) => {
+    if (!target) return health;
+    const connected = clients.has(target);
+    try {
+      const client = await getClient(target);
+      if (connected) {
+        const started = now();
+        await ping(client);
+        setHealth({ target, status: HEALTH.ONLINE, latency: now() - started, message: null, checkedAt: now() });
+      }
+    } catch (err) {
+      if (connected) invalidate(target, err);
+    }
+    return health;
+  };
+
+  // The backend selected in settings (null for none); stops reconnecting to any other one
+  const select = (target) => {
+    if (reconnect.target !== target) cancelReconnect();
+  };
+
+  return {
+    getClient,
+    invalidate,
+    warmUp,
+    select,
+    getHealth: () => health,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    // Forget all connections and stop reconnecting
+    dispose: () => {
+      cancelReconnect();
+      clients.clear();
+      listeners.clear();
+    }
+  };
+};
+
+// The connection managers shared by the whole session, for Gradio apps and REST endpoints
+export const connections = createConnectionManager();
+export const restConnections = createConnectionManager({ connect: restConnect, ping: restPing });
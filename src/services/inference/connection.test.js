@@ -0,0 +1,111 @@
+import { createConnectionManager, restConnections, HEALTH } from './connection';
+
+// Clock advanced by hand, so latencies are predictable
+const clock = () => {
+  let time = 0;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+test('connects once per target and reports latency', async () => {
+  const { now, advance } = clock();
+  const client = { submit: jest.fn() };
+  const connect = jest.fn(async () => {
+    advance(120);
+    return client;
+  });
+  const manager = createConnectionManager({ connect, now });
+
+  await expect(manager.getClient('user/space')).resolves.toBe(client);
+  await manager.getClient('user/space');
+  expect(connect).toHaveBeenCalledTimes(1);
+  expect(manager.getHealth()).toMatchObject({ target: 'user/space', status: HEALTH.ONLINE, latency: 120 });
+  manager.dispose();
+});
+
+test('reports a waking space to subscribers', async () => {
+  const connect = jest.fn(async (target, { onWaking }) => {
+    onWaking('Space is starting');
+    return {};
+  });
+  const manager = createConnectionManager({ connect });
+  const statuses = [];
+  manager.subscribe((health) => statuses.push(health.status));
+
+  await manager.warmUp('user/space');
+  expect(statuses).toEqual([HEALTH.CONNECTING, HEALTH.WAKING, HEALTH.ONLINE]);
+  manager.dispose();
+});
+
+test('re-measures latency when warming up an existing connection', async () => {
+  const { now, advance } = clock();
+  const ping = jest.fn(async () => advance(40));
+  const manager = createConnectionManager({ connect: async () => ({}), ping, now });
+
+  await manager.warmUp('user/space');
+  await manager.warmUp('user/space');
+  expect(ping).toHaveBeenCalledTimes(1);
+  expect(manager.getHealth().latency).toBe(40);
+  manager.dispose();
+});
+
+test('goes offline on failure and reconnects automatically', async () => {
+  jest.useFakeTimers();
+  const connect = jest.fn()
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValue({});
+  const manager = createConnectionManager({ connect });
+
+  await manager.warmUp('user/space');
+  expect(manager.getHealth().status).toBe(HEALTH.OFFLINE);
+
+  jest.runOnlyPendingTimers();
+  await Promise.resolve();
+  await Promise.resolve();
+  expect(connect).toHaveBeenCalledTimes(2);
+  expect(manager.getHealth().status).toBe(HEALTH.ONLINE);
+
+  manager.dispose();
+  jest.useRealTimers();
+});
+
+test('invalidating a connection makes the next use reconnect', async () => {
+  const connect = jest.fn(async () => ({}));
+  const manager = createConnectionManager({ connect });
+
+  await manager.getClient('user/space');
+  manager.invalidate('user/space', new TypeError('Failed to fetch'));
+  expect(manager.getHealth().status).toBe(HEALTH.OFFLINE);
+  await manager.getClient('user/space');
+  expect(connect).toHaveBeenCalledTimes(2);
+  manager.dispose();
+});
+
+test('stops reconnecting when another backend is selected', async () => {
+  jest.useFakeTimers();
+  const connect = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  const manager = createConnectionManager({ connect });
+
+  await manager.warmUp('old/space');
+  manager.select('old/space');
+  manager.select('new/space');
+  jest.runOnlyPendingTimers();
+  await Promise.resolve();
+  expect(connect).toHaveBeenCalledTimes(1);
+
+  manager.dispose();
+  jest.useRealTimers();
+});
+
+test('pings REST endpoints with an OPTIONS request', async () => {
+  const fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async (url) => ({ ok: url === '/api/predict', status: url === '/api/predict' ? 204 : 404 }));
+
+  await restConnections.warmUp('/api/predict');
+  expect(fetchMock).toHaveBeenCalledWith('/api/predict', { method: 'OPTIONS', cache: 'no-store' });
+  expect(restConnections.getHealth()).toMatchObject({ target: '/api/predict', status: HEALTH.ONLINE });
+
+  await restConnections.warmUp('/wrong');
+  expect(restConnections.getHealth()).toMatchObject({ target: '/wrong', status: HEALTH.OFFLINE });
+
+  restConnections.dispose();
+  fetchMock.mockRestore();
+});
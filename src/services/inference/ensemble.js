@@ -0,0 +1,108 @@
+// Several registered models (./models) on the same image, combined into one ensemble verdict
+// An ensemble result has the normalized result shape plus
+//   ensemble: { method, agree, spread, members: [{ model, label, decision, prediction, confidence,
+//               probabilities, modelVersion } | { model, label, error, errorCode }] }
+// where agree is false when the models that answered reached different decisions and spread is
+// the range of their pneumonia probabilities (null without probabilities).
+import { predict } from './index';
+import { MODELS, settingsFor } from './models';
+import { applyDecision, inconclusiveBand, CLASS_LABELS, INCONCLUSIVE_LABEL, RESULT_SCHEMA_VERSION, DEFAULT_DECISION } from './normalize';
+import { PredictionError, ERROR_CODES, classifyError } from './errors';
+
+// How member results are combined, keyed by the id stored in settings.ensembleMethod
+export const ENSEMBLE_METHODS = {
+  mean: 'Mean probability',
+  vote: 'Majority vote'
+};
+
+// Run models on one image in parallel
+// prepare(modelSettings) resolves to the image a model receives, as models differ in input size;
+// options are passed to every model's predict() except onProgress, which follows the first model.
+// Resolves with [{ model, result } | { model, error }]; rejects when cancelled or when every model failed.
+export const predictModels = async (models, prepare, settings, { signal, onRetry, onProgress } = {}) => {
+  const members = await Promise.all(models.map(async (model, index) => {
+    const modelSettings = settingsFor(model, settings);
+    try {
+      const input = await prepare(modelSettings);
+      return { model, result: await predict(input, modelSettings, { signal, onRetry, onProgress: index === 0 ? onProgress : undefined }) };
+    } catch (err) {
+      return { model, error: classifyError(err) };
+    }
+  }));
+
+  if (signal?.aborted) throw new PredictionError(ERROR_CODES.CANCELLED);
+  if (members.every((member) => member.error)) throw members[0].error;
+  return members;
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Ensemble result from predictModels' members
+// "mean" decides the averaged probabilities with the decision rule; it needs probabilities from
+// every model and falls back to "vote" otherwise. "vote" takes the decision most models reached,
+// inconclusive on a tie (inconclusive members abstain), with the share of votes as confidence.
+export const combineResults = (members, method = 'mean', rule = DEFAULT_DECISION) => {
+  const answered = members.filter((member) => member.result).map((member) => member.result);
+  if (!answered.length) throw new Error('No model produced a result');
+
+  const probabilities = answered.every((result) => result.probabilities)
+    ? Object.fromEntries(Object.keys(CLASS_LABELS).map((id) => [id, average(answered.map((result) => result.probabilities[id]))]))
+    : null;
+  const used = method === 'mean' && probabilities ? 'mean' : 'vote';
+
+  let decided;
+  if (used === 'mean') {
+    decided = applyDecision({ probabilities }, rule);
+  } else {
+    const votes = { normal: 0, pneumonia: 0 };
+    answered.forEach((result) => {
+      if (result.decision in votes) votes[result.decision] += 1;
+    });
+    let decision = 'inconclusive';
+    if (votes.pneumonia > votes.normal) decision = 'pneumonia';
+    if (votes.normal > votes.pneumonia) decision = 'normal';
+    const threshold = Number(rule.threshold);
+    const margin = Number(rule.margin) || 0;
+    decided = {
+      decision,
+      prediction: decision === 'inconclusive' ? INCONCLUSIVE_LABEL : CLASS_LABELS[decision],
+      confidence: decision === 'inconclusive' ? null : votes[decision] / answered.length,
+      probabilities,
+      threshold,
+      inconclusiveBand: margin > 0 ? inconclusiveBand({ threshold, margin }) : null
+    };
+  }
+
+  const pneumonia = probabilities ? answered.map((result) => result.probabilities.pneumonia) : null;
+  return {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    provider: answered[0].provider,
+    ...decided,
+    // e.g. "cnn 1.0.0 + vgg16"
+    modelVersion: members.map(({ model, result }) => (result?.modelVersion ? `${model} ${result.modelVersion}` : model)).join(' + '),
+    ensemble: {
+      method: used,
+      agree: new Set(answered.map((result) => result.decision)).size === 1,
+      spread: pneumonia ? Math.max(...pneumonia) - Math.min(...pneumonia) : null,
+      members: members.map(({ model, result, error }) => {
+        const label = MODELS[model]?.label || model;
+        if (error) return { model, label, error: error.message, errorCode: error.code };
+        // Heatmaps are not combined, and would make stored ensembles large
+        const { decision, prediction, confidence, probabilities: memberProbabilities, modelVersion } = result;
+        return { model, label, decision, prediction, confidence, probabilities: memberProbabilities, modelVersion: modelVersion || null };
+      })
+    }
+  };
+};
+
+// One-line summary of an ensemble for reports and exports, e.g.
+// "Mean probability of Custom CNN: Pneumonia 91.4%, VGG16: Normal 11.2% - the models disagree"
+// (probabilities are the pneumonia probability)
+export const describeEnsemble = ({ method, agree, members }) => {
+  const results = members.map((member) => {
+    if (member.error) return `${member.label}: no result`;
+    const probability = member.probabilities ? ` ${(member.probabilities.pneumonia * 100).toFixed(1)}%` : '';
+    return `${member.label}: ${member.prediction}${probability}`;
+  });
+  return `${ENSEMBLE_METHODS[method]} of ${results.join(', ')}${agree ? '' : ' - the models disagree'}`;
+};
@@ -0,0 +1,75 @@
+import { predictModels, combineResults, describeEnsemble } from './ensemble';
+import { selectedModels, settingsFor } from './models';
+import { normalizeResult } from './normalize';
+import { PredictionError, ERROR_CODES } from './errors';
+import { DEFAULT_SETTINGS } from '../../config';
+
+const settings = { ...DEFAULT_SETTINGS, provider: 'mock', models: 'cnn,vgg16', maxRetries: 0 };
+const rule = { threshold: 0.5, margin: 0.1 };
+
+// Member result of a model with the given pneumonia probability
+const member = (model, pneumonia) => ({
+  model,
+  result: normalizeResult({ probabilities: { normal: 1 - pneumonia, pneumonia } }, 'mock')
+});
+
+test('selects the registered models available with the provider', () => {
+  expect(selectedModels(settings)).toEqual(['cnn', 'vgg16']);
+  expect(selectedModels({ ...settings, models: 'vgg16, nope' })).toEqual(['vgg16']);
+  expect(selectedModels({ ...settings, provider: 'local' })).toEqual(['cnn']);
+  expect(selectedModels({ ...settings, provider: 'gradio-space' })).toEqual(['cnn']);
+  expect(selectedModels({ ...settings, provider: 'rest' })).toEqual(['cnn']);
+  expect(selectedModels({ ...settings, models: '' })).toEqual(['cnn']);
+});
+
+test('points the configured backend at each model', () => {
+  expect(settingsFor('cnn', settings)).toBe(settings);
+  expect(settingsFor('vgg16', settings)).toEqual({ ...settings, model: 'vgg16' });
+  expect(() => settingsFor('nope', settings)).toThrow(/Unknown model/);
+});
+
+test('decides the mean probability with the decision rule', () => {
+  const result = combineResults([member('cnn', 0.9), member('vgg16', 0.7)], 'mean', rule);
+  expect(result).toMatchObject({ decision: 'pneumonia', threshold: 0.5, provider: 'mock', modelVersion: 'cnn + vgg16' });
+  expect(result.probabilities.pneumonia).toBeCloseTo(0.8);
+  expect(result.ensemble).toMatchObject({ method: 'mean', agree: true });
+  expect(result.ensemble.spread).toBeCloseTo(0.2);
+  expect(result.ensemble.members.map(({ model, decision }) => [model, decision])).toEqual([['cnn', 'pneumonia'], ['vgg16', 'pneumonia']]);
+});
+
+test('flags models that disagree', () => {
+  const result = combineResults([member('cnn', 0.9), member('vgg16', 0.2)], 'mean', rule);
+  expect(result.decision).toBe('inconclusive');
+  expect(result.ensemble.agree).toBe(false);
+  expect(describeEnsemble(result.ensemble)).toBe('Mean probability of Custom CNN: Pneumonia 90.0%, VGG16: Normal 20.0% - the models disagree');
+});
+
+test('takes the majority vote, inconclusive on a tie', () => {
+  const three = [member('cnn', 0.9), member('vgg16', 0.2), member('other', 0.3)];
+  expect(combineResults(three, 'vote', rule)).toMatchObject({ decision: 'normal', prediction: 'Normal' });
+  expect(combineResults(three, 'vote', rule).confidence).toBeCloseTo(2 / 3);
+  expect(combineResults(three.slice(0, 2), 'vote', rule)).toMatchObject({ decision: 'inconclusive', confidence: null });
+});
+
+test('votes when a model reports a label only', () => {
+  const labelOnly = { model: 'vgg16', result: normalizeResult({ label: 'Pneumonia' }, 'mock') };
+  const result = combineResults([member('cnn', 0.8), labelOnly], 'mean', rule);
+  expect(result).toMatchObject({ decision: 'pneumonia', confidence: 1, probabilities: null });
+  expect(result.ensemble).toMatchObject({ method: 'vote', spread: null });
+});
+
+test('combines the models that answered', () => {
+  const failed = { model: 'vgg16', error: new PredictionError(ERROR_CODES.TIMEOUT) };
+  const result = combineResults([member('cnn', 0.8), failed], 'mean', rule);
+  expect(result).toMatchObject({ decision: 'pneumonia', ensemble: { agree: true } });
+  expect(result.ensemble.members[1]).toEqual({ model: 'vgg16', label: 'VGG16', error: failed.error.message, errorCode: 'timeout' });
+});
+
+test('runs every selected model through the provider', async () => {
+  const prepare = jest.fn(async () => new File(['x'], 'normal.jpeg', { type: 'image/jpeg' }));
+  const members = await predictModels(['cnn', 'vgg16'], prepare, { ...settings, mockScenario: 'disagree' });
+  expect(prepare.mock.calls.map(([modelSettings]) => modelSettings.model)).toEqual([undefined, 'vgg16']);
+  expect(members.map(({ model, result }) => [model, result.decision])).toEqual([['cnn', 'pneumonia'], ['vgg16', 'normal']]);
+
+  await expect(predictModels(['cnn', 'vgg16'], prepare, { ...settings, mockScenario: 'error' })).rejects.toMatchObject({ code: 'unknown' });
+});
@@ -0,0 +1,68 @@
+// Typed prediction errors
+// Providers throw whatever their transport throws; classifyError maps that onto a small set of
+// categories so the UI can show a specific message and decide whether retrying makes sense.
+
+export const ERROR_CODES = {
+  CONNECTION: 'connection',    // Network failure, backend unreachable
+  COLD_START: 'cold-start',    // Backend sleeping or still starting up
+  QUEUE_FULL: 'queue-full',    // Backend busy / rate limited
+  TIMEOUT: 'timeout',          // No answer within the configured time
+  MALFORMED: 'malformed',      // Answer we could not understand
+  REJECTED: 'rejected',        // Backend refused the input
+  CANCELLED: 'cancelled',      // User aborted the request
+  UNKNOWN: 'unknown'
+};
+
+// User-facing message for each category
+export const ERROR_MESSAGES = {
+  [ERROR_CODES.CONNECTION]: "Can't reach the analysis backend. Check your internet connection or the backend settings.",
+  [ERROR_CODES.COLD_START]: 'The analysis backend is waking up. This can take up to a minute - please try again shortly.',
+  [ERROR_CODES.QUEUE_FULL]: 'The analysis backend is busy right now. Please try again in a moment.',
+  [ERROR_CODES.TIMEOUT]: 'The analysis took too long and was stopped. The backend may be overloaded.',
+  [ERROR_CODES.MALFORMED]: 'The backend returned a response we could not read. It may be running an incompatible version.',
+  [ERROR_CODES.REJECTED]: 'The backend rejected this image. Make sure it is a chest X-ray in a supported format.',
+  [ERROR_CODES.CANCELLED]: 'Analysis cancelled.',
+  [ERROR_CODES.UNKNOWN]: 'Prediction failed. Please try again.'
+};
+
+// Categories worth retrying automatically
+const RETRYABLE = [ERROR_CODES.CONNECTION, ERROR_CODES.COLD_START, ERROR_CODES.QUEUE_FULL, ERROR_CODES.TIMEOUT];
+
+export class PredictionError extends Error {
+  constructor(code, { cause, detail } = {}) {
+    super(ERROR_MESSAGES[code] || ERROR_MESSAGES[ERROR_CODES.UNKNOWN]);
+    this.name = 'PredictionError';
+    this.code = code;
+    this.detail = detail || cause?.message || null;  // Original technical message, for logs
+    this.cause = cause;
+  }
+
+  get retryable() {
+    return RETRYABLE.includes(this.code);
+  }
+}
+
+// Category for an HTTP status code
+export const codeForStatus = (status) => {
+  if (status === 429) return ERROR_CODES.QUEUE_FULL;
+  if (status === 502 || status === 503) return ERROR_CODES.COLD_START;
+  if (status === 504 || status === 408) return ERROR_CODES.TIMEOUT;
+  if (status >= 400 && status < 500) return ERROR_CODES.REJECTED;
+  return ERROR_CODES.UNKNOWN;
+};
+
+// Map any thrown value onto a PredictionError
+export const classifyError = (err) => {
+  if (err instanceof PredictionError) return err;
+
+  const message = `${err?.message || err || ''}`.toLowerCase();
+  let code = ERROR_CODES.UNKNOWN;
+  if (err?.name === 'AbortError') code = ERROR_CODES.CANCELLED;
+  else if (err?.status) code = codeForStatus(err.status);
+  else if (/sleep|paused|building|starting|waking|space.*(not|isn't) running/.test(message)) code = ERROR_CODES.COLD_START;
+  else if (/queue.*full|too many requests|rate limit/.test(message)) code = ERROR_CODES.QUEUE_FULL;
+  else if (/timed? ?out/.test(message)) code = ERROR_CODES.TIMEOUT;
+  else if (/failed to fetch|networkerror|network request failed|could not resolve|load failed|econnrefused/.test(message)) code = ERROR_CODES.CONNECTION;
+
+  return new PredictionError(code, { cause: err });
+};
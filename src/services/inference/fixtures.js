@@ -0,0 +1,35 @@
+// Canned prediction responses used by the mock provider
+// Each fixture mirrors the raw Gradio response payload: [label, confidence]
+
+export const FIXTURES = {
+  normal: { data: ['Normal', 0.9412] },
+  pneumonia: { data: ['Pneumonia', 0.9137] }
+};
+
+// Answers of the other registered models (./models), keyed by model id; FIXTURES are the custom CNN's
+export const MODEL_FIXTURES = {
+  vgg16: {
+    normal: { data: ['Normal', 0.8876] },
+    pneumonia: { data: ['Pneumonia', 0.8731] }
+  }
+};
+
+// Pick a fixture from the file name, falling back to a stable hash so the same file
+// always gets the same answer
+export const fixtureForFile = (file, fixtures = FIXTURES) => {
+  const name = (file?.name || '').toLowerCase();
+  if (name.includes('normal')) return fixtures.normal;
+  if (['pneumonia', 'virus', 'bacteria'].some((word) => name.includes(word))) return fixtures.pneumonia;
+
+  const key = `${name}:${file?.size || 0}`;
+  const hash = [...key].reduce((acc, char) => (acc * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return hash % 2 === 0 ? fixtures.normal : fixtures.pneumonia;
+};
+
+// Fixture a model answers with under a scenario
+// In the "disagree" scenario the custom CNN finds pneumonia and every other model a normal X-ray.
+export const fixtureFor = (scenario, file, model) => {
+  const fixtures = MODEL_FIXTURES[model] || FIXTURES;
+  if (scenario === 'disagree') return fixtures === FIXTURES ? fixtures.pneumonia : fixtures.normal;
+  return fixtures[scenario] || fixtureForFile(file, fixtures);
+};
@@ -0,0 +1,73 @@
+// Gradio provider - talks to a Gradio app, either a Hugging Face space ID or a full URL
+// The endpoint returns [label, confidence] and optionally a heatmap image as a third output
+import { normalizeResult } from './normalize';
+import { PredictionError, ERROR_CODES, classifyError } from './errors';
+import { connections as sharedConnections, HEALTH } from './connection';
+import { anonymousUpload } from '../../utils/image';
+
+// Progress update for a job status event from client.submit
+// Returns { phase: 'queued' | 'running', position?, queueSize?, eta? } or null for events we ignore.
+// Gradio reports a 0-based queue rank; position here is 1-based for display.
+export const progressFromStatus = (status) => {
+  if (status.stage === 'pending' && status.queue && status.position != null) {
+    return { phase: 'queued', position: status.position + 1, queueSize: status.size ?? null, eta: status.eta ?? null };
+  }
+  if (status.stage === 'pending' || status.stage === 'generating' || status.stage === 'streaming') {
+    return { phase: 'running', eta: status.eta ?? null };
+  }
+  return null;
+};
+
+export const createGradioProvider = ({ id, target, endpoint = '/predict', connections = sharedConnections }) => ({
+  id,
+  label: `Gradio (${target})`,
+
+  // options.onProgress({ phase, position, queueSize, eta, message }) follows the job through
+  // connecting, backend start-up, the queue and inference
+  predict: async (image, { signal, onProgress } = {}) => {
+    if (!target) throw new Error('No Gradio space or URL configured');
+    const report = (progress) => onProgress?.(progress);
+
+    // Reuse the session's connection; while it is being made, follow the space waking up
+    report({ phase: 'connecting' });
+    const unsubscribe = connections.subscribe((health) => {
+      if (health.target === target && health.status === HEALTH.WAKING) report({ phase: 'starting', message: health.message });
+    });
+    let client;
+    try {
+      client = await connections.getClient(target);
+    } finally {
+      unsubscribe();
+    }
+    if (signal?.aborted) throw new PredictionError(ERROR_CODES.CANCELLED);
+
+    const job = client.submit(endpoint, { image: anonymousUpload(image) });
+    const cancel = () => job.cancel().catch(() => {});
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    try {
+      for await (const message of job) {
+        if (message.type === 'status') {
+          if (message.stage === 'error') {
+            const error = classifyError(new Error(message.message || 'Gradio job failed'));
+            // A lost connection is made again on the next attempt
+            if (error.code === ERROR_CODES.CONNECTION) connections.invalidate(target, error);
+            throw error;
+          }
+          const progress = progressFromStatus(message);
+          if (progress) report(progress);
+        } else if (message.type === 'data') {
+          if (!Array.isArray(message.data)) {
+            throw new PredictionError(ERROR_CODES.MALFORMED, { detail: 'Gradio response has no data array' });
+          }
+          const [label, confidence, heatmap] = message.data;
+          // Files come back as paths relative to the app, e.g. /gradio_api/file=...
+          return normalizeResult({ label, confidence, heatmap }, id, { baseUrl: client.config?.root });
+        }
+      }
+      throw new PredictionError(ERROR_CODES.MALFORMED, { detail: 'Gradio job ended without data' });
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+});
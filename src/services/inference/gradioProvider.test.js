@@ -0,0 +1,70 @@
+import { createGradioProvider, progressFromStatus } from './gradioProvider';
+import { createConnectionManager } from './connection';
+
+// Fake job that yields the given events, like client.submit
+const fakeJob = (events) => ({
+  cancel: jest.fn(() => Promise.resolve()),
+  async *[Symbol.asyncIterator]() {
+    yield* events;
+  }
+});
+
+jest.mock('@gradio/client', () => ({ Client: { connect: jest.fn() } }));
+
+// Fresh connection manager per test so clients are not shared between them
+let connections;
+beforeEach(() => {
+  connections = createConnectionManager();
+});
+afterEach(() => connections.dispose());
+
+test('maps Gradio status events onto progress phases', () => {
+  expect(progressFromStatus({ stage: 'pending', queue: true, position: 2, size: 5, eta: 12 }))
+    .toEqual({ phase: 'queued', position: 3, queueSize: 5, eta: 12 });
+  expect(progressFromStatus({ stage: 'generating', queue: true })).toEqual({ phase: 'running', eta: null });
+  expect(progressFromStatus({ stage: 'complete', queue: true })).toBeNull();
+});
+
+test('reports queue progress and resolves with the data event', async () => {
+  const { Client } = await import('@gradio/client');
+  Client.connect.mockImplementation(async (target, { status_callback }) => {
+    status_callback({ status: 'sleeping', message: 'Space is waking up' });
+    return {
+      submit: () => fakeJob([
+        { type: 'status', stage: 'pending', queue: true, position: 0, size: 1, eta: 4 },
+        { type: 'status', stage: 'generating', queue: true },
+        { type: 'data', data: ['Pneumonia', 0.93] }
+      ])
+    };
+  });
+
+  const onProgress = jest.fn();
+  const provider = createGradioProvider({ id: 'gradio-space', target: 'user/space', connections });
+  const result = await provider.predict(new Blob(['x']), { onProgress });
+
+  expect(result).toMatchObject({ decision: 'pneumonia', prediction: 'Pneumonia', provider: 'gradio-space' });
+  expect(onProgress.mock.calls.map(([p]) => p.phase)).toEqual(['connecting', 'starting', 'queued', 'running']);
+  expect(onProgress).toHaveBeenCalledWith({ phase: 'queued', position: 1, queueSize: 1, eta: 4 });
+});
+
+test('resolves a heatmap file against the Gradio app root', async () => {
+  const { Client } = await import('@gradio/client');
+  Client.connect.mockResolvedValue({
+    config: { root: 'http://localhost:7860' },
+    submit: () => fakeJob([{ type: 'data', data: ['Normal', 0.88, { path: '/tmp/cam.png', url: '/gradio_api/file=/tmp/cam.png' }] }])
+  });
+
+  const provider = createGradioProvider({ id: 'gradio-url', target: 'http://localhost:7860', connections });
+  const result = await provider.predict(new Blob(['x']));
+  expect(result.heatmap).toBe('http://localhost:7860/gradio_api/file=/tmp/cam.png');
+});
+
+test('turns a job error status into a classified error', async () => {
+  const { Client } = await import('@gradio/client');
+  Client.connect.mockResolvedValue({
+    submit: () => fakeJob([{ type: 'status', stage: 'error', queue: true, message: 'Queue is full' }])
+  });
+
+  const provider = createGradioProvider({ id: 'gradio-space', target: 'user/space', connections });
+  await expect(provider.predict(new Blob(['x']))).rejects.toMatchObject({ code: 'queue-full' });
+});
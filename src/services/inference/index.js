@@ -0,0 +1,107 @@
+// Inference provider registry
+// Every provider exposes predict(image) and resolves to the normalized result from ./normalize,
+// so the rest of the app does not care where a prediction came from.
+import { createGradioProvider } from './gradioProvider';
+import { createRestProvider } from './restProvider';
+import { createMockProvider } from './mockProvider';
+import { createLocalProvider } from './localProvider';
+import { withRetry, withTimeout } from './resilience';
+import { applyDecision } from './normalize';
+
+// Registered providers, keyed by the id stored in settings.provider
+// mode tells the UI where the image was processed: 'remote', 'on-device' or 'mock'
+// settings.model is set by ./models for models other than the default one (mock provider only)
+// available(settings), when present, hides a provider that cannot work with these settings
+export const PROVIDERS = {
+  'gradio-space': {
+    label: 'Hugging Face space',
+    mode: 'remote',
+    create: (settings) => createGradioProvider({
+      id: 'gradio-space',
+      target: settings.gradioSpace,
+      endpoint: settings.gradioEndpoint
+    })
+  },
+  'gradio-url': {
+    label: 'Gradio URL',
+    mode: 'remote',
+    create: (settings) => createGradioProvider({
+      id: 'gradio-url',
+      target: settings.gradioUrl,
+      endpoint: settings.gradioEndpoint
+    })
+  },
+  rest: {
+    label: 'REST endpoint',
+    mode: 'remote',
+    create: (settings) => createRestProvider({ id: 'rest', url: settings.restUrl })
+  },
+  local: {
+    label: 'On-device (offline)',
+    mode: 'on-device',
+    // Only offered once a converted model is deployed (REACT_APP_LOCAL_MODEL_URL, scripts/convert-model.sh)
+    available: (settings) => Boolean(settings.localModelUrl),
+    create: (settings) => createLocalProvider({ id: 'local', modelUrl: settings.localModelUrl })
+  },
+  mock: {
+    label: 'Mock (fixtures)',
+    mode: 'mock',
+    create: (settings) => createMockProvider({ id: 'mock', scenario: settings.mockScenario, model: settings.model })
+  }
+};
+
+// Providers that can be selected with these settings, as [id, entry] pairs
+export const availableProviders = (settings) => Object.entries(PROVIDERS)
+  .filter(([, entry]) => !entry.available || entry.available(settings));
+
+// Where a result's image was processed, for display next to the result
+export const providerMode = (id) => PROVIDERS[id]?.mode || 'remote';
+
+// Human-readable description of the backend a result came from, stored with saved analyses
+export const describeBackend = (settings) => {
+  const label = PROVIDERS[settings.provider]?.label || settings.provider;
+  const target = {
+    'gradio-space': settings.gradioSpace,
+    'gradio-url': settings.gradioUrl,
+    rest: settings.restUrl,
+    local: settings.localModelUrl,
+    mock: settings.mockScenario
+  }[settings.provider];
+  return target ? `${label}: ${target}` : label;
+};
+
+// Gradio space or URL behind the selected provider, or null for providers without a shared connection
+export const connectionTarget = (settings) => ({
+  'gradio-space': settings.gradioSpace,
+  'gradio-url': settings.gradioUrl
+}[settings.provider] || null);
+
+// Build the provider selected in settings
+export const getProvider = (settings) => {
+  const entry = PROVIDERS[settings.provider];
+  if (!entry) throw new Error(`Unknown inference provider "${settings.provider}"`);
+  return entry.create(settings);
+};
+
+// Threshold and review margin from settings
+export const decisionRule = (settings) => ({
+  threshold: Number(settings.decisionThreshold),
+  margin: Number(settings.inconclusiveMargin) || 0
+});
+
+// Run a prediction with the provider selected in settings
+// Each attempt is limited to settings.requestTimeout seconds and retryable failures are retried
+// with backoff. Aborting options.signal cancels the request; failures reject with a PredictionError.
+// options.onProgress receives queue/phase updates from providers that report them (Gradio).
+// The result is decided with the configured threshold and inconclusive margin.
+export const predict = async (image, settings, { signal, onRetry, onProgress } = {}) => {
+  const provider = getProvider(settings);
+  const timeout = (Number(settings.requestTimeout) || 0) * 1000;
+
+  const result = await withRetry(
+    (attemptSignal) => withTimeout((s) => provider.predict(image, { signal: s, onProgress }), timeout, attemptSignal),
+    { retries: Number(settings.maxRetries) || 0, signal, onRetry }
+  );
+  return applyDecision(result, decisionRule(settings));
+};
+
@@ -0,0 +1,124 @@
+import { getProvider, providerMode, availableProviders } from './index';
+import { normalizeResult, applyDecision, decisionOf, classForLabel, INCONCLUSIVE_LABEL } from './normalize';
+import { createMockProvider } from './mockProvider';
+import { sigmoidProbabilities } from './localProvider';
+import { DEFAULT_SETTINGS } from '../../config';
+
+test('normalizes labels and percentage confidences into the versioned schema', () => {
+  const result = normalizeResult({ label: 'Pneumonia', confidence: 91.5 }, 'rest');
+  expect(result).toMatchObject({
+    schemaVersion: 1,
+    decision: 'pneumonia',
+    prediction: 'Pneumonia',
+    provider: 'rest',
+    threshold: 0.5
+  });
+  expect(result.confidence).toBeCloseTo(0.915);
+  expect(result.probabilities.normal).toBeCloseTo(0.085);
+  expect(normalizeResult({ label: 'NORMAL', confidence: '0.8' }, 'rest').confidence).toBeCloseTo(0.8);
+
+  const labelOnly = normalizeResult({ label: 'Normal', confidence: undefined }, 'rest');
+  expect(labelOnly).toMatchObject({ decision: 'normal', confidence: null, probabilities: null, threshold: null });
+});
+
+test('reads per-class probabilities and Gradio label outputs', () => {
+  expect(normalizeResult({ probabilities: { Normal: 0.3, Pneumonia: 0.7 } }, 'rest').probabilities)
+    .toEqual({ normal: 0.3, pneumonia: 0.7 });
+  const gradioLabel = { label: 'PNEUMONIA', confidences: [{ label: 'PNEUMONIA', confidence: 0.64 }, { label: 'NORMAL', confidence: 0.36 }] };
+  expect(normalizeResult({ label: gradioLabel }, 'gradio-space')).toMatchObject({ decision: 'pneumonia', confidence: 0.64 });
+});
+
+test('rejects responses without a label or with invalid probabilities', () => {
+  expect(() => normalizeResult({ label: '', confidence: 0.5 }, 'rest')).toThrow();
+  expect(() => normalizeResult({ label: 'Cardiomegaly', confidence: 0.9 }, 'rest')).toThrow(/could not read/);
+  expect(() => normalizeResult({ probabilities: { Normal: 0.9, Pneumonia: 0.9 } }, 'rest')).toThrow();
+  expect(() => normalizeResult({ probabilities: { Normal: 'abc' } }, 'rest')).toThrow();
+});
+
+test('applies the threshold and reports the inconclusive band', () => {
+  const result = normalizeResult({ probabilities: { normal: 0.45, pneumonia: 0.55 } }, 'rest');
+  expect(applyDecision(result, { threshold: 0.5, margin: 0 }).decision).toBe('pneumonia');
+  expect(applyDecision(result, { threshold: 0.6, margin: 0 })).toMatchObject({ decision: 'normal', confidence: 0.45, threshold: 0.6 });
+
+  const review = applyDecision(result, { threshold: 0.5, margin: 0.1 });
+  expect(review).toMatchObject({ decision: 'inconclusive', prediction: INCONCLUSIVE_LABEL });
+  expect(review.inconclusiveBand[0]).toBeCloseTo(0.4);
+  expect(review.inconclusiveBand[1]).toBeCloseTo(0.6);
+  expect(applyDecision(result, { threshold: 0.3, margin: 0.1 }).decision).toBe('pneumonia');
+});
+
+test('derives the decision of results saved before the schema', () => {
+  expect(decisionOf({ prediction: 'Normal', confidence: 0.9 })).toBe('normal');
+  expect(decisionOf({ prediction: 'Pneumonia', confidence: 0.9 })).toBe('pneumonia');
+  expect(decisionOf({ decision: 'inconclusive' })).toBe('inconclusive');
+});
+
+test('builds the provider selected in settings', () => {
+  expect(getProvider({ ...DEFAULT_SETTINGS, provider: 'mock' }).id).toBe('mock');
+  expect(getProvider({ ...DEFAULT_SETTINGS, provider: 'rest' }).id).toBe('rest');
+  expect(() => getProvider({ ...DEFAULT_SETTINGS, provider: 'nope' })).toThrow(/Unknown inference provider/);
+});
+
+test('resolves a REST heatmap path against the backend, not the app', async () => {
+  const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({
+    ok: true,
+    json: async () => ({ prediction: 'Pneumonia', confidence: 0.9, heatmap: '/static/cam.png' })
+  });
+  const provider = getProvider({ ...DEFAULT_SETTINGS, provider: 'rest', restUrl: 'http://localhost:5001/api/predict' });
+  const result = await provider.predict(new File(['x'], 'xray.jpg', { type: 'image/jpeg' }));
+  expect(result.heatmap).toBe('http://localhost:5001/static/cam.png');
+  fetchMock.mockRestore();
+});
+
+test('mock provider answers from fixtures by file name', async () => {
+  const provider = createMockProvider({ id: 'mock', latency: 0 });
+  const result = await provider.predict(new File(['x'], 'normal.jpeg', { type: 'image/jpeg' }));
+  expect(result).toMatchObject({ decision: 'normal', prediction: 'Normal', provider: 'mock' });
+  expect(result.confidence).toBeCloseTo(0.9412);
+});
+
+test('maps the sigmoid output onto the metadata labels', () => {
+  const probabilities = sigmoidProbabilities(0.2, ['Normal', 'Pneumonia']);
+  expect(probabilities.Pneumonia).toBe(0.2);
+  expect(probabilities.Normal).toBeCloseTo(0.8);
+});
+
+test('reads negated findings as normal', () => {
+  ['No pneumonia', 'NON-PNEUMONIA', 'Negative for pneumonia', 'no signs of pneumonia', 'Not abnormal'].forEach((label) => {
+    expect(classForLabel(label)).toBe('normal');
+  });
+  ['Pneumonia', 'Bacterial pneumonia', 'Abnormal', 'Not normal'].forEach((label) => {
+    expect(classForLabel(label)).toBe('pneumonia');
+  });
+  expect(classForLabel('Normal')).toBe('normal');
+  expect(normalizeResult({ label: 'No pneumonia', confidence: 0.9 }, 'rest')).toMatchObject({ decision: 'normal', prediction: 'Normal' });
+});
+
+test('reports where each provider runs', () => {
+  expect(providerMode('local')).toBe('on-device');
+  expect(providerMode('gradio-space')).toBe('remote');
+  expect(providerMode('mock')).toBe('mock');
+});
+
+test('offers the on-device provider only once a converted model is deployed', () => {
+  const ids = (settings) => availableProviders(settings).map(([id]) => id);
+  expect(ids({ ...DEFAULT_SETTINGS, localModelUrl: '' })).not.toContain('local');
+  expect(ids({ ...DEFAULT_SETTINGS, localModelUrl: '/models/pneumonia-cnn' })).toContain('local');
+  expect(ids({ ...DEFAULT_SETTINGS, localModelUrl: '' })).toEqual(['gradio-space', 'gradio-url', 'rest', 'mock']);
+});
+
+test('normalizes optional heatmaps into image URLs', () => {
+  const withHeatmap = (heatmap) => normalizeResult({ label: 'Pneumonia', confidence: 0.9, heatmap }, 'rest').heatmap;
+  expect(withHeatmap('iVBORw0KGgo=')).toBe('data:image/png;base64,iVBORw0KGgo=');
+  expect(withHeatmap('https://example.com/cam.png')).toBe('https://example.com/cam.png');
+  expect(withHeatmap({ url: '/file=cam.png', path: 'cam.png' })).toBe('/file=cam.png');
+  expect(withHeatmap(null)).toBeUndefined();
+});
+
+test('resolves backend-relative heatmap paths against the backend root', () => {
+  const withHeatmap = (heatmap) => normalizeResult({ label: 'Pneumonia', confidence: 0.9, heatmap }, 'gradio-url', { baseUrl: 'https://user-space.hf.space/' }).heatmap;
+  expect(withHeatmap('/gradio_api/file=/tmp/cam.png')).toBe('https://user-space.hf.space/gradio_api/file=/tmp/cam.png');
+  expect(withHeatmap({ url: '/file=cam.png', path: 'cam.png' })).toBe('https://user-space.hf.space/file=cam.png');
+  expect(withHeatmap({ url: 'https://cdn.example.com/cam.png', path: 'cam.png' })).toBe('https://cdn.example.com/cam.png');
+  expect(withHeatmap('iVBORw0KGgo=')).toBe('data:image/png;base64,iVBORw0KGgo=');
+});
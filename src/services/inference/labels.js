@@ -0,0 +1,16 @@
+// Canonical class for a backend label, shared by the app (normalize.js) and the Node scripts
+// (scripts/compare-local-remote.js), so it stays CommonJS with no imports.
+
+// Canonical class id for a backend label ("PNEUMONIA", "Bacterial pneumonia", "healthy", ...), or null
+// Negated findings ("No pneumonia", "non-pneumonia", "negative for pneumonia", "not normal") are
+// checked first, as they contain the other class's keyword.
+const classForLabel = (label) => {
+  const text = String(label ?? '').toLowerCase();
+  if (/\b(no|not|non|without|negative for)[\s-]+(\w+\s+of\s+)?(pneumonia|abnormal)/.test(text)) return 'normal';
+  if (/\bnot[\s-]+normal/.test(text)) return 'pneumonia';
+  if (/pneumonia|positive|abnormal/.test(text)) return 'pneumonia';
+  if (/normal|healthy|negative/.test(text)) return 'normal';
+  return null;
+};
+
+module.exports = { classForLabel };
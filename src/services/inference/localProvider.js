@@ -0,0 +1,104 @@
+// On-device provider - runs the converted Keras CNN with TensorFlow.js on the CPU
+// The image never leaves the browser. Model files live in public/models/<name>/
+// (model.json + weight shards from tensorflowjs_converter, plus metadata.json).
+import { normalizeResult } from './normalize';
+import { loadImage, toGrayscalePixels, grayToCanvas } from '../../utils/image';
+
+// Loaded models, keyed by base URL, so the weights are only fetched once per session
+const modelCache = new Map();
+
+// Load TensorFlow.js on demand so it stays out of the main bundle
+const loadTf = async () => {
+  const tf = await import('@tensorflow/tfjs');
+  if (tf.getBackend() !== 'cpu') await tf.setBackend('cpu');
+  await tf.ready();
+  return tf;
+};
+
+// Fetch the model metadata and weights for a base URL
+const loadModel = (baseUrl) => {
+  if (!modelCache.has(baseUrl)) {
+    const pending = (async () => {
+      const tf = await loadTf();
+      const response = await fetch(`${baseUrl}/metadata.json`);
+      if (!response.ok) throw new Error(`On-device model metadata not found at ${baseUrl}`);
+      const metadata = await response.json();
+      const model = await tf.loadLayersModel(`${baseUrl}/model.json`);
+      return { tf, model, metadata };
+    })();
+    // Forget failed loads so a later attempt can retry
+    pending.catch(() => modelCache.delete(baseUrl));
+    modelCache.set(baseUrl, pending);
+  }
+  return modelCache.get(baseUrl);
+};
+
+// Turn the model's single sigmoid output into per-class probabilities keyed by label
+// metadata.labels[1] is the class the sigmoid output measures, labels[0] its complement
+export const sigmoidProbabilities = (probability, labels) => ({
+  [labels[0]]: 1 - probability,
+  [labels[1]]: probability
+});
+
+// Grad-CAM for the predicted class: weight the last convolutional feature maps by the mean
+// gradient of the class score and keep the positive part. Returns a grayscale PNG data URL
+// at the feature map resolution, or null when the model has no convolutional layer.
+const gradCam = (tf, model, input, positive) => {
+  const layers = model.layers;
+  const convIndex = layers.map((layer) => layer.getClassName()).lastIndexOf('Conv2D');
+  if (convIndex < 0) return null;
+
+  const { values, width, height } = tf.tidy(() => {
+    const features = layers.slice(0, convIndex + 1).reduce((x, layer) => layer.apply(x), input);
+    const head = (x) => layers.slice(convIndex + 1).reduce((y, layer) => layer.apply(y), x);
+    // Score of the predicted class: the sigmoid output, or its complement
+    const score = (x) => (positive ? head(x).sum() : tf.sub(1, head(x)).sum());
+
+    const grads = tf.grad(score)(features);
+    const weights = grads.mean([0, 1, 2]);
+    const cam = features.mul(weights).sum(-1).relu().squeeze();
+    const max = cam.max().dataSync()[0] || 1;
+    const [h, w] = cam.shape;
+    return { values: cam.div(max).mul(255).dataSync(), width: w, height: h };
+  });
+
+  return grayToCanvas(Uint8ClampedArray.from(values), width, height).toDataURL('image/png');
+};
+
+export const createLocalProvider = ({ id, modelUrl }) => ({
+  id,
+  label: 'On-device (TensorFlow.js)',
+
+  predict: async (image) => {
+    const { tf, model, metadata } = await loadModel(modelUrl);
+    const [width, height] = metadata.inputSize;
+
+    const img = await loadImage(image);
+    const pixels = toGrayscalePixels(img, width, height);
+
+    // Same scaling as training: [1, height, width, 1] with values in 0-1
+    const input = tf.tensor4d(Float32Array.from(pixels, (v) => v / 255), [1, height, width, 1]);
+    try {
+      const probability = tf.tidy(() => model.predict(input).dataSync()[0]);
+      const probabilities = sigmoidProbabilities(probability, metadata.labels);
+
+      // The heatmap is optional - a failure here should not lose the prediction, so it is
+      // reported on the result as heatmapError instead
+      let heatmap = null;
+      let heatmapError = null;
+      try {
+        heatmap = gradCam(tf, model, input, probability >= 0.5);
+      } catch (err) {
+        heatmapError = err.message || 'Grad-CAM failed';
+      }
+
+      return {
+        ...normalizeResult({ probabilities, heatmap }, id),
+        modelVersion: metadata.version,
+        ...(heatmapError ? { heatmapError } : {})
+      };
+    } finally {
+      input.dispose();
+    }
+  }
+});
@@ -0,0 +1,29 @@
+// Mock provider - answers from local fixtures, for demos and development without a backend
+import { normalizeResult } from './normalize';
+import { fixtureFor } from './fixtures';
+
+const MOCK_LATENCY_MS = 600;
+
+// Resolve after ms, or reject early if the signal aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new Error('Prediction cancelled'));
+  });
+});
+
+// model selects the registered model's fixtures (./models); omitted for the custom CNN
+export const createMockProvider = ({ id, scenario = 'auto', model, latency = MOCK_LATENCY_MS }) => ({
+  id,
+  label: `Mock (${scenario})`,
+
+  predict: async (image, { signal } = {}) => {
+    await wait(latency, signal);
+
+    if (scenario === 'error') throw new Error('Mock provider error scenario');
+
+    const fixture = fixtureFor(scenario, image, model);
+    return normalizeResult({ label: fixture.data[0], confidence: fixture.data[1] }, id);
+  }
+});
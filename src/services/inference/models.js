@@ -0,0 +1,43 @@
+// Registered models the Detection section can run on an image
+// Every model is served by the configured provider. The deployed backends serve the custom CNN
+// only; a second model is answered by the mock provider's fixtures so the ensemble can be
+// developed and tested. Add a provider to a model's list once its backend advertises an endpoint
+// for it (and the model has a card). settingsFor() turns an entry into the settings predict() runs it with.
+
+// Registered models, keyed by the ids stored in settings.models
+// providers lists where the model is available; configure(settings) points them at it
+export const MODELS = {
+  cnn: {
+    label: 'Custom CNN',
+    description: 'VGG-inspired CNN trained from scratch on 150×150 grayscale X-rays',
+    providers: ['gradio-space', 'gradio-url', 'rest', 'local', 'mock'],
+    configure: (settings) => settings
+  },
+  vgg16: {
+    label: 'VGG16',
+    description: 'Mock fixtures only - no backend serves this model yet',
+    providers: ['mock'],
+    configure: (settings) => ({ ...settings, model: 'vgg16' })
+  }
+};
+
+// Model of the backend's default endpoint, run when nothing else is selected
+export const DEFAULT_MODEL = 'cnn';
+
+// Whether a model can run with the configured provider
+export const isAvailable = (id, settings) => Boolean(MODELS[id]?.providers.includes(settings.provider));
+
+// Ids of the selected models that can run with the configured provider, in registry order
+// settings.models is a comma-separated list; falls back to the default model.
+export const selectedModels = (settings) => {
+  const requested = String(settings.models || '').split(',').map((id) => id.trim());
+  const ids = Object.keys(MODELS).filter((id) => requested.includes(id) && isAvailable(id, settings));
+  return ids.length ? ids : [DEFAULT_MODEL];
+};
+
+// Settings that run one model through the configured provider
+export const settingsFor = (id, settings) => {
+  const entry = MODELS[id];
+  if (!entry) throw new Error(`Unknown model "${id}"`);
+  return entry.configure(settings);
+};
@@ -0,0 +1,153 @@
+// Normalized prediction result shared by every inference provider
+// The results panel only ever sees this versioned shape:
+// {
+//   schemaVersion,                      // RESULT_SCHEMA_VERSION
+//   decision,                           // 'normal' | 'pneumonia' | 'inconclusive'
+//   prediction,                         // Display label for the decision
+//   confidence,                         // Probability of the decided class (0-1), null if unknown
+//   probabilities,                      // { normal, pneumonia } summing to 1, null for label-only backends
+//   threshold, inconclusiveBand,        // Pneumonia probability cut-off and [low, high) review band used
+//   provider, heatmap?
+// }
+// heatmap is an optional grayscale saliency image URL (white = most influence on the prediction)
+import { PredictionError, ERROR_CODES } from './errors';
+import { classForLabel } from './labels';
+
+export const RESULT_SCHEMA_VERSION = 1;
+
+// Classes the model distinguishes, keyed by canonical id
+export const CLASS_LABELS = {
+  normal: 'Normal',
+  pneumonia: 'Pneumonia'
+};
+
+// Label shown for results inside the review band
+export const INCONCLUSIVE_LABEL = 'Inconclusive – needs review';
+
+// Default decision rule: pneumonia at or above 50%, no review band
+export const DEFAULT_DECISION = { threshold: 0.5, margin: 0 };
+
+const malformed = (detail) => new PredictionError(ERROR_CODES.MALFORMED, { detail });
+
+// Accept confidence as a 0-1 fraction or a 0-100 percentage and clamp to 0-1
+const toFraction = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : Number(value);
+  if (!Number.isFinite(number)) return null;
+  const fraction = number > 1 ? number / 100 : number;
+  return Math.min(Math.max(fraction, 0), 1);
+};
+
+export { classForLabel };
+
+// Accept a heatmap as a URL, a data URL, bare base64 PNG data or a Gradio FileData object
+// Backend-relative paths (Gradio's /file=... URLs) are resolved against baseUrl when it is given,
+// as the page is served from a different origin than the backend.
+export const toHeatmapUrl = (value, baseUrl) => {
+  if (!value) return null;
+  const url = typeof value === 'object' ? value.url : value;
+  if (typeof url !== 'string' || !url) return null;
+  if (url.startsWith('/')) return baseUrl ? `${baseUrl.replace(/\/+$/, '')}${url}` : url;
+  if (typeof value === 'object' || /^(data:|https?:|blob:)/.test(url)) return url;
+  return `data:image/png;base64,${url}`;
+};
+
+// Per-class probabilities from { label: probability } or a Gradio Label output's
+// [{ label, confidence }] list; missing binary classes are filled in, drift is renormalized
+export const toProbabilities = (value) => {
+  const entries = Array.isArray(value)
+    ? value.map((item) => [item.label, item.confidence])
+    : Object.entries(value);
+
+  const probabilities = {};
+  for (const [label, raw] of entries) {
+    const id = classForLabel(label);
+    const probability = toFraction(raw);
+    if (!id || probability === null) throw malformed(`Unexpected class probability ${label}: ${raw}`);
+    probabilities[id] = probability;
+  }
+
+  const ids = Object.keys(CLASS_LABELS);
+  const known = ids.filter((id) => probabilities[id] !== undefined);
+  if (!known.length) throw malformed('Prediction response contained no class probabilities');
+  if (known.length === 1) {
+    const [other] = ids.filter((id) => id !== known[0]);
+    probabilities[other] = 1 - probabilities[known[0]];
+  }
+
+  const total = ids.reduce((sum, id) => sum + probabilities[id], 0);
+  if (!total || Math.abs(total - 1) > 0.05) throw malformed(`Class probabilities sum to ${total}`);
+  return Object.fromEntries(ids.map((id) => [id, probabilities[id] / total]));
+};
+
+// Pneumonia probabilities in [low, high) are inconclusive
+export const inconclusiveBand = ({ threshold, margin }) => [
+  Math.max(threshold - margin, 0),
+  Math.min(threshold + margin, 1)
+];
+
+// Decide a result from its probabilities with the given threshold and review margin
+// Label-only results (no probabilities) keep the backend's decision.
+export const applyDecision = (result, rule = DEFAULT_DECISION) => {
+  if (!result.probabilities) return result;
+
+  const threshold = Number(rule.threshold);
+  const margin = Number(rule.margin) || 0;
+  const band = inconclusiveBand({ threshold, margin });
+  const p = result.probabilities.pneumonia;
+
+  let decision = p >= threshold ? 'pneumonia' : 'normal';
+  if (margin > 0 && p >= band[0] && p < band[1]) decision = 'inconclusive';
+
+  return {
+    ...result,
+    decision,
+    prediction: decision === 'inconclusive' ? INCONCLUSIVE_LABEL : CLASS_LABELS[decision],
+    confidence: decision === 'inconclusive'
+      ? Math.max(result.probabilities.normal, p)
+      : result.probabilities[decision],
+    threshold,
+    inconclusiveBand: margin > 0 ? band : null
+  };
+};
+
+// Build a result from a provider's raw output
+// Accepts probabilities ({ label: p } or Gradio's [{ label, confidence }]), a Gradio Label output
+// object as `label`, or a plain label with the confidence of that label. baseUrl is the backend's
+// root, for heatmaps returned as relative paths.
+export const normalizeResult = ({ label, confidence, probabilities, heatmap }, provider, { baseUrl } = {}) => {
+  if (label && typeof label === 'object') {
+    ({ label, confidences: probabilities = probabilities } = label);
+  }
+  if ((label === undefined || label === null || label === '') && !probabilities) {
+    throw malformed('Prediction response did not contain a label');
+  }
+
+  const heatmapUrl = toHeatmapUrl(heatmap, baseUrl);
+  const base = { schemaVersion: RESULT_SCHEMA_VERSION, provider, ...(heatmapUrl ? { heatmap: heatmapUrl } : {}) };
+
+  if (probabilities) {
+    return applyDecision({ ...base, probabilities: toProbabilities(probabilities) });
+  }
+
+  const decision = classForLabel(label);
+  const fraction = toFraction(confidence);
+  if (decision && fraction !== null) {
+    // A binary label + confidence pair is enough to recover both probabilities
+    const other = decision === 'normal' ? 'pneumonia' : 'normal';
+    return applyDecision({ ...base, probabilities: { [decision]: fraction, [other]: 1 - fraction } });
+  }
+  if (!decision) throw malformed(`Unknown class label "${label}"`);
+
+  return {
+    ...base,
+    decision,
+    prediction: CLASS_LABELS[decision],
+    confidence: fraction,
+    probabilities: null,
+    threshold: null,
+    inconclusiveBand: null
+  };
+};
+
+// Decision for any stored result, including ones saved before the schema was versioned
+export const decisionOf = (result) => result?.decision || classForLabel(result?.prediction) || 'inconclusive';
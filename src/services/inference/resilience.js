@@ -0,0 +1,63 @@
+// Timeout, retry and cancellation wrappers for prediction requests
+import { PredictionError, ERROR_CODES, classifyError } from './errors';
+
+// Reject as soon as the signal aborts, even if the underlying work cannot be stopped
+// (e.g. a Gradio call or on-device inference); its late result is then ignored.
+export const abortable = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new PredictionError(ERROR_CODES.CANCELLED));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new PredictionError(ERROR_CODES.CANCELLED));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+// Run fn(signal) with a time limit; the signal aborts on timeout or when the parent signal aborts
+export const withTimeout = (fn, ms, parentSignal) => {
+  const controller = new AbortController();
+  const abortFromParent = () => controller.abort();
+  parentSignal?.addEventListener('abort', abortFromParent, { once: true });
+
+  let timedOut = false;
+  const timer = ms > 0 ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, ms) : null;
+
+  return abortable(Promise.resolve().then(() => fn(controller.signal)), controller.signal)
+    .catch((err) => {
+      throw timedOut ? new PredictionError(ERROR_CODES.TIMEOUT, { cause: err }) : classifyError(err);
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', abortFromParent);
+    });
+};
+
+// Resolve after ms unless the signal aborts first
+const sleep = (ms, signal) => abortable(new Promise((resolve) => setTimeout(resolve, ms)), signal);
+
+// Delay before retry number `attempt` (1-based): exponential backoff, longer for a waking backend
+export const backoffDelay = (attempt, code, baseDelay = 2000) => {
+  const base = code === ERROR_CODES.COLD_START ? baseDelay * 2.5 : baseDelay;
+  return Math.min(base * 2 ** (attempt - 1), 30000);
+};
+
+// Run fn(signal), retrying retryable failures up to `retries` times
+// onRetry({ attempt, retries, delay, error }) is called before each wait.
+export const withRetry = async (fn, { retries = 2, baseDelay = 2000, signal, onRetry } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(signal);
+    } catch (err) {
+      const error = classifyError(err);
+      if (signal?.aborted) throw new PredictionError(ERROR_CODES.CANCELLED, { cause: err });
+      if (!error.retryable || attempt >= retries) throw error;
+
+      const delay = backoffDelay(attempt + 1, error.code, baseDelay);
+      onRetry?.({ attempt: attempt + 1, retries, delay, error });
+      await sleep(delay, signal);
+    }
+  }
+};
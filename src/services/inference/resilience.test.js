@@ -0,0 +1,62 @@
+import { PredictionError, ERROR_CODES, classifyError, codeForStatus } from './errors';
+import { withTimeout, withRetry, backoffDelay } from './resilience';
+
+test('classifies transport failures into error categories', () => {
+  expect(classifyError(new TypeError('Failed to fetch')).code).toBe(ERROR_CODES.CONNECTION);
+  expect(classifyError(new Error('Space is sleeping')).code).toBe(ERROR_CODES.COLD_START);
+  expect(classifyError(new Error('Queue is full')).code).toBe(ERROR_CODES.QUEUE_FULL);
+  expect(classifyError(Object.assign(new Error('x'), { name: 'AbortError' })).code).toBe(ERROR_CODES.CANCELLED);
+  expect(classifyError(new Error('boom')).code).toBe(ERROR_CODES.UNKNOWN);
+  expect(codeForStatus(429)).toBe(ERROR_CODES.QUEUE_FULL);
+  expect(codeForStatus(503)).toBe(ERROR_CODES.COLD_START);
+  expect(codeForStatus(415)).toBe(ERROR_CODES.REJECTED);
+});
+
+test('only transient errors are retryable', () => {
+  expect(new PredictionError(ERROR_CODES.TIMEOUT).retryable).toBe(true);
+  expect(new PredictionError(ERROR_CODES.MALFORMED).retryable).toBe(false);
+  expect(new PredictionError(ERROR_CODES.CANCELLED).retryable).toBe(false);
+});
+
+test('times out slow attempts and aborts their signal', async () => {
+  let attemptSignal;
+  const slow = (signal) => {
+    attemptSignal = signal;
+    return new Promise(() => {});
+  };
+  await expect(withTimeout(slow, 10)).rejects.toMatchObject({ code: ERROR_CODES.TIMEOUT });
+  expect(attemptSignal.aborted).toBe(true);
+});
+
+test('retries transient failures with backoff and reports each retry', async () => {
+  const fn = jest.fn()
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce('ok');
+  const onRetry = jest.fn();
+
+  await expect(withRetry(fn, { retries: 2, baseDelay: 1, onRetry })).resolves.toBe('ok');
+  expect(fn).toHaveBeenCalledTimes(2);
+  expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, retries: 2, delay: 1 }));
+});
+
+test('does not retry permanent failures', async () => {
+  const fn = jest.fn().mockRejectedValue(new PredictionError(ERROR_CODES.REJECTED));
+  await expect(withRetry(fn, { retries: 3, baseDelay: 1 })).rejects.toMatchObject({ code: ERROR_CODES.REJECTED });
+  expect(fn).toHaveBeenCalledTimes(1);
+});
+
+test('cancelling stops a pending retry', async () => {
+  const controller = new AbortController();
+  const fn = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  const run = withRetry(fn, { retries: 3, baseDelay: 1000, signal: controller.signal });
+  setTimeout(() => controller.abort(), 10);
+  await expect(run).rejects.toMatchObject({ code: ERROR_CODES.CANCELLED });
+  expect(fn).toHaveBeenCalledTimes(1);
+});
+
+test('backs off exponentially and waits longer for a cold start', () => {
+  expect(backoffDelay(1, ERROR_CODES.CONNECTION)).toBe(2000);
+  expect(backoffDelay(3, ERROR_CODES.CONNECTION)).toBe(8000);
+  expect(backoffDelay(1, ERROR_CODES.COLD_START)).toBe(5000);
+  expect(backoffDelay(10, ERROR_CODES.COLD_START)).toBe(30000);
+});
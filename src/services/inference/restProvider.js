@@ -0,0 +1,37 @@
+// REST provider - posts the image as multipart form data to a plain HTTP endpoint
+// Expects a JSON body of { prediction | label, confidence, heatmap? }, as returned by the Flask backend
+import { normalizeResult } from './normalize';
+import { PredictionError, ERROR_CODES, codeForStatus } from './errors';
+import { anonymousUpload } from '../../utils/image';
+
+export const createRestProvider = ({ id, url }) => ({
+  id,
+  label: `REST (${url})`,
+
+  predict: async (image, { signal } = {}) => {
+    if (!url) throw new Error('No REST endpoint configured');
+
+    const formData = new FormData();
+    formData.append('image', anonymousUpload(image));
+
+    const response = await fetch(url, { method: 'POST', body: formData, signal });
+    if (!response.ok) {
+      throw new PredictionError(codeForStatus(response.status), {
+        detail: `Prediction request failed with status ${response.status}`
+      });
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (err) {
+      throw new PredictionError(ERROR_CODES.MALFORMED, { cause: err });
+    }
+    // A relative heatmap path (e.g. /static/cam.png) is served by the backend, not by this app
+    return normalizeResult(
+      { label: data.prediction ?? data.label, confidence: data.confidence, heatmap: data.heatmap },
+      id,
+      { baseUrl: new URL(url, window.location.href).origin }
+    );
+  }
+});
@@ -0,0 +1,203 @@
+// File intake - the one place that decides whether a selected or dropped file can be analysed
+// Files are identified by their signature (magic bytes), not by the browser-reported MIME type,
+// checked against size and dimension limits, and re-encoded from their decoded pixels so no
+// metadata (EXIF, XMP, text chunks, DICOM headers) can leave the browser with the image.
+import { isDicomFile, convertDicom } from './dicom';
+import { loadImage, canvasToBlob, withExtension } from '../utils/image';
+
+// Formats we can take in, with the label used in messages
+export const FORMATS = {
+  jpeg: 'JPEG',
+  png: 'PNG',
+  webp: 'WebP',
+  bmp: 'BMP',
+  tiff: 'TIFF',
+  dicom: 'DICOM'
+};
+
+// Formats kept in their own format when re-encoded; everything else becomes a PNG
+const NATIVE_FORMATS = ['jpeg', 'png'];
+
+// Quality for re-encoded JPEGs - high enough that the model sees no difference
+const JPEG_QUALITY = 0.95;
+
+// Build-time limits, see .env.example
+export const INTAKE_LIMITS = {
+  maxFileSize: (Number(process.env.REACT_APP_MAX_FILE_MB) || 50) * 1024 * 1024,
+  minDimension: Number(process.env.REACT_APP_MIN_IMAGE_SIZE) || 128,    // Smallest accepted width/height in pixels
+  maxDimension: Number(process.env.REACT_APP_MAX_IMAGE_SIZE) || 8192
+};
+
+// A file rejected at intake; message is shown to the user as is
+export class IntakeError extends Error {
+  constructor(message, fileName) {
+    super(message);
+    this.name = 'IntakeError';
+    this.fileName = fileName;
+  }
+}
+
+const startsWith = (bytes, signature, offset = 0) => signature.every((byte, i) => bytes[offset + i] === byte);
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Identify a file format from its first bytes (at least 132 for DICOM), or null if unknown
+export const detectFormat = (bytes) => {
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) return 'webp';
+  if (startsWith(bytes, ascii('BM'))) return 'bmp';
+  if (startsWith(bytes, [0x49, 0x49, 0x2a, 0x00]) || startsWith(bytes, [0x4d, 0x4d, 0x00, 0x2a])) return 'tiff';
+  if (startsWith(bytes, ascii('DICM'), 128)) return 'dicom';
+  return null;
+};
+
+// JPEG APPn/COM segments and PNG chunks that carry metadata, with the name shown to the user
+const JPEG_METADATA = { 0xe1: 'EXIF/XMP', 0xed: 'IPTC', 0xe2: 'ICC profile', 0xfe: 'Comment' };
+const PNG_METADATA = { tEXt: 'Text', zTXt: 'Text', iTXt: 'Text', eXIf: 'EXIF', tIME: 'Timestamp', iCCP: 'ICC profile' };
+
+const readAscii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+// Kinds of metadata present in a JPEG or PNG file, e.g. ['EXIF', 'Text'] - reported to the user
+// when it is stripped. Other formats always lose their metadata in conversion and return [].
+export const findMetadata = (bytes, format) => {
+  const found = new Set();
+  if (format === 'jpeg') {
+    // Walk the marker segments up to the start of the image data
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      if (marker === 0xda || marker === 0xd9) break;
+      const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+      if (marker === 0xe1) {
+        found.add(readAscii(bytes, offset + 4, 4) === 'Exif' ? 'EXIF' : 'XMP');
+      } else if (JPEG_METADATA[marker]) {
+        found.add(JPEG_METADATA[marker]);
+      }
+      offset += 2 + length;
+    }
+  } else if (format === 'png') {
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+      const length = ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+      const type = readAscii(bytes, offset + 4, 4);
+      if (type === 'IEND') break;
+      if (PNG_METADATA[type]) found.add(PNG_METADATA[type]);
+      offset += 12 + length;
+    }
+  }
+  return [...found];
+};
+
+// "12.3 MB" style size
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Reason a file of this size is rejected, or null
+export const checkFileSize = (size, limits = INTAKE_LIMITS) => {
+  if (!size) return 'The file is empty.';
+  if (size > limits.maxFileSize) {
+    return `The file is ${formatBytes(size)}; the maximum is ${formatBytes(limits.maxFileSize)}.`;
+  }
+  return null;
+};
+
+// Reason an image of these dimensions is rejected, or null
+export const checkDimensions = ({ width, height }, limits = INTAKE_LIMITS) => {
+  if (Math.min(width, height) < limits.minDimension) {
+    return `The image is ${width}×${height} pixels; X-rays need at least ${limits.minDimension} pixels on each side.`;
+  }
+  if (Math.max(width, height) > limits.maxDimension) {
+    return `The image is ${width}×${height} pixels; the maximum is ${limits.maxDimension} pixels on each side.`;
+  }
+  return null;
+};
+
+// Size and signature checks that need only the file header
+// Resolves to the detected format, rejects with an IntakeError.
+export const validateFile = async (file, limits = INTAKE_LIMITS) => {
+  const sizeProblem = checkFileSize(file.size, limits);
+  if (sizeProblem) throw new IntakeError(sizeProblem, file.name);
+
+  // DICOM files without the 128-byte preamble are recognised by extension only
+  const header = new Uint8Array(await file.slice(0, 132).arrayBuffer());
+  const format = detectFormat(header) || (isDicomFile(file) ? 'dicom' : null);
+  if (!format) {
+    throw new IntakeError(
+      `Not a supported image. Use ${Object.values(FORMATS).join(', ')}.`,
+      file.name
+    );
+  }
+  return format;
+};
+
+// Paint decoded RGBA pixels onto a canvas and encode it as a PNG file
+const rgbaToPng = async (rgba, width, height, name) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(rgba), width, height), 0, 0);
+  const blob = await canvasToBlob(canvas);
+  return new File([blob], withExtension(name, 'png'), { type: 'image/png' });
+};
+
+// Decode the first page of a TIFF (no browser but Safari can show TIFF natively)
+const convertTiff = async (file) => {
+  // Loaded on demand so the decoder stays out of the main bundle
+  const { default: UTIF } = await import('utif');
+  const buffer = await file.arrayBuffer();
+  const [page] = UTIF.decode(buffer);
+  if (!page) throw new IntakeError('The TIFF file contains no image.', file.name);
+  UTIF.decodeImage(buffer, page);
+  return rgbaToPng(UTIF.toRGBA8(page), page.width, page.height, file.name);
+};
+
+// Re-encode an image the browser can decode from its pixels, which drops all metadata
+// JPEGs stay JPEG (EXIF orientation is applied by the browser when drawing), the rest become PNG.
+const reencode = async (file, format) => {
+  const img = await loadImage(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  canvas.getContext('2d').drawImage(img, 0, 0);
+  const type = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+  const blob = await canvasToBlob(canvas, type, JPEG_QUALITY);
+  const name = NATIVE_FORMATS.includes(format) ? file.name : withExtension(file.name, 'png');
+  return new File([blob], name, { type });
+};
+
+// Validate a file and turn it into a metadata-free image the app can preview and analyse
+// Resolves to { file, format, tags? (DICOM header, kept in the browser), metadata, width, height }
+// where metadata lists the kinds of metadata that were stripped; rejects with an IntakeError.
+export const intakeFile = async (file, limits = INTAKE_LIMITS) => {
+  const format = await validateFile(file, limits);
+
+  let image;
+  let tags;
+  let metadata = [];
+  try {
+    if (format === 'dicom') ({ file: image, tags } = await convertDicom(file));
+    else if (format === 'tiff') image = await convertTiff(file);
+    else {
+      if (NATIVE_FORMATS.includes(format)) metadata = findMetadata(new Uint8Array(await file.arrayBuffer()), format);
+      image = await reencode(file, format);
+    }
+  } catch (err) {
+    if (err instanceof IntakeError) throw err;
+    throw new IntakeError(`Could not read this ${FORMATS[format]} file (${err.message}).`, file.name);
+  }
+
+  let img;
+  try {
+    img = await loadImage(image);
+  } catch (err) {
+    throw new IntakeError(`The ${FORMATS[format]} file is damaged or could not be decoded.`, file.name);
+  }
+  const dimensions = { width: img.naturalWidth, height: img.naturalHeight };
+  const dimensionProblem = checkDimensions(dimensions, limits);
+  if (dimensionProblem) throw new IntakeError(dimensionProblem, file.name);
+
+  return { file: image, format, tags, metadata, ...dimensions };
+};
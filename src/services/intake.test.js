@@ -0,0 +1,63 @@
+import { detectFormat, checkFileSize, checkDimensions, formatBytes, findMetadata } from './intake';
+
+const bytes = (...parts) => Uint8Array.from(parts.flatMap((part) => (
+  typeof part === 'string' ? [...part].map((char) => char.charCodeAt(0)) : part
+)));
+
+test('identifies formats by their signature', () => {
+  expect(detectFormat(bytes([0xff, 0xd8, 0xff, 0xe0]))).toBe('jpeg');
+  expect(detectFormat(bytes([0x89], 'PNG', [0x0d, 0x0a, 0x1a, 0x0a]))).toBe('png');
+  expect(detectFormat(bytes('RIFF', [0, 0, 0, 0], 'WEBP'))).toBe('webp');
+  expect(detectFormat(bytes('BM', [0, 0]))).toBe('bmp');
+  expect(detectFormat(bytes('II', [0x2a, 0]))).toBe('tiff');
+  expect(detectFormat(bytes('MM', [0, 0x2a]))).toBe('tiff');
+  expect(detectFormat(bytes(new Array(128).fill(0), 'DICM'))).toBe('dicom');
+});
+
+test('rejects unknown signatures whatever the file is called', () => {
+  expect(detectFormat(bytes('%PDF-1.7'))).toBeNull();
+  expect(detectFormat(bytes('GIF89a'))).toBeNull();
+  expect(detectFormat(new Uint8Array(0))).toBeNull();
+});
+
+const limits = { maxFileSize: 1024 * 1024, minDimension: 128, maxDimension: 4096 };
+
+test('enforces the file size limit', () => {
+  expect(checkFileSize(0, limits)).toMatch(/empty/);
+  expect(checkFileSize(2 * 1024 * 1024, limits)).toBe('The file is 2.0 MB; the maximum is 1.0 MB.');
+  expect(checkFileSize(500 * 1024, limits)).toBeNull();
+});
+
+test('enforces minimum and maximum dimensions', () => {
+  expect(checkDimensions({ width: 100, height: 400 }, limits)).toMatch(/at least 128 pixels/);
+  expect(checkDimensions({ width: 5000, height: 400 }, limits)).toMatch(/maximum is 4096/);
+  expect(checkDimensions({ width: 1024, height: 1024 }, limits)).toBeNull();
+});
+
+test('formats byte counts for messages', () => {
+  expect(formatBytes(512)).toBe('512 B');
+  expect(formatBytes(2048)).toBe('2 KB');
+  expect(formatBytes(5.5 * 1024 * 1024)).toBe('5.5 MB');
+});
+
+// Minimal JPEG: SOI, the given APPn/COM segments, then start of scan
+const jpeg = (...segments) => bytes(
+  [0xff, 0xd8],
+  ...segments.flatMap(([marker, text]) => [[0xff, marker, 0, text.length + 2], text]),
+  [0xff, 0xda, 0, 2]
+);
+
+// Minimal PNG: signature, the given chunks, then IEND (CRCs are not checked)
+const png = (...types) => bytes(
+  [0x89], 'PNG', [0x0d, 0x0a, 0x1a, 0x0a],
+  ...[...types, 'IEND'].flatMap((type) => [[0, 0, 0, 1], type, [0x41, 0, 0, 0, 0]])
+);
+
+test('finds the metadata that re-encoding strips', () => {
+  expect(findMetadata(jpeg([0xe0, 'JFIF'], [0xe1, 'Exif'], [0xe1, 'http://ns.adobe.com/xap/1.0/'], [0xfe, 'Dr X']), 'jpeg'))
+    .toEqual(['EXIF', 'XMP', 'Comment']);
+  expect(findMetadata(jpeg([0xe0, 'JFIF']), 'jpeg')).toEqual([]);
+  expect(findMetadata(png('IHDR', 'tEXt', 'iTXt', 'tIME', 'IDAT'), 'png')).toEqual(['Text', 'Timestamp']);
+  expect(findMetadata(png('IHDR', 'IDAT'), 'png')).toEqual([]);
+  expect(findMetadata(new Uint8Array(4), 'bmp')).toEqual([]);
+});
@@ -0,0 +1,115 @@
+// Model card - what the Technical Documentation section shows about the model behind the results
+// A backend can serve its own card (settings.modelCardUrl); otherwise the card bundled with the
+// model in public/models/<name>/model-card.json is used. See the README for the format.
+
+export const MODEL_CARD_SCHEMA_VERSION = 1;
+
+// Card shipped with the app, used when the configured card cannot be loaded
+export const BUNDLED_MODEL_CARD_URL = `${process.env.PUBLIC_URL || ''}/models/pneumonia-cnn/model-card.json`;
+
+// Display names for the dataset splits, in display order
+export const SPLIT_LABELS = {
+  train: 'Training',
+  validation: 'Validation',
+  test: 'Test'
+};
+
+// Display names for the evaluation metrics, in display order
+export const METRIC_LABELS = {
+  accuracy: 'Accuracy',
+  precision: 'Precision',
+  recall: 'Recall (sensitivity)',
+  specificity: 'Specificity',
+  f1: 'F1-Score'
+};
+
+// Throw if a card is missing what the Technical section needs
+export const validateModelCard = (card) => {
+  if (!card || typeof card !== 'object') throw new Error('Model card is not a JSON object');
+  if (card.schemaVersion !== MODEL_CARD_SCHEMA_VERSION) {
+    throw new Error(`Unsupported model card schema version ${card.schemaVersion}`);
+  }
+  for (const field of ['name', 'version', 'labels', 'evaluation']) {
+    if (card[field] === undefined || card[field] === null) throw new Error(`Model card has no "${field}"`);
+  }
+  const matrix = card.evaluation.confusionMatrix;
+  if (matrix && !(matrix.length === 2 && matrix.every((row) => row.length === 2 && row.every(Number.isInteger)))) {
+    throw new Error('Model card confusion matrix must be 2x2 counts');
+  }
+  const { predictionsUrl } = card.evaluation;
+  if (predictionsUrl != null && typeof predictionsUrl !== 'string') {
+    throw new Error('Model card evaluation.predictionsUrl must be a URL');
+  }
+  return card;
+};
+
+// Metrics from a binary confusion matrix [[TN, FP], [FN, TP]] (rows = actual, columns = predicted,
+// the second label is the positive class)
+export const metricsFromConfusion = ([[tn, fp], [fn, tp]]) => {
+  const ratio = (a, b) => (b ? a / b : null);
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  return {
+    accuracy: ratio(tp + tn, tp + tn + fp + fn),
+    precision,
+    recall,
+    specificity: ratio(tn, tn + fp),
+    f1: precision !== null && recall !== null ? ratio(2 * precision * recall, precision + recall) : null
+  };
+};
+
+// Evaluation metrics to show: computed from the confusion matrix when the card has one, so they
+// always agree with it, otherwise as reported
+export const cardMetrics = (card) => {
+  const { metrics = {}, confusionMatrix } = card.evaluation;
+  return confusionMatrix ? { ...metrics, ...metricsFromConfusion(confusionMatrix) } : metrics;
+};
+
+// "N out of 100" accuracy figure for the result guide, from the card's evaluation
+// Returns { correct, split, version } or null when the card reports no accuracy.
+export const accuracyFigure = (card) => {
+  const { accuracy } = card ? cardMetrics(card) : {};
+  if (typeof accuracy !== 'number') return null;
+  return { correct: Math.round(accuracy * 100), split: SPLIT_LABELS[card.evaluation.split] || card.evaluation.split, version: card.version };
+};
+
+// Per-split image counts with totals, computed rather than trusted so they always add up
+// Returns { rows: [{ split, label, counts, total }], totals: { [class]: n }, total }
+export const datasetSummary = (card) => {
+  const splits = card.dataset?.splits || {};
+  const rows = Object.keys(SPLIT_LABELS)
+    .filter((split) => splits[split])
+    .map((split) => {
+      const counts = splits[split];
+      return { split, label: SPLIT_LABELS[split], counts, total: Object.values(counts).reduce((a, b) => a + b, 0) };
+    });
+  const totals = Object.fromEntries(card.labels.map((label) => [
+    label,
+    rows.reduce((sum, row) => sum + (row.counts[label] || 0), 0)
+  ]));
+  return { rows, totals, total: rows.reduce((sum, row) => sum + row.total, 0) };
+};
+
+const fetchCard = async (url) => {
+  const response = await fetch(url, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Model card request failed with status ${response.status}`);
+  return validateModelCard(await response.json());
+};
+
+// Load the configured model card, falling back to the bundled one
+// Resolves to { card, url, source: 'backend' | 'bundled', warning? }; url is where the card came from
+export const loadModelCard = async (url = BUNDLED_MODEL_CARD_URL) => {
+  const bundled = { url: BUNDLED_MODEL_CARD_URL, source: 'bundled' };
+  if (!url || url === BUNDLED_MODEL_CARD_URL) {
+    return { card: await fetchCard(BUNDLED_MODEL_CARD_URL), ...bundled };
+  }
+  try {
+    return { card: await fetchCard(url), url, source: 'backend' };
+  } catch (err) {
+    return {
+      card: await fetchCard(BUNDLED_MODEL_CARD_URL),
+      ...bundled,
+      warning: `Could not load the backend's model card (${err.message}); showing the bundled card.`
+    };
+  }
+};
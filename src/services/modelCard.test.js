@@ -0,0 +1,51 @@
+import { validateModelCard, metricsFromConfusion, cardMetrics, accuracyFigure, datasetSummary, loadModelCard, BUNDLED_MODEL_CARD_URL } from './modelCard';
+import bundledCard from '../../public/models/pneumonia-cnn/model-card.json';
+
+test('the bundled model card is valid and its dataset splits add up', () => {
+  expect(validateModelCard(bundledCard)).toBe(bundledCard);
+  const { rows, totals, total } = datasetSummary(bundledCard);
+  expect(rows.map((row) => row.total)).toEqual([5216, 16, 624]);
+  expect(totals).toEqual({ Normal: 1583, Pneumonia: 4273 });
+  expect(total).toBe(5856);
+});
+
+test('rejects cards the Technical section cannot render', () => {
+  expect(() => validateModelCard({ ...bundledCard, schemaVersion: 2 })).toThrow(/schema version/);
+  expect(() => validateModelCard({ ...bundledCard, version: undefined })).toThrow(/"version"/);
+  expect(() => validateModelCard({
+    ...bundledCard,
+    evaluation: { confusionMatrix: [[1, 2, 3], [4, 5, 6]] }
+  })).toThrow(/2x2/);
+});
+
+test('derives metrics from the confusion matrix so they always agree with it', () => {
+  const metrics = metricsFromConfusion([[200, 34], [20, 370]]);
+  expect(metrics.accuracy).toBeCloseTo(570 / 624);
+  expect(metrics.precision).toBeCloseTo(370 / 404);
+  expect(metrics.recall).toBeCloseTo(370 / 390);
+  expect(metrics.specificity).toBeCloseTo(200 / 234);
+
+  const card = { evaluation: { metrics: { accuracy: 0.5 }, confusionMatrix: [[200, 34], [20, 370]] } };
+  expect(cardMetrics(card).accuracy).toBeCloseTo(570 / 624);
+  expect(cardMetrics(bundledCard).accuracy).toBe(0.8736);
+});
+
+test('states the accuracy figure of the result guide from the card', () => {
+  expect(accuracyFigure(bundledCard)).toEqual({ correct: 87, split: 'Test', version: '1.0.0' });
+  const withMatrix = { ...bundledCard, evaluation: { ...bundledCard.evaluation, confusionMatrix: [[40, 10], [5, 45]] } };
+  expect(accuracyFigure(withMatrix).correct).toBe(85);
+  expect(accuracyFigure({ ...bundledCard, evaluation: { split: 'test', metrics: {} } })).toBeNull();
+  expect(accuracyFigure(null)).toBeNull();
+});
+
+test('falls back to the bundled card when the backend card fails', async () => {
+  global.fetch = jest.fn((url) => Promise.resolve(url === BUNDLED_MODEL_CARD_URL
+    ? { ok: true, json: () => Promise.resolve(bundledCard) }
+    : { ok: false, status: 404 }));
+
+  const loaded = await loadModelCard('https://backend.example.com/model-card');
+  expect(loaded.source).toBe('bundled');
+  expect(loaded.card.version).toBe('1.0.0');
+  expect(loaded.warning).toMatch(/404/);
+  delete global.fetch;
+});
@@ -0,0 +1,57 @@
+// Deferred analyses - X-rays submitted while offline, stored locally in IndexedDB until the
+// connection returns. Each entry: { id, file, fileName, groundTruth?, queuedAt }
+import { withStore, promisify } from './db';
+import { providerMode } from './inference';
+import { ERROR_CODES } from './inference/errors';
+
+const STORE = 'pending';
+
+// Whether an analysis with these settings has to wait for a connection
+// On-device and mock providers work offline, so only remote ones are deferred.
+export const shouldDefer = (settings, online = navigator.onLine) => !online && providerMode(settings.provider) === 'remote';
+
+// Whether a failed analysis should be queued rather than reported: the request could not get
+// through and the browser reports being offline
+export const isOfflineFailure = (error, online = navigator.onLine) => !online && error.code === ERROR_CODES.CONNECTION;
+
+// Queue an analysis and resolve with the stored entry
+export const queueAnalysis = (entry) => withStore(STORE, 'readwrite', async (store) => {
+  const record = { ...entry, queuedAt: entry.queuedAt || new Date().toISOString() };
+  const id = await promisify(store.add(record));
+  return { ...record, id };
+});
+
+// Queued analyses, oldest first
+export const listQueued = () => withStore(STORE, 'readonly', (store) => promisify(store.index('queuedAt').getAll()));
+
+export const removeQueued = (id) => withStore(STORE, 'readwrite', (store) => promisify(store.delete(id)));
+
+// Ask once for permission to notify when queued results arrive; resolves to whether it was granted
+export const requestNotifications = async () => {
+  if (typeof Notification === 'undefined') return false;
+  if (Notification.permission === 'default') {
+    try {
+      await Notification.requestPermission();
+    } catch (err) {
+      return false;
+    }
+  }
+  return Notification.permission === 'granted';
+};
+
+// System notification, through the service worker when there is one so it also works when the
+// tab is in the background on mobile. Silently skipped without permission.
+export const notify = async (title, options = {}) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const notification = { icon: `${process.env.PUBLIC_URL || ''}/logo192.png`, ...options };
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification(title, notification);
+      return;
+    }
+    new Notification(title, notification);
+  } catch (err) {
+    console.error('Could not show notification', err);
+  }
+};
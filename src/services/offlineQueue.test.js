@@ -0,0 +1,27 @@
+import 'fake-indexeddb/auto';
+import { queueAnalysis, listQueued, removeQueued, shouldDefer, isOfflineFailure } from './offlineQueue';
+import { PredictionError, ERROR_CODES } from './inference/errors';
+
+test('keeps queued analyses in order until removed', async () => {
+  await queueAnalysis({ file: 'a', fileName: 'a.png', queuedAt: '2024-01-02T00:00:00.000Z' });
+  const first = await queueAnalysis({ file: 'b', fileName: 'b.png', groundTruth: 'normal', queuedAt: '2024-01-01T00:00:00.000Z' });
+  expect(first.id).toBeDefined();
+
+  expect((await listQueued()).map((item) => item.fileName)).toEqual(['b.png', 'a.png']);
+  await removeQueued(first.id);
+  expect((await listQueued()).map((item) => item.fileName)).toEqual(['a.png']);
+});
+
+test('defers only remote analyses while offline', () => {
+  expect(shouldDefer({ provider: 'gradio-space' }, false)).toBe(true);
+  expect(shouldDefer({ provider: 'gradio-space' }, true)).toBe(false);
+  expect(shouldDefer({ provider: 'local' }, false)).toBe(false);
+  expect(shouldDefer({ provider: 'mock' }, false)).toBe(false);
+});
+
+test('queues connection failures only when the browser is offline', () => {
+  const connection = new PredictionError(ERROR_CODES.CONNECTION);
+  expect(isOfflineFailure(connection, false)).toBe(true);
+  expect(isOfflineFailure(connection, true)).toBe(false);
+  expect(isOfflineFailure(new PredictionError(ERROR_CODES.TIMEOUT), false)).toBe(false);
+});
@@ -0,0 +1,159 @@
+// Client-side preprocessing pipeline
+// Turns an uploaded X-ray into exactly what the model consumes: a square grayscale image at the
+// model input size, optionally contrast-enhanced. The processed PNG is what gets sent for prediction.
+import { loadImage, luminance, grayToCanvas, canvasToBlob, withExtension } from '../utils/image';
+
+// How a non-square image is fitted into the square model input
+export const FIT_MODES = {
+  stretch: 'Resize (no crop)',  // Same as the training pipeline's plain resize
+  crop: 'Center crop',
+  letterbox: 'Letterbox'
+};
+
+export const CONTRAST_MODES = {
+  none: 'None',
+  normalize: 'Contrast stretch',
+  clahe: 'CLAHE'
+};
+
+// Source and target rectangles ([x, y, width, height]) for drawing a width x height image into size x size
+export const fitRect = (width, height, size, fit) => {
+  if (fit === 'crop') {
+    const side = Math.min(width, height);
+    return {
+      source: [(width - side) / 2, (height - side) / 2, side, side],
+      target: [0, 0, size, size]
+    };
+  }
+  if (fit === 'letterbox') {
+    const scale = size / Math.max(width, height);
+    const [w, h] = [width * scale, height * scale];
+    return {
+      source: [0, 0, width, height],
+      target: [(size - w) / 2, (size - h) / 2, w, h]
+    };
+  }
+  return { source: [0, 0, width, height], target: [0, 0, size, size] };
+};
+
+// Linear contrast stretch between the 1st and 99th percentile, ignoring outliers such as burnt-in text
+export const normalizeContrast = (pixels, lowPercentile = 0.01, highPercentile = 0.99) => {
+  const histogram = new Uint32Array(256);
+  pixels.forEach((v) => { histogram[v]++; });
+
+  const percentile = (p) => {
+    const target = p * pixels.length;
+    let count = 0;
+    for (let v = 0; v < 256; v++) {
+      count += histogram[v];
+      if (count >= target) return v;
+    }
+    return 255;
+  };
+
+  const low = percentile(lowPercentile);
+  const high = percentile(highPercentile);
+  if (high <= low) return Uint8ClampedArray.from(pixels);
+  return Uint8ClampedArray.from(pixels, (v) => ((v - low) * 255) / (high - low));
+};
+
+// Contrast Limited Adaptive Histogram Equalization
+// Equalizes each tile's histogram (clipped at clipLimit x the mean bin count) and blends
+// neighbouring tile mappings bilinearly to avoid visible tile seams.
+export const clahe = (pixels, width, height, { tiles = 8, clipLimit = 2 } = {}) => {
+  const tileW = Math.ceil(width / tiles);
+  const tileH = Math.ceil(height / tiles);
+  const tilesX = Math.ceil(width / tileW);
+  const tilesY = Math.ceil(height / tileH);
+
+  // Build one 256-entry lookup table per tile
+  const luts = [];
+  for (let ty = 0; ty < tilesY; ty++) {
+    for (let tx = 0; tx < tilesX; tx++) {
+      const histogram = new Float64Array(256);
+      const x1 = Math.min((tx + 1) * tileW, width);
+      const y1 = Math.min((ty + 1) * tileH, height);
+      let count = 0;
+      for (let y = ty * tileH; y < y1; y++) {
+        for (let x = tx * tileW; x < x1; x++) {
+          histogram[pixels[y * width + x]]++;
+          count++;
+        }
+      }
+
+      // Clip the histogram and spread the excess evenly over all bins
+      const limit = Math.max(1, (clipLimit * count) / 256);
+      let excess = 0;
+      for (let v = 0; v < 256; v++) {
+        if (histogram[v] > limit) {
+          excess += histogram[v] - limit;
+          histogram[v] = limit;
+        }
+      }
+      const lut = new Uint8ClampedArray(256);
+      let cdf = 0;
+      for (let v = 0; v < 256; v++) {
+        cdf += histogram[v] + excess / 256;
+        lut[v] = (cdf * 255) / count;
+      }
+      luts.push(lut);
+    }
+  }
+
+  // Interpolate between the four nearest tile centres
+  const out = new Uint8ClampedArray(pixels.length);
+  const clamp = (v, max) => Math.min(Math.max(v, 0), max);
+  for (let y = 0; y < height; y++) {
+    const fy = (y + 0.5) / tileH - 0.5;
+    const ty0 = clamp(Math.floor(fy), tilesY - 1);
+    const ty1 = clamp(ty0 + 1, tilesY - 1);
+    const ay = clamp(fy - ty0, 1);
+    for (let x = 0; x < width; x++) {
+      const fx = (x + 0.5) / tileW - 0.5;
+      const tx0 = clamp(Math.floor(fx), tilesX - 1);
+      const tx1 = clamp(tx0 + 1, tilesX - 1);
+      const ax = clamp(fx - tx0, 1);
+      const v = pixels[y * width + x];
+      const top = luts[ty0 * tilesX + tx0][v] * (1 - ax) + luts[ty0 * tilesX + tx1][v] * ax;
+      const bottom = luts[ty1 * tilesX + tx0][v] * (1 - ax) + luts[ty1 * tilesX + tx1][v] * ax;
+      out[y * width + x] = top * (1 - ay) + bottom * ay;
+    }
+  }
+  return out;
+};
+
+// Run the full pipeline on an image file
+// Returns the processed PNG file, a data URL for the preview and the raw grayscale pixels
+export const preprocessImage = async (file, { size = 150, fit = 'stretch', contrast = 'none' } = {}) => {
+  const img = await loadImage(file);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, size, size);
+  const { source, target } = fitRect(img.naturalWidth, img.naturalHeight, size, fit);
+  ctx.drawImage(img, ...source, ...target);
+
+  let pixels = luminance(ctx.getImageData(0, 0, size, size).data);
+  if (contrast === 'normalize') pixels = normalizeContrast(pixels);
+  if (contrast === 'clahe') pixels = clahe(pixels, size, size);
+
+  const output = grayToCanvas(pixels, size, size);
+  const blob = await canvasToBlob(output);
+
+  return {
+    file: new File([blob], withExtension(file.name, 'png'), { type: 'image/png' }),
+    previewUrl: output.toDataURL('image/png'),
+    pixels,
+    size
+  };
+};
+
+// Preprocessing options from app settings, or null when preprocessing is switched off
+export const preprocessOptions = (settings) => (settings.preprocess === 'off' ? null : {
+  size: Number(settings.modelInputSize) || 150,
+  fit: settings.preprocessFit,
+  contrast: settings.preprocessContrast
+});
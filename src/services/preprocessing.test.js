@@ -0,0 +1,37 @@
+import { fitRect, normalizeContrast, clahe, preprocessOptions } from './preprocessing';
+import { DEFAULT_SETTINGS } from '../config';
+
+test('fits non-square images into the model input', () => {
+  expect(fitRect(300, 200, 150, 'stretch')).toEqual({ source: [0, 0, 300, 200], target: [0, 0, 150, 150] });
+  expect(fitRect(300, 200, 150, 'crop')).toEqual({ source: [50, 0, 200, 200], target: [0, 0, 150, 150] });
+  expect(fitRect(300, 200, 150, 'letterbox')).toEqual({ source: [0, 0, 300, 200], target: [0, 25, 150, 100] });
+});
+
+test('stretches contrast to the full 0-255 range', () => {
+  const pixels = Uint8ClampedArray.from({ length: 100 }, (_, i) => 100 + (i % 50));
+  const out = normalizeContrast(pixels);
+  expect(Math.min(...out)).toBe(0);
+  expect(Math.max(...out)).toBe(255);
+});
+
+test('leaves flat images unchanged', () => {
+  expect([...normalizeContrast(new Uint8ClampedArray([7, 7, 7]))]).toEqual([7, 7, 7]);
+});
+
+test('CLAHE spreads a low-contrast image without changing its size', () => {
+  const size = 32;
+  const pixels = Uint8ClampedArray.from({ length: size * size }, (_, i) => 100 + ((i % size) >> 2));
+  const out = clahe(pixels, size, size, { tiles: 4 });
+  expect(out).toHaveLength(pixels.length);
+  expect(Math.max(...out) - Math.min(...out)).toBeGreaterThan(Math.max(...pixels) - Math.min(...pixels));
+});
+
+test('CLAHE maps a flat image to a flat image', () => {
+  const out = clahe(new Uint8ClampedArray(64 * 64).fill(90), 64, 64);
+  expect(new Set(out).size).toBe(1);
+});
+
+test('reads pipeline options from settings', () => {
+  expect(preprocessOptions(DEFAULT_SETTINGS)).toEqual({ size: 150, fit: 'stretch', contrast: 'none' });
+  expect(preprocessOptions({ ...DEFAULT_SETTINGS, preprocess: 'off' })).toBeNull();
+});
@@ -0,0 +1,142 @@
+// PDF screening report, generated entirely in the browser with jsPDF
+import { MEDICAL_DISCLAIMER } from '../constants';
+import { downscaleToDataUrl, loadImage } from '../utils/image';
+import { describeEnsemble } from './inference/ensemble';
+
+const PAGE_MARGIN = 18;   // mm
+const IMAGE_BOX = 110;    // Max image width/height in mm
+
+// Text shown for fields a backend may not report
+const NOT_REPORTED = 'Not reported';
+
+// File name for a downloaded report, e.g. pneumoai-report-chest-2024-01-15.pdf
+export const reportFileName = (fileName, date = new Date()) => {
+  const base = (fileName || 'xray').replace(/\.[^./]+$/, '').replace(/[^a-z0-9_-]+/gi, '-');
+  return `pneumoai-report-${base}-${date.toISOString().slice(0, 10)}.pdf`;
+};
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// "50.0% (review 40.0-60.0%)"
+const decisionRuleText = ({ threshold, inconclusiveBand }) => (inconclusiveBand
+  ? `${percent(threshold)} (review ${percent(inconclusiveBand[0]).slice(0, -1)}-${percent(inconclusiveBand[1])})`
+  : percent(threshold));
+
+// Label/value rows for the summary table
+export const reportRows = ({ fileName, result, backend }) => [
+  ['File', fileName || NOT_REPORTED],
+  ['Classification', result.prediction],
+  ['Confidence', result.confidence != null ? `${(result.confidence * 100).toFixed(1)}%` : NOT_REPORTED],
+  ['Pneumonia probability', result.probabilities ? percent(result.probabilities.pneumonia) : NOT_REPORTED],
+  ['Decision threshold', result.threshold != null ? decisionRuleText(result) : NOT_REPORTED],
+  ['Model version', result.modelVersion || NOT_REPORTED],
+  ...(result.ensemble ? [['Ensemble', describeEnsemble(result.ensemble)]] : []),
+  ['Backend', backend || NOT_REPORTED],
+  ['Analysed', result.analyzedAt ? new Date(result.analyzedAt).toLocaleString() : NOT_REPORTED]
+];
+
+// Build the report document
+// image: { dataUrl, width, height } in pixels, optional
+export const createReport = async ({ image, fileName, result, backend, notes, generatedAt = new Date() }) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  // Start a new page when the next block would not fit
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+
+  // Title
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text('PneumoAI Screening Report', PAGE_MARGIN, y + 6);
+  y += 14;
+  doc.setDrawColor(6, 182, 212);
+  doc.setLineWidth(0.6);
+  doc.line(PAGE_MARGIN, y, pageWidth - PAGE_MARGIN, y);
+  y += 8;
+
+  // Summary table
+  doc.setFontSize(11);
+  reportRows({ fileName, result, backend }).forEach(([label, value]) => {
+    doc.setFont('helvetica', 'bold');
+    doc.text(label, PAGE_MARGIN, y);
+    doc.setFont('helvetica', 'normal');
+    const lines = doc.splitTextToSize(String(value), contentWidth - 45);
+    doc.text(lines, PAGE_MARGIN + 45, y);
+    y += 6 * lines.length + 1;
+  });
+  y += 4;
+
+  // X-ray image, scaled to fit the image box
+  if (image) {
+    const scale = Math.min(IMAGE_BOX / image.width, IMAGE_BOX / image.height);
+    const [w, h] = [image.width * scale, image.height * scale];
+    ensureSpace(h + 10);
+    const format = image.dataUrl.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+    doc.addImage(image.dataUrl, format, (pageWidth - w) / 2, y, w, h);
+    y += h + 10;
+  }
+
+  // Reviewer notes
+  if (notes && notes.trim()) {
+    const lines = doc.splitTextToSize(notes.trim(), contentWidth);
+    ensureSpace(10 + lines.length * 5);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Notes', PAGE_MARGIN, y);
+    y += 6;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.text(lines, PAGE_MARGIN, y);
+    y += lines.length * 5 + 6;
+  }
+
+  // Medical disclaimer, boxed
+  doc.setFontSize(9);
+  const disclaimer = doc.splitTextToSize(MEDICAL_DISCLAIMER, contentWidth - 8);
+  const boxHeight = disclaimer.length * 4.5 + 12;
+  ensureSpace(boxHeight);
+  doc.setDrawColor(234, 179, 8);
+  doc.setLineWidth(0.4);
+  doc.rect(PAGE_MARGIN, y, contentWidth, boxHeight);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Important Medical Disclaimer', PAGE_MARGIN + 4, y + 6);
+  doc.setFont('helvetica', 'normal');
+  doc.text(disclaimer, PAGE_MARGIN + 4, y + 11);
+
+  // Footer on every page
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setFontSize(8);
+    doc.setTextColor(120);
+    doc.text(
+      `Generated in the browser on ${generatedAt.toLocaleString()} · Page ${page} of ${pages}`,
+      PAGE_MARGIN,
+      pageHeight - 8
+    );
+  }
+
+  return doc;
+};
+
+// Build the report for an analysis and download it
+// imageSource may be a File, Blob or URL; it is downscaled to keep the PDF small
+export const downloadReport = async ({ imageSource, fileName, ...details }) => {
+  let image = null;
+  if (imageSource) {
+    const dataUrl = await downscaleToDataUrl(imageSource, 1200, 0.9);
+    const img = await loadImage(dataUrl);
+    image = { dataUrl, width: img.naturalWidth, height: img.naturalHeight };
+  }
+
+  const doc = await createReport({ image, fileName, ...details });
+  doc.save(reportFileName(fileName));
+};
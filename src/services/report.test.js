@@ -0,0 +1,57 @@
+import { createReport, reportFileName, reportRows } from './report';
+import { MEDICAL_DISCLAIMER } from '../constants';
+
+const result = {
+  schemaVersion: 1,
+  decision: 'pneumonia',
+  prediction: 'Pneumonia',
+  confidence: 0.913,
+  probabilities: { normal: 0.087, pneumonia: 0.913 },
+  threshold: 0.5,
+  inconclusiveBand: [0.4, 0.6],
+  provider: 'mock',
+  modelVersion: '1.0.0',
+  analyzedAt: '2024-01-15T10:30:00.000Z'
+};
+
+test('names reports after the image and date', () => {
+  expect(reportFileName('chest x-ray.jpeg', new Date('2024-01-15T10:30:00Z'))).toBe('pneumoai-report-chest-x-ray-2024-01-15.pdf');
+});
+
+test('lists the classification, confidence and model version', () => {
+  const rows = Object.fromEntries(reportRows({ fileName: 'a.png', result, backend: 'Mock' }));
+  expect(rows).toMatchObject({
+    File: 'a.png',
+    Classification: 'Pneumonia',
+    Confidence: '91.3%',
+    'Pneumonia probability': '91.3%',
+    'Decision threshold': '50.0% (review 40.0-60.0%)',
+    'Model version': '1.0.0',
+    Backend: 'Mock'
+  });
+  expect(Object.fromEntries(reportRows({ result: { prediction: 'Normal', confidence: null } }))['Model version']).toBe('Not reported');
+});
+
+test('builds a PDF containing the result, notes and disclaimer', async () => {
+  const doc = await createReport({ fileName: 'a.png', result, backend: 'Mock', notes: 'Follow up in 2 weeks' });
+  const text = doc.output();
+  expect(text.startsWith('%PDF-')).toBe(true);
+  expect(text).toContain('Pneumonia');
+  expect(text).toContain('Follow up in 2 weeks');
+  expect(text).toContain(MEDICAL_DISCLAIMER.slice(0, 40));
+});
+
+test('lists the models behind an ensemble verdict', () => {
+  const ensemble = {
+    method: 'mean',
+    agree: false,
+    members: [
+      { model: 'cnn', label: 'Custom CNN', prediction: 'Pneumonia', probabilities: { normal: 0.086, pneumonia: 0.914 } },
+      { model: 'vgg16', label: 'VGG16', prediction: 'Normal', probabilities: { normal: 0.888, pneumonia: 0.112 } }
+    ]
+  };
+  const rows = Object.fromEntries(reportRows({ result: { ...result, modelVersion: 'cnn 1.0.0 + vgg16', ensemble } }));
+  expect(rows['Model version']).toBe('cnn 1.0.0 + vgg16');
+  expect(rows.Ensemble).toBe('Mean probability of Custom CNN: Pneumonia 91.4%, VGG16: Normal 11.2% - the models disagree');
+  expect(Object.fromEntries(reportRows({ result })).Ensemble).toBeUndefined();
+});
@@ -0,0 +1,164 @@
+// Reviewer feedback on analyses, kept in a local review log in IndexedDB
+// Each review: { id, image, imageSource, result, modelLabel, label, agrees, notes, reviewedAt }
+// where modelLabel is the model's decision ('normal' | 'pneumonia' | 'inconclusive'), label the
+// reviewer's ground truth ('normal' | 'pneumonia') and image a downscaled JPEG data URL that goes
+// into the exported dataset. imageSource ({ origin, width, height }) says which copy the image was
+// made from - the intake image of an upload, or the smaller copy of a result re-opened from
+// history - and its size. File names are not kept: they often carry patient names or IDs.
+import { withStore, promisify } from './db';
+import { metricsFromConfusion } from './modelCard';
+import { CLASS_LABELS } from './inference/normalize';
+
+const STORE = 'reviews';
+
+export const REVIEW_LABELS = Object.keys(CLASS_LABELS);
+
+export const DATASET_SCHEMA_VERSION = 1;
+
+// Longest side of the image copy kept with a review
+export const REVIEW_IMAGE_SIZE = 1024;
+
+// Copies a review image can be made from
+export const IMAGE_ORIGINS = ['upload', 'history'];
+
+// Folder per label in the exported dataset, laid out like the chest_xray training data
+export const DATASET_FOLDERS = {
+  normal: 'NORMAL',
+  pneumonia: 'PNEUMONIA'
+};
+
+// Review record for a result; label is the reviewer's verdict
+// The result's heatmap is not kept - it is not needed for training and can be large.
+export const createReview = ({ result, image, imageSource = null, label, notes = '', reviewedAt = new Date() }) => {
+  if (!REVIEW_LABELS.includes(label)) throw new Error(`Unknown review label "${label}"`);
+  if (imageSource && !IMAGE_ORIGINS.includes(imageSource.origin)) throw new Error(`Unknown image origin "${imageSource.origin}"`);
+  const { heatmap, ...analysis } = result;
+  return {
+    image,
+    imageSource,
+    result: analysis,
+    modelLabel: result.decision,
+    label,
+    agrees: result.decision === label,
+    notes: notes.trim(),
+    reviewedAt: reviewedAt.toISOString()
+  };
+};
+
+// Save a review (a review with an id replaces the earlier one) and resolve with the stored record
+export const saveReview = (review) => withStore(STORE, 'readwrite', async (store) => {
+  const id = await promisify(store.put(review));
+  return { ...review, id };
+});
+
+// All reviews, newest first
+export const listReviews = () => withStore(STORE, 'readonly', async (store) => {
+  const reviews = await promisify(store.index('reviewedAt').getAll());
+  return reviews.reverse();
+});
+
+export const deleteReview = (id) => withStore(STORE, 'readwrite', (store) => promisify(store.delete(id)));
+
+export const clearReviews = () => withStore(STORE, 'readwrite', (store) => promisify(store.clear()));
+
+// Agreement between the model and its reviewers
+// Returns { total, agreed, agreement, inconclusive, byLabel: { [label]: { total, agreed } }, metrics }
+// where metrics (accuracy, precision, recall, specificity, f1 with pneumonia as positive) cover the
+// reviews of decided results, taking the reviewer's label as ground truth; null without any.
+export const reviewStats = (reviews) => {
+  const byLabel = Object.fromEntries(REVIEW_LABELS.map((label) => [label, { total: 0, agreed: 0 }]));
+  const confusion = [[0, 0], [0, 0]];
+  let agreed = 0;
+  let inconclusive = 0;
+
+  reviews.forEach((review) => {
+    byLabel[review.label].total += 1;
+    if (review.agrees) {
+      byLabel[review.label].agreed += 1;
+      agreed += 1;
+    }
+    if (review.modelLabel === 'inconclusive') inconclusive += 1;
+    else confusion[Number(review.label === 'pneumonia')][Number(review.modelLabel === 'pneumonia')] += 1;
+  });
+
+  const decided = reviews.length - inconclusive;
+  return {
+    total: reviews.length,
+    agreed,
+    agreement: reviews.length ? agreed / reviews.length : null,
+    inconclusive,
+    byLabel,
+    metrics: decided ? metricsFromConfusion(confusion) : null
+  };
+};
+
+// Bytes and MIME type of a base64 data URL
+export const dataUrlBytes = (dataUrl) => {
+  const [, type, data] = /^data:([^;,]+)?(?:;[^,]*)?,(.*)$/.exec(dataUrl) || [];
+  if (data === undefined) throw new Error('Not a data URL');
+  return { type: type || 'application/octet-stream', bytes: Uint8Array.from(atob(data), (char) => char.charCodeAt(0)) };
+};
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png' };
+
+// One manifest row per review, with the image path inside the dataset and the copy it was made from
+// (image_source is empty for reviews saved before the source was recorded)
+export const manifestRows = (reviews) => reviews.map((review) => {
+  const extension = EXTENSIONS[dataUrlBytes(review.image).type] || 'jpg';
+  return {
+    file: `images/${DATASET_FOLDERS[review.label]}/review-${review.id}.${extension}`,
+    image_source: review.imageSource?.origin || null,
+    image_width: review.imageSource?.width ?? null,
+    image_height: review.imageSource?.height ?? null,
+    label: review.label,
+    model_label: review.modelLabel,
+    agrees: review.agrees,
+    model_pneumonia_probability: review.result.probabilities?.pneumonia ?? null,
+    model_confidence: review.result.confidence ?? null,
+    threshold: review.result.threshold ?? null,
+    model_version: review.result.modelVersion || null,
+    provider: review.result.provider || null,
+    analyzed_at: review.result.analyzedAt || null,
+    reviewed_at: review.reviewedAt,
+    notes: review.notes
+  };
+});
+
+// CSV text for rows of flat objects, quoting fields as RFC 4180 requires
+export const toCsv = (rows) => {
+  if (!rows.length) return '';
+  const columns = Object.keys(rows[0]);
+  const cell = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(cell).join(','))
+    .join('\r\n');
+};
+
+// Zip of the reviewed images in label folders plus manifest.csv and manifest.json
+export const buildDatasetZip = async (reviews, exportedAt = new Date()) => {
+  // Loaded on demand so the zip library stays out of the main bundle
+  const { zipSync, strToU8 } = await import('fflate');
+  const rows = manifestRows(reviews);
+  const manifest = {
+    schemaVersion: DATASET_SCHEMA_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    labels: Object.values(DATASET_FOLDERS),
+    stats: reviewStats(reviews),
+    items: rows
+  };
+
+  const files = {
+    'manifest.csv': strToU8(toCsv(rows)),
+    'manifest.json': strToU8(JSON.stringify(manifest, null, 2))
+  };
+  reviews.forEach((review, index) => {
+    files[rows[index].file] = [dataUrlBytes(review.image).bytes, { level: 0 }];  // Already compressed
+  });
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+};
+
+// File name for a dataset export, e.g. pneumoai-reviews-2024-01-15.zip
+export const datasetFileName = (date = new Date()) => `pneumoai-reviews-${date.toISOString().slice(0, 10)}.zip`;
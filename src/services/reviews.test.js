@@ -0,0 +1,128 @@
+import 'fake-indexeddb/auto';
+import { unzipSync, strFromU8 } from 'fflate';
+import {
+  createReview, saveReview, listReviews, deleteReview, clearReviews, reviewStats,
+  dataUrlBytes, manifestRows, toCsv, buildDatasetZip, datasetFileName
+} from './reviews';
+
+const IMAGE = 'data:image/jpeg;base64,/9j/2Q==';  // FF D8 FF D9
+
+const result = (decision, pneumonia) => ({
+  decision,
+  prediction: decision,
+  confidence: Math.max(pneumonia, 1 - pneumonia),
+  probabilities: { normal: 1 - pneumonia, pneumonia },
+  threshold: 0.5,
+  provider: 'mock',
+  modelVersion: '1.0.0',
+  analyzedAt: '2024-01-15T10:30:00.000Z',
+  heatmap: 'data:image/png;base64,AAAA'
+});
+
+const review = (decision, label, id) => ({
+  ...createReview({ result: result(decision, decision === 'pneumonia' ? 0.9 : 0.2), image: IMAGE, label }),
+  id
+});
+
+beforeEach(() => clearReviews());
+
+test('records the reviewer label against the model decision', () => {
+  const record = createReview({
+    result: result('pneumonia', 0.9),
+    image: IMAGE,
+    label: 'normal',
+    notes: '  Lateral view, no consolidation  ',
+    reviewedAt: new Date('2024-01-16T08:00:00.000Z')
+  });
+  expect(record).toMatchObject({
+    modelLabel: 'pneumonia',
+    label: 'normal',
+    agrees: false,
+    notes: 'Lateral view, no consolidation',
+    reviewedAt: '2024-01-16T08:00:00.000Z'
+  });
+  expect(record.result.heatmap).toBeUndefined();
+  expect(() => createReview({ result: result('normal', 0.1), image: IMAGE, label: 'inconclusive' })).toThrow('Unknown review label');
+  expect(() => createReview({ result: result('normal', 0.1), image: IMAGE, imageSource: { origin: 'thumbnail' }, label: 'normal' }))
+    .toThrow('Unknown image origin');
+});
+
+test('stores reviews, replaces edited ones and lists them newest first', async () => {
+  const first = await saveReview({ ...review('normal', 'normal'), reviewedAt: '2024-01-01T00:00:00.000Z' });
+  await saveReview({ ...review('pneumonia', 'pneumonia'), reviewedAt: '2024-01-02T00:00:00.000Z' });
+  await saveReview({ ...first, label: 'pneumonia', agrees: false, reviewedAt: '2024-01-03T00:00:00.000Z' });
+
+  const reviews = await listReviews();
+  expect(reviews.map((r) => [r.id, r.label])).toEqual([[first.id, 'pneumonia'], [expect.any(Number), 'pneumonia']]);
+
+  await deleteReview(first.id);
+  expect(await listReviews()).toHaveLength(1);
+});
+
+test('summarises agreement and metrics with the reviewer as ground truth', () => {
+  const stats = reviewStats([
+    review('pneumonia', 'pneumonia'),
+    review('pneumonia', 'normal'),
+    review('normal', 'normal'),
+    review('normal', 'pneumonia'),
+    review('normal', 'normal'),
+    review('inconclusive', 'pneumonia')
+  ]);
+  expect(stats).toMatchObject({
+    total: 6,
+    agreed: 3,
+    agreement: 0.5,
+    inconclusive: 1,
+    byLabel: { normal: { total: 3, agreed: 2 }, pneumonia: { total: 3, agreed: 1 } }
+  });
+  expect(stats.metrics.recall).toBeCloseTo(0.5);
+  expect(stats.metrics.specificity).toBeCloseTo(2 / 3);
+  expect(reviewStats([])).toMatchObject({ total: 0, agreement: null, metrics: null });
+});
+
+test('decodes data URLs', () => {
+  expect(dataUrlBytes(IMAGE)).toEqual({ type: 'image/jpeg', bytes: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]) });
+  expect(() => dataUrlBytes('https://example.com/x.jpg')).toThrow('Not a data URL');
+});
+
+test('builds manifest rows and quotes CSV fields', () => {
+  const rows = manifestRows([
+    { ...review('pneumonia', 'normal', 7), imageSource: { origin: 'history', width: 768, height: 640 }, notes: 'Says "clear", see PA' },
+    review('normal', 'normal', 8)
+  ]);
+  expect(rows[0]).toMatchObject({
+    file: 'images/NORMAL/review-7.jpg',
+    image_source: 'history',
+    image_width: 768,
+    image_height: 640,
+    label: 'normal',
+    model_label: 'pneumonia',
+    agrees: false,
+    model_pneumonia_probability: 0.9,
+    model_version: '1.0.0'
+  });
+  // Reviews saved before the image source was recorded
+  expect(rows[1]).toMatchObject({ image_source: null, image_width: null, image_height: null });
+  const [header, line] = toCsv(rows).split('\r\n');
+  expect(header.split(',')[0]).toBe('file');
+  expect(line).toContain('"Says ""clear"", see PA"');
+  expect(toCsv([])).toBe('');
+});
+
+test('exports images by label with CSV and JSON manifests', async () => {
+  const blob = await buildDatasetZip(
+    [review('normal', 'normal', 1), review('normal', 'pneumonia', 2)],
+    new Date('2024-02-01T00:00:00.000Z')
+  );
+  const files = unzipSync(new Uint8Array(await new Response(blob).arrayBuffer()));
+
+  expect(Object.keys(files).sort()).toEqual([
+    'images/NORMAL/review-1.jpg', 'images/PNEUMONIA/review-2.jpg', 'manifest.csv', 'manifest.json'
+  ]);
+  expect(files['images/PNEUMONIA/review-2.jpg']).toEqual(new Uint8Array([0xff, 0xd8, 0xff, 0xd9]));
+  const manifest = JSON.parse(strFromU8(files['manifest.json']));
+  expect(manifest).toMatchObject({ schemaVersion: 1, exportedAt: '2024-02-01T00:00:00.000Z', labels: ['NORMAL', 'PNEUMONIA'] });
+  expect(manifest.items).toHaveLength(2);
+  expect(strFromU8(files['manifest.csv']).split('\r\n')).toHaveLength(3);
+  expect(datasetFileName(new Date('2024-02-01T12:00:00.000Z'))).toBe('pneumoai-reviews-2024-02-01.zip');
+});
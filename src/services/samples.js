@@ -0,0 +1,42 @@
+// Labelled sample radiographs for demos and backend smoke tests
+// Each sample has a known ground truth, so a result for it can be marked right or wrong.
+// To add one, put the image in public/images and list it here.
+import { decisionOf } from './inference/normalize';
+
+const imageUrl = (name) => `${process.env.PUBLIC_URL || ''}/images/${name}`;
+
+// truth is the result decision the sample should get: 'normal' or 'pneumonia'
+export const SAMPLE_XRAYS = [
+  {
+    id: 'normal',
+    title: 'Normal',
+    description: 'Clear lung fields',
+    url: imageUrl('normal.jpeg'),
+    truth: 'normal'
+  },
+  {
+    id: 'viral-pneumonia',
+    title: 'Viral pneumonia',
+    description: 'Diffuse interstitial opacities',
+    url: imageUrl('virus.jpeg'),
+    truth: 'pneumonia'
+  }
+];
+
+// Fetch a sample as a File, ready for the upload flow
+export const fetchSample = async (sample) => {
+  const response = await fetch(sample.url);
+  if (!response.ok) throw new Error(`Sample image request failed with status ${response.status}`);
+  const blob = await response.blob();
+  const extension = sample.url.split('.').pop();
+  return new File([blob], `sample-${sample.id}.${extension}`, { type: blob.type || 'image/jpeg' });
+};
+
+// How a result compares with its ground truth: 'correct', 'incorrect' or 'inconclusive'
+// (a result flagged for review is neither right nor wrong); null when there is no ground truth.
+export const groundTruthOutcome = (result) => {
+  if (!result?.groundTruth || result.error) return null;
+  const decision = decisionOf(result);
+  if (decision === 'inconclusive') return 'inconclusive';
+  return decision === result.groundTruth ? 'correct' : 'incorrect';
+};
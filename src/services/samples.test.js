@@ -0,0 +1,31 @@
+import { SAMPLE_XRAYS, fetchSample, groundTruthOutcome } from './samples';
+
+test('every sample has a known ground truth', () => {
+  const ids = SAMPLE_XRAYS.map(({ id }) => id);
+  expect(new Set(ids).size).toBe(ids.length);
+  SAMPLE_XRAYS.forEach((sample) => expect(['normal', 'pneumonia']).toContain(sample.truth));
+});
+
+test('fetches a sample as a named file', async () => {
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: true,
+    blob: () => Promise.resolve(new Blob(['x'], { type: 'image/jpeg' }))
+  }));
+  const file = await fetchSample(SAMPLE_XRAYS[0]);
+  expect(file.name).toBe(`sample-${SAMPLE_XRAYS[0].id}.jpeg`);
+  expect(file.type).toBe('image/jpeg');
+
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+  await expect(fetchSample(SAMPLE_XRAYS[0])).rejects.toThrow(/404/);
+  delete global.fetch;
+});
+
+test('compares results with the ground truth', () => {
+  expect(groundTruthOutcome({ decision: 'pneumonia', groundTruth: 'pneumonia' })).toBe('correct');
+  expect(groundTruthOutcome({ decision: 'normal', groundTruth: 'pneumonia' })).toBe('incorrect');
+  expect(groundTruthOutcome({ decision: 'inconclusive', groundTruth: 'normal' })).toBe('inconclusive');
+  // Results from before the decision field existed fall back to the label
+  expect(groundTruthOutcome({ prediction: 'Normal', groundTruth: 'normal' })).toBe('correct');
+  expect(groundTruthOutcome({ decision: 'normal' })).toBeNull();
+  expect(groundTruthOutcome({ error: 'Offline', groundTruth: 'normal' })).toBeNull();
+});
@@ -0,0 +1,35 @@
+// Colormaps for rendering grayscale saliency maps
+// Each colormap is a list of evenly spaced RGB stops from low (0) to high (1)
+
+export const COLORMAPS = {
+  jet: [[0, 0, 128], [0, 0, 255], [0, 255, 255], [255, 255, 0], [255, 0, 0], [128, 0, 0]],
+  inferno: [[0, 0, 4], [87, 16, 110], [188, 55, 84], [249, 142, 9], [252, 255, 164]],
+  viridis: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]]
+};
+
+// RGB colour for a value between 0 and 1
+export const colorAt = (value, name = 'jet') => {
+  const stops = COLORMAPS[name] || COLORMAPS.jet;
+  const position = Math.min(Math.max(value, 0), 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const t = position - index;
+  return stops[index].map((channel, i) => Math.round(channel + (stops[index + 1][i] - channel) * t));
+};
+
+// Recolour RGBA pixel data in place, using each pixel's red channel as the intensity
+export const colorize = (rgba, name = 'jet') => {
+  for (let i = 0; i < rgba.length; i += 4) {
+    const [r, g, b] = colorAt(rgba[i] / 255, name);
+    rgba[i] = r;
+    rgba[i + 1] = g;
+    rgba[i + 2] = b;
+    rgba[i + 3] = 255;
+  }
+  return rgba;
+};
+
+// CSS gradient matching a colormap, for legends
+export const gradientCss = (name = 'jet') => {
+  const stops = COLORMAPS[name] || COLORMAPS.jet;
+  return `linear-gradient(to right, ${stops.map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`).join(', ')})`;
+};
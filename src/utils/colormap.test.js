@@ -0,0 +1,17 @@
+import { colorAt, colorize, gradientCss } from './colormap';
+
+test('interpolates between colormap stops', () => {
+  expect(colorAt(0, 'jet')).toEqual([0, 0, 128]);
+  expect(colorAt(1, 'jet')).toEqual([128, 0, 0]);
+  expect(colorAt(0.1, 'jet')).toEqual([0, 0, 192]);
+  expect(colorAt(2, 'viridis')).toEqual([253, 231, 37]);
+});
+
+test('colorizes RGBA pixels by intensity', () => {
+  const rgba = new Uint8ClampedArray([0, 0, 0, 0, 255, 255, 255, 0]);
+  expect([...colorize(rgba, 'inferno')]).toEqual([0, 0, 4, 255, 252, 255, 164, 255]);
+});
+
+test('builds a CSS gradient for the legend', () => {
+  expect(gradientCss('viridis')).toMatch(/^linear-gradient\(to right, rgb\(68, 1, 84\)/);
+});
@@ -0,0 +1,65 @@
+// Embeddable analyzer widget
+// Host pages load public/embed.js and place <pneumo-analyzer> on the page. The element opens this
+// app in an iframe as ?embed&provider=...&backend=...&theme=...&lang=...&origin=<host origin>; the
+// app then renders only the analyzer (src/Embed.js) and reports to the host with postMessage.
+import { DEFAULT_SETTINGS } from '../config';
+import { availableProviders } from '../services/inference';
+import { languageFor } from './embedMessages';
+
+// Marks messages from the widget so the host script can ignore everything else
+export const EMBED_MESSAGE_SOURCE = 'pneumoai-widget';
+
+export const EMBED_THEMES = ['dark', 'light'];
+
+// Setting that holds the backend address for each provider
+const BACKEND_SETTINGS = {
+  'gradio-space': 'gradioSpace',
+  'gradio-url': 'gradioUrl',
+  rest: 'restUrl'
+};
+
+// Origin part of a URL, or null if it is not one
+const originOf = (value) => {
+  try {
+    return new URL(value).origin;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Widget options from the page's query string, or null outside embed mode
+// Unknown or unavailable providers (e.g. on-device without a deployed model) and themes fall back to the defaults rather than failing in the host page.
+export const parseEmbedOptions = (search) => {
+  const params = new URLSearchParams(search);
+  if (!params.has('embed')) return null;
+  const provider = params.get('provider');
+  const theme = params.get('theme');
+  return {
+    provider: availableProviders(DEFAULT_SETTINGS).some(([id]) => id === provider) ? provider : null,
+    backend: params.get('backend') || null,
+    theme: EMBED_THEMES.includes(theme) ? theme : 'dark',
+    language: languageFor(params.get('lang')),
+    hostOrigin: originOf(params.get('origin'))   // Only this origin receives results
+  };
+};
+
+// Settings for the widget: build defaults plus the host's backend choice
+// Saved overrides from the full site are ignored - the host page decides where images go.
+// Without a provider, a URL backend is taken as a Gradio app and anything else as a space ID.
+export const embedSettings = ({ provider, backend }, defaults = DEFAULT_SETTINGS) => {
+  const inferred = backend && (/^https?:\/\//.test(backend) ? 'gradio-url' : 'gradio-space');
+  const id = provider || inferred || defaults.provider;
+  const key = BACKEND_SETTINGS[id];
+  return { ...defaults, provider: id, ...(key && backend && { [key]: backend }) };
+};
+
+// Upload consent scope of the widget, one per host page: consent given on one site does not let
+// another site (or the full app) upload, and ../services/consent ties it to the backend the dialog named,
+// so a host that changes the backend attribute is asked again
+export const embedConsentScope = ({ hostOrigin }) => `embed:${hostOrigin || 'unknown'}`;
+
+// Send a widget event ('result', 'error' or 'resize') to the host page
+export const postToHost = (type, detail, { hostOrigin }, host = window.parent) => {
+  if (host === window) return;  // Opened directly rather than embedded
+  host.postMessage({ source: EMBED_MESSAGE_SOURCE, type, detail }, hostOrigin || '*');
+};
@@ -0,0 +1,59 @@
+import { parseEmbedOptions, embedSettings, postToHost, EMBED_MESSAGE_SOURCE } from './embed';
+import { EMBED_MESSAGES, languageFor, formatMessage } from './embedMessages';
+
+const defaults = { provider: 'gradio-space', gradioSpace: 'org/space', gradioUrl: '', restUrl: '/api/predict' };
+
+test('reads widget options only in embed mode', () => {
+  expect(parseEmbedOptions('')).toBeNull();
+  expect(parseEmbedOptions('?embed=1&provider=rest&backend=https://x.test/api&theme=light&lang=es-MX&origin=https://host.test/page'))
+    .toEqual({ provider: 'rest', backend: 'https://x.test/api', theme: 'light', language: 'es', hostOrigin: 'https://host.test' });
+});
+
+test('falls back to defaults for unknown widget options', () => {
+  expect(parseEmbedOptions('?embed&provider=nope&theme=neon&lang=xx&origin=not a url'))
+    .toEqual({ provider: null, backend: null, theme: 'dark', language: 'en', hostOrigin: null });
+});
+
+test('points the chosen provider at the host backend', () => {
+  expect(embedSettings({ provider: 'rest', backend: 'https://x.test/api' }, defaults))
+    .toMatchObject({ provider: 'rest', restUrl: 'https://x.test/api' });
+  expect(embedSettings({ provider: 'mock', backend: 'ignored' }, defaults)).toEqual({ ...defaults, provider: 'mock' });
+  expect(embedSettings({ provider: null, backend: null }, defaults)).toEqual(defaults);
+});
+
+test('infers the provider from the backend', () => {
+  expect(embedSettings({ provider: null, backend: 'https://gradio.test' }, defaults))
+    .toMatchObject({ provider: 'gradio-url', gradioUrl: 'https://gradio.test' });
+  expect(embedSettings({ provider: null, backend: 'someone/xray' }, defaults))
+    .toMatchObject({ provider: 'gradio-space', gradioSpace: 'someone/xray' });
+});
+
+test('posts widget events to the host origin only', () => {
+  const host = { postMessage: jest.fn() };
+  postToHost('result', { decision: 'normal' }, { hostOrigin: 'https://host.test' }, host);
+  expect(host.postMessage).toHaveBeenCalledWith(
+    { source: EMBED_MESSAGE_SOURCE, type: 'result', detail: { decision: 'normal' } },
+    'https://host.test'
+  );
+});
+
+test('does not post when the widget page is opened directly', () => {
+  const spy = jest.spyOn(window, 'postMessage');
+  postToHost('result', {}, { hostOrigin: null }, window);
+  expect(spy).not.toHaveBeenCalled();
+  spy.mockRestore();
+});
+
+test('has every message in every language', () => {
+  const shape = (messages) => Object.entries(messages)
+    .flatMap(([key, value]) => (typeof value === 'object' ? Object.keys(value).map((sub) => `${key}.${sub}`) : [key]))
+    .sort();
+  Object.values(EMBED_MESSAGES).forEach((messages) => expect(shape(messages)).toEqual(shape(EMBED_MESSAGES.en)));
+});
+
+test('fills message placeholders', () => {
+  expect(languageFor('DE-at')).toBe('de');
+  expect(languageFor(undefined)).toBe('en');
+  expect(formatMessage('Position {position} of {size}', { position: 2, size: 5 })).toBe('Position 2 of 5');
+  expect(formatMessage('Hello {name}')).toBe('Hello {name}');
+});
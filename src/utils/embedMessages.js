@@ -0,0 +1,135 @@
+// Interface text of the embeddable analyzer, per language
+// Error texts are keyed by the inference error codes (services/inference/errors), plus 'intake'
+// for files that could not be read. Placeholders in braces are filled in by formatMessage.
+import { MEDICAL_DISCLAIMER } from '../constants';
+
+export const EMBED_MESSAGES = {
+  en: {
+    title: 'Pneumonia screening',
+    dropHint: 'Drop a chest X-ray here or',
+    browse: 'choose a file',
+    change: 'Choose another',
+    analyze: 'Analyze X-Ray',
+    analyzing: 'Analyzing...',
+    cancel: 'Cancel',
+    tryAgain: 'Try again',
+    phases: {
+      connecting: 'Connecting to backend',
+      starting: 'Starting backend',
+      queued: 'Waiting in queue',
+      running: 'Running inference'
+    },
+    queuePosition: 'Position {position} of {size}',
+    consentTitle: 'Send this X-ray for analysis?',
+    consentBody: 'The image is uploaded to {backend}. Names, dates and other metadata are removed first.',
+    consentAccept: 'I agree, analyse',
+    decisions: {
+      normal: 'Normal',
+      pneumonia: 'Pneumonia',
+      inconclusive: 'Inconclusive – needs review'
+    },
+    confidence: 'Confidence',
+    pneumoniaProbability: 'Pneumonia probability',
+    errors: {
+      intake: 'This file could not be read as an X-ray.',
+      connection: "Can't reach the analysis backend.",
+      'cold-start': 'The analysis backend is waking up. Please try again shortly.',
+      'queue-full': 'The analysis backend is busy. Please try again in a moment.',
+      timeout: 'The analysis took too long and was stopped.',
+      malformed: 'The backend returned a response we could not read.',
+      rejected: 'The backend rejected this image.',
+      cancelled: 'Analysis cancelled.',
+      unknown: 'Prediction failed. Please try again.'
+    },
+    disclaimer: MEDICAL_DISCLAIMER
+  },
+  es: {
+    title: 'Detección de neumonía',
+    dropHint: 'Suelte aquí una radiografía de tórax o',
+    browse: 'elija un archivo',
+    change: 'Elegir otra',
+    analyze: 'Analizar radiografía',
+    analyzing: 'Analizando...',
+    cancel: 'Cancelar',
+    tryAgain: 'Reintentar',
+    phases: {
+      connecting: 'Conectando con el servidor',
+      starting: 'Iniciando el servidor',
+      queued: 'En cola',
+      running: 'Ejecutando el modelo'
+    },
+    queuePosition: 'Posición {position} de {size}',
+    consentTitle: '¿Enviar esta radiografía para su análisis?',
+    consentBody: 'La imagen se sube a {backend}. Antes se eliminan los nombres, las fechas y demás metadatos.',
+    consentAccept: 'Acepto, analizar',
+    decisions: {
+      normal: 'Normal',
+      pneumonia: 'Neumonía',
+      inconclusive: 'No concluyente – requiere revisión'
+    },
+    confidence: 'Confianza',
+    pneumoniaProbability: 'Probabilidad de neumonía',
+    errors: {
+      intake: 'No se pudo leer este archivo como radiografía.',
+      connection: 'No se puede conectar con el servidor de análisis.',
+      'cold-start': 'El servidor de análisis se está iniciando. Vuelva a intentarlo en breve.',
+      'queue-full': 'El servidor de análisis está ocupado. Vuelva a intentarlo en un momento.',
+      timeout: 'El análisis tardó demasiado y se detuvo.',
+      malformed: 'El servidor devolvió una respuesta que no se pudo leer.',
+      rejected: 'El servidor rechazó esta imagen.',
+      cancelled: 'Análisis cancelado.',
+      unknown: 'El análisis falló. Vuelva a intentarlo.'
+    },
+    disclaimer: 'Herramienta de cribado preliminar: no sustituye el consejo médico profesional. Consulte siempre a un profesional sanitario cualificado para obtener un diagnóstico.'
+  },
+  de: {
+    title: 'Pneumonie-Screening',
+    dropHint: 'Röntgenbild des Thorax hier ablegen oder',
+    browse: 'Datei auswählen',
+    change: 'Anderes Bild',
+    analyze: 'Röntgenbild analysieren',
+    analyzing: 'Wird analysiert...',
+    cancel: 'Abbrechen',
+    tryAgain: 'Erneut versuchen',
+    phases: {
+      connecting: 'Verbindung zum Server',
+      starting: 'Server wird gestartet',
+      queued: 'In der Warteschlange',
+      running: 'Modell läuft'
+    },
+    queuePosition: 'Position {position} von {size}',
+    consentTitle: 'Dieses Röntgenbild zur Analyse senden?',
+    consentBody: 'Das Bild wird an {backend} hochgeladen. Namen, Daten und andere Metadaten werden vorher entfernt.',
+    consentAccept: 'Einverstanden, analysieren',
+    decisions: {
+      normal: 'Normal',
+      pneumonia: 'Pneumonie',
+      inconclusive: 'Unklar – Prüfung nötig'
+    },
+    confidence: 'Konfidenz',
+    pneumoniaProbability: 'Pneumonie-Wahrscheinlichkeit',
+    errors: {
+      intake: 'Diese Datei konnte nicht als Röntgenbild gelesen werden.',
+      connection: 'Der Analyseserver ist nicht erreichbar.',
+      'cold-start': 'Der Analyseserver startet gerade. Bitte gleich erneut versuchen.',
+      'queue-full': 'Der Analyseserver ist ausgelastet. Bitte gleich erneut versuchen.',
+      timeout: 'Die Analyse hat zu lange gedauert und wurde abgebrochen.',
+      malformed: 'Die Antwort des Servers konnte nicht gelesen werden.',
+      rejected: 'Der Server hat dieses Bild abgelehnt.',
+      cancelled: 'Analyse abgebrochen.',
+      unknown: 'Die Analyse ist fehlgeschlagen. Bitte erneut versuchen.'
+    },
+    disclaimer: 'Dies ist nur ein vorläufiges Screening-Werkzeug und ersetzt keine ärztliche Beratung. Wenden Sie sich für eine Diagnose immer an medizinisches Fachpersonal.'
+  }
+};
+
+// Supported language for a BCP 47 tag ("es-MX" -> "es"), English otherwise
+export const languageFor = (tag) => {
+  const primary = String(tag || '').toLowerCase().split('-')[0];
+  return EMBED_MESSAGES[primary] ? primary : 'en';
+};
+
+// Fill {name} placeholders from values
+export const formatMessage = (template, values = {}) => (
+  template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match))
+);
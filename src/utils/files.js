@@ -0,0 +1,55 @@
+// File selection helpers for uploads, drops and folder picking
+// Whether a file can actually be used is decided by services/intake, not by its type.
+
+// File picker filter for the formats intake understands
+export const ACCEPT_ATTRIBUTE = 'image/jpeg,image/png,image/webp,image/bmp,image/tiff,.tif,.tiff,.dcm,application/dicom';
+
+// Read every file below a dropped directory entry (webkitGetAsEntry API)
+const readEntry = (entry) => new Promise((resolve) => {
+  if (entry.isFile) {
+    entry.file((file) => resolve([file]), () => resolve([]));
+    return;
+  }
+  if (!entry.isDirectory) {
+    resolve([]);
+    return;
+  }
+
+  // readEntries returns results in chunks, so keep reading until it comes back empty
+  const reader = entry.createReader();
+  const entries = [];
+  const readChunk = () => reader.readEntries(async (chunk) => {
+    if (chunk.length) {
+      entries.push(...chunk);
+      readChunk();
+    } else {
+      const nested = await Promise.all(entries.map(readEntry));
+      resolve(nested.flat());
+    }
+  }, () => resolve([]));
+  readChunk();
+});
+
+// Collect all files from a drop, descending into dropped folders where the browser allows it
+export const collectDroppedFiles = async (dataTransfer) => {
+  const entries = [...(dataTransfer.items || [])]
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (!entries.length) return [...(dataTransfer.files || [])];
+
+  const nested = await Promise.all(entries.map(readEntry));
+  return nested.flat();
+};
+
+// Save a generated file through the browser's download prompt
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
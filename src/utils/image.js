@@ -0,0 +1,93 @@
+// Browser image helpers shared by the upload flow, preprocessing and on-device inference
+
+// Decode a File/Blob or URL into an HTMLImageElement
+// Remote images are requested with CORS, so drawing them does not taint the canvas they are read from
+// (heatmaps served by a Gradio space or REST backend).
+export const loadImage = (source) => new Promise((resolve, reject) => {
+  const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+  const img = new Image();
+  if (/^https?:/i.test(url)) img.crossOrigin = 'anonymous';
+  img.onload = () => {
+    if (url !== source) URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    if (url !== source) URL.revokeObjectURL(url);
+    reject(new Error('Could not decode image'));
+  };
+  img.src = url;
+});
+
+// 8-bit luminance of RGBA pixel data
+// Uses the same ITU-R 601 weights as PIL's convert('L') on the Python backend
+export const luminance = (rgba) => {
+  const gray = new Uint8ClampedArray(rgba.length / 4);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+  return gray;
+};
+
+// Resize an image to width x height and return its 8-bit luminance values
+export const toGrayscalePixels = (img, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, width, height);
+  return luminance(ctx.getImageData(0, 0, width, height).data);
+};
+
+// Paint 8-bit grayscale pixels onto a new canvas
+export const grayToCanvas = (pixels, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+  for (let i = 0; i < pixels.length; i++) {
+    imageData.data[i * 4] = pixels[i];
+    imageData.data[i * 4 + 1] = pixels[i];
+    imageData.data[i * 4 + 2] = pixels[i];
+    imageData.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+// Encode a canvas as an image blob (PNG unless another type is given; quality applies to JPEG)
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), type, quality);
+});
+
+// Replace a file name's extension, e.g. chest.dcm -> chest.png
+export const withExtension = (name, extension) => `${name.replace(/\.[^./]+$/, '')}.${extension}`;
+
+// Copy of an image file under a generic name, for uploads: file names often carry patient names or IDs
+export const anonymousUpload = (file) => {
+  const extension = { 'image/jpeg': 'jpg', 'image/png': 'png' }[file.type] || 'png';
+  return new File([file], `xray.${extension}`, { type: file.type || 'image/png' });
+};
+
+// Downscale an image (File, Blob or URL) so its longest side is at most maxSize
+// Resolves with the JPEG data URL and its size: { dataUrl, width, height }
+export const downscaleImage = async (source, maxSize, quality = 0.85) => {
+  const img = await loadImage(source);
+  const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return { dataUrl: canvas.toDataURL('image/jpeg', quality), width: canvas.width, height: canvas.height };
+};
+
+// Downscaled copy of an image as a JPEG data URL
+export const downscaleToDataUrl = async (source, maxSize, quality) => (
+  (await downscaleImage(source, maxSize, quality)).dataUrl
+);
+
+// Turn a data URL back into a File, e.g. to re-analyse an image restored from history
+export const dataUrlToFile = async (dataUrl, name) => {
+  const blob = await (await fetch(dataUrl)).blob();
+  return new File([blob], name, { type: blob.type });
+};
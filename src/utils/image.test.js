@@ -0,0 +1,28 @@
+import { loadImage } from './image';
+
+// jsdom does not decode images: a stand-in that loads as soon as its src is set
+class FakeImage {
+  set src(value) {
+    this.url = value;
+    setTimeout(() => this.onload());
+  }
+}
+
+const OriginalImage = window.Image;
+beforeEach(() => {
+  window.Image = FakeImage;
+});
+afterEach(() => {
+  window.Image = OriginalImage;
+});
+
+test('requests remote images with CORS so canvases reading them are not tainted', async () => {
+  const img = await loadImage('https://user-space.hf.space/gradio_api/file=/tmp/cam.png');
+  expect(img.crossOrigin).toBe('anonymous');
+  expect(img.url).toBe('https://user-space.hf.space/gradio_api/file=/tmp/cam.png');
+});
+
+test('loads data URLs without CORS', async () => {
+  const img = await loadImage('data:image/png;base64,iVBORw0KGgo=');
+  expect(img.crossOrigin).toBeUndefined();
+});
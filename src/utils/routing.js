@@ -0,0 +1,77 @@
+// Hash routes for the page sections and shareable result links
+// Hash routes work on any static host without server rewrites:
+//   #/detection, #/about, #/history, #/model-info   sections (no hash = home)
+//   #/result/<token>                                 read-only shared result summary
+
+// URL slug for each section id used by sectionsRef
+export const SECTION_SLUGS = {
+  home: '',
+  understanding: 'about',
+  testing: 'detection',
+  history: 'history',
+  technical: 'model-info'
+};
+
+const SHARE_PREFIX = 'result/';
+const SHARE_VERSION = 1;
+
+// Hash for a section, '' for home
+export const sectionHash = (section) => (SECTION_SLUGS[section] ? `#/${SECTION_SLUGS[section]}` : '');
+
+// base64url <-> UTF-8 text
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (token) => new TextDecoder().decode(
+  Uint8Array.from(atob(token.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0))
+);
+
+const isFraction = (value) => value === null || (typeof value === 'number' && value >= 0 && value <= 1);
+
+// Summary of a result that is safe to put in a URL: no image, no file name, no notes
+export const shareSummary = (result) => ({
+  v: SHARE_VERSION,
+  decision: result.decision,
+  label: result.prediction,
+  pneumonia: result.probabilities?.pneumonia ?? null,
+  confidence: result.confidence ?? null,
+  threshold: result.threshold ?? null,
+  band: result.inconclusiveBand ?? null,
+  modelVersion: result.modelVersion || null,
+  analyzedAt: result.analyzedAt || null
+});
+
+export const encodeShare = (result) => toBase64Url(JSON.stringify(shareSummary(result)));
+
+// Summary from a share token, or null if it is damaged, crafted or from an unknown version
+// Every field is checked, as the summary is rendered straight from the link.
+export const decodeShare = (token) => {
+  try {
+    const summary = JSON.parse(fromBase64Url(token));
+    const valid = summary?.v === SHARE_VERSION
+      && ['normal', 'pneumonia', 'inconclusive'].includes(summary.decision)
+      && typeof summary.label === 'string'
+      && [summary.pneumonia, summary.confidence, summary.threshold].every(isFraction)
+      && (summary.band === null || (Array.isArray(summary.band) && summary.band.length === 2 && summary.band.every(isFraction)))
+      && (summary.modelVersion === null || typeof summary.modelVersion === 'string')
+      && (summary.analyzedAt === null || (typeof summary.analyzedAt === 'string' && !Number.isNaN(Date.parse(summary.analyzedAt))));
+    return valid ? summary : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Full link to a read-only view of the result
+export const shareUrl = (result, location = window.location) => (
+  `${location.origin}${location.pathname}#/${SHARE_PREFIX}${encodeShare(result)}`
+);
+
+// Route for a location hash: { section, share } where share is
+// undefined (not a share link), null (invalid link) or the decoded summary
+export const parseHash = (hash) => {
+  const path = (hash || '').replace(/^#\/?/, '');
+  if (path.startsWith(SHARE_PREFIX)) {
+    return { section: 'testing', share: decodeShare(path.slice(SHARE_PREFIX.length)) };
+  }
+  const section = Object.keys(SECTION_SLUGS).find((id) => SECTION_SLUGS[id] === path);
+  return { section: section || 'home', share: undefined };
+};
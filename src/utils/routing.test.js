@@ -0,0 +1,62 @@
+import { parseHash, sectionHash, encodeShare, decodeShare, shareUrl } from './routing';
+
+const result = {
+  decision: 'pneumonia',
+  prediction: 'Pneumonia',
+  confidence: 0.91,
+  probabilities: { normal: 0.09, pneumonia: 0.91 },
+  threshold: 0.5,
+  inconclusiveBand: [0.4, 0.6],
+  modelVersion: '1.0.0',
+  analyzedAt: '2024-01-15T10:30:00.000Z',
+  heatmap: 'data:image/png;base64,AAAA'
+};
+
+test('maps sections to hash routes and back', () => {
+  expect(sectionHash('testing')).toBe('#/detection');
+  expect(sectionHash('home')).toBe('');
+  expect(parseHash('#/model-info')).toEqual({ section: 'technical', share: undefined });
+  expect(parseHash('')).toEqual({ section: 'home', share: undefined });
+  expect(parseHash('#/unknown').section).toBe('home');
+});
+
+test('round-trips a result summary through a share link', () => {
+  const summary = decodeShare(encodeShare(result));
+  expect(summary).toMatchObject({
+    decision: 'pneumonia',
+    label: 'Pneumonia',
+    pneumonia: 0.91,
+    threshold: 0.5,
+    band: [0.4, 0.6],
+    modelVersion: '1.0.0',
+    analyzedAt: '2024-01-15T10:30:00.000Z'
+  });
+  expect(summary).not.toHaveProperty('heatmap');
+});
+
+test('opens share links on the Detection section', () => {
+  const url = shareUrl({ ...result, prediction: 'Inconclusive – needs review', decision: 'inconclusive' }, {
+    origin: 'https://example.com',
+    pathname: '/'
+  });
+  expect(url).toMatch(/^https:\/\/example\.com\/#\/result\/[A-Za-z0-9_-]+$/);
+  const route = parseHash(url.slice(url.indexOf('#')));
+  expect(route.section).toBe('testing');
+  expect(route.share.label).toBe('Inconclusive – needs review');
+});
+
+test('rejects damaged share tokens', () => {
+  expect(decodeShare('not-a-token')).toBeNull();
+  const tampered = btoa(JSON.stringify({ v: 1, decision: 'pneumonia', label: 'x', pneumonia: 7 }));
+  expect(decodeShare(tampered)).toBeNull();
+  expect(parseHash('#/result/@@@').share).toBeNull();
+});
+
+test('rejects crafted share links with fields of the wrong type', () => {
+  const token = (fields) => btoa(JSON.stringify({ ...decodeShare(encodeShare(result)), ...fields }));
+  expect(decodeShare(token({}))).not.toBeNull();
+  expect(decodeShare(token({ modelVersion: {} }))).toBeNull();
+  expect(decodeShare(token({ modelVersion: ['1.0.0'] }))).toBeNull();
+  expect(decodeShare(token({ analyzedAt: 0 }))).toBeNull();
+  expect(parseHash(`#/result/${token({ modelVersion: {} })}`).share).toBeNull();
+});
@@ -0,0 +1,42 @@
+// View-state math for the X-ray viewer
+// offset is the translation of the image centre from the viewport centre, in screen pixels.
+
+export const MIN_SCALE = 0.05;
+export const MAX_SCALE = 20;
+
+export const clampScale = (scale) => Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE);
+
+// Scale at which the whole (possibly rotated) image fits the viewport
+export const fitScale = ({ width, height }, viewport, rotation = 0) => {
+  const sideways = rotation % 180 !== 0;
+  const [w, h] = sideways ? [height, width] : [width, height];
+  if (!w || !h || !viewport.width || !viewport.height) return 1;
+  return Math.min(viewport.width / w, viewport.height / h);
+};
+
+// Zoom by factor around a point (relative to the viewport centre), keeping that point fixed on screen
+export const zoomAt = (view, factor, point = { x: 0, y: 0 }) => {
+  const scale = clampScale(view.scale * factor);
+  const ratio = scale / view.scale;
+  return {
+    ...view,
+    scale,
+    offset: {
+      x: point.x - (point.x - view.offset.x) * ratio,
+      y: point.y - (point.y - view.offset.y) * ratio
+    }
+  };
+};
+
+// Window/level adjustment from a drag: horizontal changes contrast (window width),
+// vertical changes brightness (window level). Values are CSS filter percentages.
+export const adjustWindow = ({ brightness, contrast }, dx, dy) => ({
+  brightness: Math.min(Math.max(brightness - dy * 0.5, 10), 400),
+  contrast: Math.min(Math.max(contrast + dx * 0.5, 10), 400)
+});
+
+// CSS transform and filter for the current view
+export const viewStyle = ({ scale, offset, rotation, flipH, flipV, invert, brightness, contrast }) => ({
+  transform: `translate(${offset.x}px, ${offset.y}px) scale(${scale}) rotate(${rotation}deg) scale(${flipH ? -1 : 1}, ${flipV ? -1 : 1})`,
+  filter: `brightness(${brightness}%) contrast(${contrast}%)${invert ? ' invert(1)' : ''}`
+});
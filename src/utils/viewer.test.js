@@ -0,0 +1,34 @@
+import { fitScale, zoomAt, adjustWindow, viewStyle, MAX_SCALE } from './viewer';
+
+const view = { scale: 1, offset: { x: 0, y: 0 }, rotation: 0, flipH: false, flipV: false, invert: false, brightness: 100, contrast: 100 };
+
+test('fits the image inside the viewport, swapping sides when rotated', () => {
+  expect(fitScale({ width: 2000, height: 1000 }, { width: 1000, height: 1000 })).toBe(0.5);
+  expect(fitScale({ width: 2000, height: 1000 }, { width: 1000, height: 1000 }, 90)).toBe(0.5);
+  expect(fitScale({ width: 1000, height: 500 }, { width: 800, height: 200 }, 90)).toBe(0.2);
+});
+
+test('zooms around a point keeping it fixed on screen', () => {
+  const zoomed = zoomAt(view, 2, { x: 100, y: 50 });
+  expect(zoomed.scale).toBe(2);
+  expect(zoomed.offset).toEqual({ x: -100, y: -50 });
+  // The image point under the cursor is the same before and after
+  const imagePoint = (v, p) => ({ x: (p.x - v.offset.x) / v.scale, y: (p.y - v.offset.y) / v.scale });
+  expect(imagePoint(zoomed, { x: 100, y: 50 })).toEqual(imagePoint(view, { x: 100, y: 50 }));
+});
+
+test('clamps zoom to the allowed range', () => {
+  expect(zoomAt({ ...view, scale: 15 }, 10).scale).toBe(MAX_SCALE);
+});
+
+test('dragging adjusts contrast horizontally and brightness vertically', () => {
+  expect(adjustWindow(view, 40, 0)).toEqual({ brightness: 100, contrast: 120 });
+  expect(adjustWindow(view, 0, -40)).toEqual({ brightness: 120, contrast: 100 });
+  expect(adjustWindow(view, -1000, 1000)).toEqual({ brightness: 10, contrast: 10 });
+});
+
+test('builds the CSS transform and filter', () => {
+  const style = viewStyle({ ...view, rotation: 90, flipH: true, invert: true });
+  expect(style.transform).toBe('translate(0px, 0px) scale(1) rotate(90deg) scale(-1, 1)');
+  expect(style.filter).toBe('brightness(100%) contrast(100%) invert(1)');
+});